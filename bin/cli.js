@@ -16,7 +16,8 @@ import { Command } from 'commander';
 import { readFileSync } from 'fs';
 import { join, dirname } from 'path';
 import { fileURLToPath } from 'url';
-import { importTransactions, setup, setupAccounts } from '../src/index.js';
+import { importTransactions, scrape, holdings, payees, setup, setupAccounts } from '../src/index.js';
+import { isValidYMD, getCoveringTimeframe, timeframeCovers } from '../src/date-range.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
@@ -90,17 +91,24 @@ setupCommand
 // Import command
 program
   .command('import')
-  .description('Import transactions from WealthSimple (launches browser)')
+  .description('Import transactions from WealthSimple (launches browser unless --from-csv is used)')
   .option('--sync-id <id>', 'ActualBudget sync ID (from Settings → Advanced → Sync ID)')
   .option('--server-url <url>', 'ActualBudget server URL')
   .option('--password <password>', 'ActualBudget password')
   .option('--remote-browser-url <url>', 'Connect to existing browser via Chrome DevTools Protocol')
   .option('--timeframe <value>', 'Time range for transactions: all, last-week, last-30-days, last-60-days, last-90-days (default: last-30-days)', 'last-30-days')
+  .option('--extraction-mode <mode>', 'How to read transactions from the activity page: dom, batch, network (default: dom)', 'dom')
+  .option('--from-csv <file>', 'Import from a WealthSimple CSV export instead of the browser (can be used multiple times)', collect, [])
   .option('--adjust-balances', 'Adjust account balances after import to match WealthSimple')
   .option('--account <name>', 'Only import from specified account (can be used multiple times)', collect, [])
+  .option('--incremental', 'Stop scraping at transactions already imported by a previous run')
+  .option('--since <date>', 'Only import transactions on or after this date (YYYY-MM-DD)')
+  .option('--until <date>', 'Only import transactions on or before this date (YYYY-MM-DD)')
+  .option('--learn-categories', 'Categorize transactions by each payee\'s usual category in ActualBudget')
+  .option('--no-contact-prompt', 'Do not ask for payee names of new e-Transfer contacts')
   .option('--dry-run', 'Preview import without making changes')
   .option('--verbose', 'Show detailed output')
-  .action(async (options) => {
+  .action(async (options, command) => {
     try {
       // Validate timeframe option
       const validTimeframes = ['all', 'last-week', 'last-30-days', 'last-60-days', 'last-90-days'];
@@ -109,6 +117,34 @@ program
         process.exit(1);
       }
 
+      // Validate extraction mode option
+      const validExtractionModes = ['dom', 'batch', 'network'];
+      if (!validExtractionModes.includes(options.extractionMode)) {
+        console.error(`Error: Invalid extraction mode '${options.extractionMode}'. Valid values: ${validExtractionModes.join(', ')}`);
+        process.exit(1);
+      }
+
+      // Validate date range options
+      for (const name of ['since', 'until']) {
+        if (options[name] && !isValidYMD(options[name])) {
+          console.error(`Error: Invalid --${name} date '${options[name]}'. Expected YYYY-MM-DD`);
+          process.exit(1);
+        }
+      }
+      if (options.since && options.until && options.since > options.until) {
+        console.error('Error: --since must not be after --until');
+        process.exit(1);
+      }
+
+      // Scrape a timeframe that reaches back to --since unless one was given explicitly
+      if (options.since) {
+        if (command.getOptionValueSource('timeframe') === 'default') {
+          options.timeframe = getCoveringTimeframe(options.since);
+        } else if (!timeframeCovers(options.timeframe, options.since)) {
+          console.warn(`Warning: --timeframe ${options.timeframe} does not reach back to ${options.since}; earlier transactions will be missing`);
+        }
+      }
+
       // Merge global options with command options
       const globalOptions = program.opts();
       const mergedOptions = { ...options, ...globalOptions };
@@ -129,6 +165,101 @@ program
     }
   });
 
+// Scrape command
+program
+  .command('scrape')
+  .description('Extract transactions from WealthSimple without importing them (prints JSON)')
+  .option('--remote-browser-url <url>', 'Connect to existing browser via Chrome DevTools Protocol')
+  .option('--timeframe <value>', 'Time range for transactions: all, last-week, last-30-days, last-60-days, last-90-days (default: last-30-days)', 'last-30-days')
+  .option('--extraction-mode <mode>', 'How to read transactions from the activity page: dom, batch (default: dom)', 'dom')
+  .option('--save-snapshot <dir>', 'Save the expanded activity page to a directory for offline replay')
+  .option('--replay <dir>', 'Parse a saved snapshot in a local headless browser instead of WealthSimple')
+  .option('--output <file>', 'Write transactions JSON to a file instead of stdout')
+  .option('--verbose', 'Show detailed output')
+  .action(async (options) => {
+    try {
+      const validTimeframes = ['all', 'last-week', 'last-30-days', 'last-60-days', 'last-90-days'];
+      if (!validTimeframes.includes(options.timeframe)) {
+        console.error(`Error: Invalid timeframe '${options.timeframe}'. Valid values: ${validTimeframes.join(', ')}`);
+        process.exit(1);
+      }
+
+      const validExtractionModes = ['dom', 'batch'];
+      if (!validExtractionModes.includes(options.extractionMode)) {
+        console.error(`Error: Invalid extraction mode '${options.extractionMode}'. Valid values: ${validExtractionModes.join(', ')}`);
+        process.exit(1);
+      }
+
+      if (options.replay && options.saveSnapshot) {
+        console.error('Error: --replay and --save-snapshot cannot be used together');
+        process.exit(1);
+      }
+
+      const globalOptions = program.opts();
+      await scrape({ ...options, ...globalOptions });
+      process.exit(0);
+    } catch (error) {
+      console.error('\nError:', error.message);
+      if (options.verbose) {
+        console.error(error.stack);
+      }
+      process.exit(1);
+    }
+  });
+
+// Holdings command
+program
+  .command('holdings')
+  .description('Extract investment positions per account from WealthSimple (prints JSON)')
+  .option('--remote-browser-url <url>', 'Connect to existing browser via Chrome DevTools Protocol')
+  .option('--output <file>', 'Write holdings to a file instead of stdout')
+  .option('--format <format>', 'Output format: json, csv (default: from --output extension, else json)')
+  .option('--post-market-value', 'Update mapped off-budget ActualBudget accounts to each account\'s market value')
+  .option('--sync-id <id>', 'ActualBudget sync ID (from Settings → Advanced → Sync ID)')
+  .option('--server-url <url>', 'ActualBudget server URL')
+  .option('--password <password>', 'ActualBudget password')
+  .option('--verbose', 'Show detailed output')
+  .action(async (options) => {
+    try {
+      const validFormats = ['json', 'csv'];
+      if (options.format && !validFormats.includes(options.format)) {
+        console.error(`Error: Invalid format '${options.format}'. Valid values: ${validFormats.join(', ')}`);
+        process.exit(1);
+      }
+
+      const globalOptions = program.opts();
+      await holdings({ ...options, ...globalOptions });
+      process.exit(0);
+    } catch (error) {
+      console.error('\nError:', error.message);
+      if (options.verbose) {
+        console.error(error.stack);
+      }
+      process.exit(1);
+    }
+  });
+
+// Payees command
+const payeesCommand = program
+  .command('payees')
+  .description('Manage how imported payee names map to existing ActualBudget payees');
+
+payeesCommand
+  .command('aliases')
+  .description('List payee aliases, or override them')
+  .option('--set <alias>', 'Import a name as an existing payee: "<imported name>=<payee>" (empty payee keeps the name; can be used multiple times)', collect, [])
+  .option('--remove <name>', 'Remove the alias for an imported name (can be used multiple times)', collect, [])
+  .option('--json', 'Print aliases as JSON')
+  .action(async (options) => {
+    try {
+      await payees(options);
+      process.exit(0);
+    } catch (error) {
+      console.error('\nError:', error.message);
+      process.exit(1);
+    }
+  });
+
 // Global options
 program.option(
   '--config <path>',
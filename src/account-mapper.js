@@ -1,21 +1,26 @@
 import { createReadlineInterface, askQuestion } from './util/prompt-helpers.js';
 import { saveConfig } from './config.js';
+import { DEFAULT_COUNTERPARTY_TYPES } from './filters.js';
+import { classifyTransaction } from './transaction-types.js';
 
 /**
  * Get unique accounts from transactions
  * Includes accounts from main account field and from/to fields in transfers
- * Excludes accounts from Interac e-Transfers, Pre-authorized debits, and Direct deposits
+ * Excludes accounts from Interac e-Transfers, Pre-authorized debits, and Direct deposits,
+ * whose from/to name the other party rather than a WealthSimple account
  * @param {Array} transactions - Array of transactions
+ * @param {Array<string>} [counterpartyTypes] - Canonical or lowercase WealthSimple types whose
+ *   from/to are skipped
  * @returns {Array<string>} - Unique account names
  */
-export function getUniqueAccounts(transactions) {
+export function getUniqueAccounts(transactions, counterpartyTypes = DEFAULT_COUNTERPARTY_TYPES) {
   const accounts = new Set();
 
   transactions.forEach((transaction) => {
     const typeStr = transaction.type ? transaction.type.toLowerCase() : '';
-    const isInteracTransfer = typeStr.includes('interac e-transfer');
-    const isPreAuthorizedDebit = typeStr.includes('pre-authorized debit');
-    const isDirectDeposit = typeStr.includes('direct deposit');
+    const isCounterpartyType =
+      counterpartyTypes.includes(classifyTransaction(transaction)) ||
+      counterpartyTypes.some((type) => typeStr.includes(type));
 
     // Add main account (WealthSimple account)
     if (transaction.account) {
@@ -23,7 +28,7 @@ export function getUniqueAccounts(transactions) {
     }
 
     // Add from/to accounts for transfers (but skip excluded transaction types)
-    if (!isInteracTransfer && !isPreAuthorizedDebit && !isDirectDeposit) {
+    if (!isCounterpartyType) {
       if (transaction.from && transaction.from.trim()) {
         accounts.add(transaction.from);
       }
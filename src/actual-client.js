@@ -4,6 +4,8 @@ import { join } from 'path';
 import { rm, mkdir } from 'fs/promises';
 import { existsSync } from 'fs';
 import { createHash } from 'crypto';
+import { getTodayInTimeZone } from './timezone.js';
+import { buildCategoryModel } from './categories.js';
 
 /**
  * Suppress all console output during async operation
@@ -82,6 +84,8 @@ export class ActualClient {
     this.accountMap = new Map();
     this.payees = [];
     this.transferPayeeMap = new Map();
+    this.categories = null;
+    this.categoryMap = new Map();
   }
 
   /**
@@ -238,6 +242,29 @@ export class ActualClient {
     });
   }
 
+  /**
+   * Load and cache categories
+   * @returns {Promise<void>}
+   */
+  async loadCategories() {
+    this.categories = await api.getCategories();
+    this.categoryMap.clear();
+
+    this.categories.forEach((category) => {
+      this.categoryMap.set(category.name.toLowerCase(), category);
+      this.categoryMap.set(category.id, category);
+    });
+  }
+
+  /**
+   * Find a cached category by name (case-insensitive) or ID
+   * @param {string} nameOrId Category name or ID
+   * @returns {Object|undefined} Category object
+   */
+  findCategory(nameOrId) {
+    return this.categoryMap.get(nameOrId) || this.categoryMap.get(nameOrId.toLowerCase());
+  }
+
   /**
    * Get all accounts
    * @returns {Array} List of accounts
@@ -320,8 +347,8 @@ export class ActualClient {
       account: transaction.Account,
       amount: transaction.Amount,
       date: transaction.Date,
-      notes: transaction.Notes,
-      payee: transaction.Payee
+      notes: transaction._originalNotes ?? transaction.Notes,
+      payee: transaction._originalPayee ?? transaction.Payee
     };
 
     return this.hashImportedId(sortedTransaction);
@@ -334,6 +361,11 @@ export class ActualClient {
    * @returns {string} Deterministic imported ID
    */
   generateImportedId(transaction) {
+    // Transactions derived from another one (spend rewards) follow its ID
+    if (transaction._rewardFor) {
+      return `${this.generateImportedId(transaction._rewardFor)}_reward`;
+    }
+
     if (transaction._sourceTransactionId) {
       return this.hashImportedId({
         account: transaction.Account,
@@ -355,6 +387,34 @@ export class ActualClient {
     return ids;
   }
 
+  /**
+   * Get the imported_id and duplicate IDs of a transfer's mirror in the destination account
+   * A linked card payment's mirror takes the IDs of the card's own record of the payment, so that
+   * record is never imported next to the mirror by an earlier or later run.
+   * @param {Object} transaction Transformed transfer
+   * @param {Object} importTransaction The transfer in import format
+   * @param {Set} duplicateImportIds Duplicate IDs of the transfer
+   * @returns {Object} {importedId, duplicateImportIds}
+   */
+  getMirrorImportIds(transaction, importTransaction, duplicateImportIds) {
+    if (transaction._mirrorOf) {
+      const importedId = this.generateImportedId(transaction._mirrorOf);
+      return {
+        importedId,
+        duplicateImportIds: this.getDuplicateImportIds(transaction._mirrorOf, {
+          imported_id: importedId
+        })
+      };
+    }
+
+    return {
+      importedId: `${importTransaction.imported_id}_mirror`,
+      duplicateImportIds: new Set(
+        Array.from(duplicateImportIds).map((importedId) => `${importedId}_mirror`)
+      )
+    };
+  }
+
   async findDuplicateImports(accountId, accountTransactions) {
     const datedTransactions = accountTransactions.filter(({ import: importTransaction }) => {
       return importTransaction.date;
@@ -457,6 +517,14 @@ export class ActualClient {
     // ActualBudget doesn't accept null for category, it should be omitted instead
     if (transaction.category) {
       actualTransaction.category = transaction.category;
+    } else if (transaction._category) {
+      // Category given by name in config.toml
+      const category = this.findCategory(transaction._category);
+      if (category) {
+        actualTransaction.category = category.id;
+      } else {
+        console.warn(`Category not found in ActualBudget: ${transaction._category}`);
+      }
     }
 
     // Ensure cleared is a boolean (ActualBudget might expect 0/1)
@@ -488,6 +556,11 @@ export class ActualClient {
       };
     }
 
+    // Categories configured by name are looked up once per client
+    if (this.categories === null && transactions.some((transaction) => transaction._category)) {
+      await this.loadCategories();
+    }
+
     // Group transactions by account for batch import, expanding transfers
     const transactionsByAccount = new Map();
     const errors = [];
@@ -534,11 +607,17 @@ export class ActualClient {
               );
             }
 
+            const mirrorIds = this.getMirrorImportIds(
+              transaction,
+              importTransaction,
+              duplicateImportIds
+            );
+
             // Create the mirror transaction for the destination account
             const mirrorTransaction = {
               date: transaction.Date,
               amount: -transaction.Amount, // Opposite amount
-              imported_id: `${importTransaction.imported_id}_mirror`,
+              imported_id: mirrorIds.importedId,
               cleared: false,
               payee: transferPayee.id,
               notes: transaction.Notes || ''
@@ -551,9 +630,7 @@ export class ActualClient {
             transactionsByAccount.get(transaction._transferToAccount).push({
               original: transaction, // Same original transaction for reference
               import: mirrorTransaction,
-              duplicateImportIds: new Set(
-                Array.from(duplicateImportIds).map((importedId) => `${importedId}_mirror`)
-              ),
+              duplicateImportIds: mirrorIds.duplicateImportIds,
               index,
               isMirrorTransfer: true
             });
@@ -630,10 +707,15 @@ export class ActualClient {
         if (importResult.added && importResult.added.length > 0) {
           importResult.added.forEach((transactionId, idx) => {
             if (idx < addedTransactions.length) {
-              results.imported.push({
+              const imported = {
                 transaction: addedTransactions[idx].original,
                 actualId: transactionId
-              });
+              };
+              // Mirrors share their transfer's original transaction
+              if (addedTransactions[idx].isMirrorTransfer) {
+                imported.isMirrorTransfer = true;
+              }
+              results.imported.push(imported);
               results.summary.added++;
             }
           });
@@ -700,6 +782,37 @@ export class ActualClient {
     }
   }
 
+  /**
+   * Learn each payee's usual category from the categorized transactions already in the budget
+   * @param {Object} options Model options
+   * @param {number} [options.minConfidence] Share of a payee's transactions the category needs
+   * @param {number} [options.minCount] Transactions the category needs
+   * @returns {Promise<Map>} Normalized payee name → learned category
+   */
+  async learnPayeeCategories(options = {}) {
+    if (!this.connected) {
+      throw new Error('Not connected to ActualBudget');
+    }
+
+    try {
+      await this.loadCategories();
+      const { data } = await api.runQuery(
+        api
+          .q('transactions')
+          .filter({ category: { $ne: null }, payee: { $ne: null } })
+          .select(['payee', 'category'])
+      );
+
+      return buildCategoryModel(data, {
+        ...options,
+        payees: this.payees,
+        categories: this.categories
+      });
+    } catch (error) {
+      throw new Error(`Failed to learn categories: ${error.message}`);
+    }
+  }
+
   /**
    * Get account balance from ActualBudget
    * @param {string} accountId Account ID
@@ -722,8 +835,8 @@ export class ActualClient {
 
   /**
    * Create balance adjustment transactions for accounts
-   * @param {Array} wsBalances WealthSimple account balances [{name, balance}]
-   * @param {Function} resolveAccount Function to resolve WealthSimple account name to ActualBudget account
+   * @param {Array} wsBalances WealthSimple account balances [{name, balance, currency}]
+   * @param {Function} resolveAccount Function to resolve WealthSimple account name and currency to ActualBudget account
    * @returns {Promise<Object>} Adjustment results
    */
   async adjustAccountBalances(wsBalances, resolveAccount) {
@@ -738,11 +851,13 @@ export class ActualClient {
     for (const wsBalance of wsBalances) {
       try {
         // Resolve WealthSimple account to ActualBudget account
-        const resolved = resolveAccount(wsBalance.name);
+        const resolved = resolveAccount(wsBalance.name, wsBalance.currency);
         if (!resolved) {
           skipped.push({
             account: wsBalance.name,
-            reason: 'Not mapped to ActualBudget account'
+            reason: wsBalance.currency
+              ? `Not mapped to ActualBudget account for ${wsBalance.currency}`
+              : 'Not mapped to ActualBudget account'
           });
           continue;
         }
@@ -766,10 +881,10 @@ export class ActualClient {
 
         // Create adjustment transaction
         const adjustmentTransaction = {
-          Date: new Date().toISOString().split('T')[0], // Today's date
+          Date: getTodayInTimeZone(this.config.timeZone), // Today's date where the user is
           Account: wsBalance.name,
           Payee: 'Balance Adjustment',
-          Notes: `Adjustment to match WealthSimple balance of $${wsBalance.balance.toFixed(2)}`,
+          Notes: `Adjustment to match WealthSimple balance of $${wsBalance.balance.toFixed(2)}${wsBalance.currency ? ` ${wsBalance.currency}` : ''}`,
           Amount: Math.round(difference * 100), // Convert to cents
           _accountId: resolved.accountId
         };
@@ -783,6 +898,7 @@ export class ActualClient {
             wsBalance: wsBalance.balance,
             actualBalance: actualBalance,
             adjustment: difference,
+            currency: wsBalance.currency,
             transactionId: result.imported[0].actualId
           });
 
@@ -815,6 +931,41 @@ export class ActualClient {
     };
   }
 
+  /**
+   * Update fields of an existing transaction
+   * @param {string} id ActualBudget transaction ID
+   * @param {Object} fields Fields to change (date, amount, cleared, imported_id, ...)
+   * @returns {Promise<void>}
+   */
+  async updateTransaction(id, fields) {
+    if (!this.connected) {
+      throw new Error('Not connected to ActualBudget');
+    }
+
+    try {
+      await api.updateTransaction(id, fields);
+    } catch (error) {
+      throw new Error(`Failed to update transaction: ${error.message}`);
+    }
+  }
+
+  /**
+   * Delete an existing transaction
+   * @param {string} id ActualBudget transaction ID
+   * @returns {Promise<void>}
+   */
+  async deleteTransaction(id) {
+    if (!this.connected) {
+      throw new Error('Not connected to ActualBudget');
+    }
+
+    try {
+      await api.deleteTransaction(id);
+    } catch (error) {
+      throw new Error(`Failed to delete transaction: ${error.message}`);
+    }
+  }
+
   /**
    * Sync changes with server
    * @returns {Promise<void>}
@@ -0,0 +1,125 @@
+/**
+ * Categories learned from existing ActualBudget history
+ *
+ * Each payee's past transactions vote for a category. A payee is only learned when its most
+ * frequent category has enough votes and a large enough share of them, so payees that are
+ * categorized inconsistently (a grocery store that also sells gift cards...) are left alone.
+ */
+
+/**
+ * Share of a payee's categorized transactions the top category needs
+ */
+export const DEFAULT_MIN_CONFIDENCE = 0.7;
+
+/**
+ * Categorized transactions a payee needs before it is learned
+ */
+export const DEFAULT_MIN_COUNT = 3;
+
+/**
+ * Normalize a payee name for lookups
+ * @param {string} name Payee name
+ * @returns {string} Lowercase name with collapsed whitespace
+ */
+export function normalizePayeeName(name) {
+  return String(name || '')
+    .replace(/\s+/g, ' ')
+    .trim()
+    .toLowerCase();
+}
+
+/**
+ * Build a payee → category model from categorized transactions
+ * @param {Array} rows Transactions with payee and category IDs ({payee, category})
+ * @param {Object} options Model options
+ * @param {Array} options.payees ActualBudget payees ({id, name, transfer_acct})
+ * @param {Array} options.categories ActualBudget categories ({id, name})
+ * @param {number} [options.minConfidence] Share of votes the top category needs
+ * @param {number} [options.minCount] Votes the top category needs
+ * @returns {Map} Normalized payee name → {categoryId, categoryName, confidence, count}
+ */
+export function buildCategoryModel(rows, options = {}) {
+  const minConfidence = options.minConfidence ?? DEFAULT_MIN_CONFIDENCE;
+  const minCount = options.minCount ?? DEFAULT_MIN_COUNT;
+
+  // Transfers carry no category of their own, so their payees are not learned
+  const payeeNames = new Map(
+    (options.payees || [])
+      .filter((payee) => !payee.transfer_acct)
+      .map((payee) => [payee.id, normalizePayeeName(payee.name)])
+  );
+  const categoryNames = new Map(
+    (options.categories || []).map((category) => [category.id, category.name])
+  );
+
+  // Votes per payee name, per category (several payee IDs can share a name)
+  const votes = new Map();
+  for (const row of rows) {
+    const payeeName = payeeNames.get(row.payee);
+    if (!payeeName || !categoryNames.has(row.category)) {
+      continue;
+    }
+    if (!votes.has(payeeName)) {
+      votes.set(payeeName, new Map());
+    }
+    const payeeVotes = votes.get(payeeName);
+    payeeVotes.set(row.category, (payeeVotes.get(row.category) || 0) + 1);
+  }
+
+  const model = new Map();
+  for (const [payeeName, payeeVotes] of votes) {
+    let total = 0;
+    let top = null;
+    for (const [categoryId, count] of payeeVotes) {
+      total += count;
+      if (!top || count > top.count) {
+        top = { categoryId, count };
+      }
+    }
+
+    const confidence = top.count / total;
+    if (top.count >= minCount && confidence >= minConfidence) {
+      model.set(payeeName, {
+        categoryId: top.categoryId,
+        categoryName: categoryNames.get(top.categoryId),
+        confidence,
+        count: top.count
+      });
+    }
+  }
+
+  return model;
+}
+
+/**
+ * Assign learned categories to transactions that have none
+ * Categories set by a rule or the rewards settings win; transfers are left uncategorized.
+ * @param {Array} transactions Transformed transactions (modified in place)
+ * @param {Map} model Model from buildCategoryModel
+ * @returns {number} Number of transactions categorized
+ */
+export function applyLearnedCategories(transactions, model) {
+  let applied = 0;
+
+  for (const transaction of transactions) {
+    if (transaction._category || transaction._isTransfer) {
+      continue;
+    }
+    const learned = model.get(normalizePayeeName(transaction.Payee));
+    if (learned) {
+      transaction._category = learned.categoryId;
+      transaction._learnedCategory = learned;
+      applied++;
+    }
+  }
+
+  return applied;
+}
+
+export default {
+  DEFAULT_MIN_CONFIDENCE,
+  DEFAULT_MIN_COUNT,
+  normalizePayeeName,
+  buildCategoryModel,
+  applyLearnedCategories
+};
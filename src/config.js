@@ -4,6 +4,14 @@ import { xdgConfig } from 'xdg-basedir';
 import { homedir } from 'os';
 import { existsSync } from 'fs';
 import toml from 'toml';
+import { resolveSelectors } from './selectors.js';
+import { resolveTimeZone } from './timezone.js';
+import { compileRules } from './rules.js';
+import { compileFilters } from './filters.js';
+import { resolveNotesTemplates } from './notes-template.js';
+import { resolveContacts } from './contacts.js';
+import { resolveExternalAccounts } from './external-accounts.js';
+import { DEFAULT_MIN_CONFIDENCE, DEFAULT_MIN_COUNT } from './categories.js';
 import { createReadlineInterface, askPassword } from './util/prompt-helpers.js';
 import {
   getStoredPassword,
@@ -81,6 +89,15 @@ function formatTomlString(value) {
   return `"${value.replace(/\\/g, '\\\\').replace(/"/g, '\\"')}"`;
 }
 
+/**
+ * Format a TOML key, quoting keys that are not bare (e.g. emails in [contacts])
+ * @param {string} key Key
+ * @returns {string} TOML key
+ */
+function formatTomlKey(key) {
+  return /^[A-Za-z0-9_-]+$/.test(key) ? key : formatTomlString(key);
+}
+
 function formatTomlValue(value) {
   if (typeof value === 'string') {
     return formatTomlString(value);
@@ -91,6 +108,13 @@ function formatTomlValue(value) {
   if (Array.isArray(value)) {
     return `[${value.map(formatTomlValue).join(', ')}]`;
   }
+  if (value && typeof value === 'object') {
+    const entries = Object.entries(value)
+      .map(([key, item]) => [key, formatTomlValue(item)])
+      .filter(([, item]) => item !== null)
+      .map(([key, item]) => `${formatTomlKey(key)} = ${item}`);
+    return `{ ${entries.join(', ')} }`;
+  }
   return null;
 }
 
@@ -105,6 +129,11 @@ export async function saveConfig(config, customPath = null) {
 
     let tomlContent = '';
 
+    // Top-level keys must come before the first table
+    if (config.timezone) {
+      tomlContent += `timezone = ${formatTomlString(config.timezone)}\n\n`;
+    }
+
     if (config.actualServer) {
       tomlContent += '[actualServer]\n';
       if (config.actualServer.url) {
@@ -141,6 +170,31 @@ export async function saveConfig(config, customPath = null) {
       }
     }
 
+    const selectorOverrides = config.scraper?.selectors;
+    if (selectorOverrides && Object.keys(selectorOverrides).length > 0) {
+      tomlContent += '[scraper.selectors]\n';
+      for (const [key, value] of Object.entries(selectorOverrides)) {
+        const formattedValue = formatTomlValue(value);
+        if (formattedValue !== null) {
+          tomlContent += `${key} = ${formattedValue}\n`;
+        }
+      }
+      tomlContent += '\n';
+    }
+
+    for (const section of ['rewards', 'categories', 'notes', 'contacts']) {
+      if (config[section] && Object.keys(config[section]).length > 0) {
+        tomlContent += `[${section}]\n`;
+        for (const [key, value] of Object.entries(config[section])) {
+          const formattedValue = formatTomlValue(value);
+          if (formattedValue !== null) {
+            tomlContent += `${formatTomlKey(key)} = ${formattedValue}\n`;
+          }
+        }
+        tomlContent += '\n';
+      }
+    }
+
     if (config.accounts && config.accounts.length > 0) {
       for (const account of config.accounts) {
         tomlContent += '[[accounts]]\n';
@@ -148,6 +202,69 @@ export async function saveConfig(config, customPath = null) {
           tomlContent += `wsAccountName = ${formatTomlString(account.wsAccountName)}\n`;
         }
         tomlContent += `actualAccountId = ${formatTomlString(account.actualAccountId)}\n`;
+        if (account.currency) {
+          tomlContent += `currency = ${formatTomlString(account.currency)}\n`;
+        }
+        if (account.investmentMode) {
+          tomlContent += `investmentMode = ${formatTomlString(account.investmentMode)}\n`;
+        }
+        tomlContent += '\n';
+      }
+    }
+
+    if (Array.isArray(config.externalAccounts)) {
+      for (const externalAccount of config.externalAccounts) {
+        tomlContent += '[[externalAccounts]]\n';
+        for (const key of ['name', 'institution', 'actualAccountId']) {
+          const formattedValue =
+            externalAccount[key] === undefined ? null : formatTomlValue(externalAccount[key]);
+          if (formattedValue !== null) {
+            tomlContent += `${key} = ${formattedValue}\n`;
+          }
+        }
+        tomlContent += '\n';
+      }
+    }
+
+    if (config.filters && Object.keys(config.filters).length > 0) {
+      const { include, exclude, ...lists } = config.filters;
+      if (Object.keys(lists).length > 0) {
+        tomlContent += '[filters]\n';
+        for (const [key, value] of Object.entries(lists)) {
+          const formattedValue = formatTomlValue(value);
+          if (formattedValue !== null) {
+            tomlContent += `${key} = ${formattedValue}\n`;
+          }
+        }
+        tomlContent += '\n';
+      }
+
+      for (const [kind, entries] of [
+        ['include', include],
+        ['exclude', exclude]
+      ]) {
+        for (const entry of Array.isArray(entries) ? entries : []) {
+          tomlContent += `[[filters.${kind}]]\n`;
+          for (const [key, value] of Object.entries(entry)) {
+            const formattedValue = formatTomlValue(value);
+            if (formattedValue !== null) {
+              tomlContent += `${key} = ${formattedValue}\n`;
+            }
+          }
+          tomlContent += '\n';
+        }
+      }
+    }
+
+    if (Array.isArray(config.rules) && config.rules.length > 0) {
+      for (const rule of config.rules) {
+        tomlContent += '[[rules]]\n';
+        for (const key of ['name', 'when', 'then']) {
+          const formattedValue = rule[key] === undefined ? null : formatTomlValue(rule[key]);
+          if (formattedValue !== null) {
+            tomlContent += `${key} = ${formattedValue}\n`;
+          }
+        }
         tomlContent += '\n';
       }
     }
@@ -159,24 +276,69 @@ export async function saveConfig(config, customPath = null) {
   }
 }
 
-export function resolveAccount(wsAccountName, config) {
+/**
+ * Currency of account mappings that do not set one
+ */
+export const DEFAULT_CURRENCY = 'CAD';
+
+/**
+ * Investment modes an account mapping can use
+ * 'summary' leaves trades out; 'detailed' imports them with their details in the notes.
+ */
+export const INVESTMENT_MODES = ['summary', 'detailed'];
+
+/**
+ * Get the investment mode of an account mapping
+ * @param {Object} account Account mapping from config.toml
+ * @returns {string} 'summary' (default) or 'detailed'
+ */
+function getInvestmentMode(account) {
+  const mode = (account.investmentMode || 'summary').toLowerCase();
+  if (!INVESTMENT_MODES.includes(mode)) {
+    console.warn(
+      `Unknown investmentMode "${account.investmentMode}" for ${account.wsAccountName}, using "summary". Valid modes: ${INVESTMENT_MODES.join(', ')}`
+    );
+    return 'summary';
+  }
+  return mode;
+}
+
+/**
+ * Find the ActualBudget account for a WealthSimple account name and currency
+ * Mappings without a `currency` take CAD, so USD (or other currency) activity is only imported
+ * into an account mapped for that currency and never mixed into a CAD account.
+ * @param {string} wsAccountName WealthSimple account name
+ * @param {Object} config Full configuration with the accounts mappings
+ * @param {string} [currency] Currency of the transactions or balance
+ * @returns {Object|null} Resolved account or null if no mapping matches
+ */
+export function resolveAccount(wsAccountName, config, currency = DEFAULT_CURRENCY) {
   if (!config || !config.accounts || !Array.isArray(config.accounts)) {
     return null;
   }
 
+  const wantedCurrency = (currency || DEFAULT_CURRENCY).toUpperCase();
+
   for (const account of config.accounts) {
     if (!account.wsAccountName || !account.actualAccountId) {
       continue;
     }
 
+    const mappedCurrency = (account.currency || DEFAULT_CURRENCY).toUpperCase();
+
     // Use simple case-insensitive string equality
-    if (wsAccountName.toLowerCase() === account.wsAccountName.toLowerCase()) {
+    if (
+      wsAccountName.toLowerCase() === account.wsAccountName.toLowerCase() &&
+      mappedCurrency === wantedCurrency
+    ) {
       return {
         accountId: account.actualAccountId,
         accountName: wsAccountName,
         needsLookup: false,
         matchType: 'exact',
-        matchedPattern: account.wsAccountName
+        matchedPattern: account.wsAccountName,
+        currency: mappedCurrency,
+        investmentMode: getInvestmentMode(account)
       };
     }
   }
@@ -198,6 +360,22 @@ export async function getConfig(options = {}, requirePassword = true) {
     browserExecutablePath: tomlConfig.browser?.executablePath,
     browserUserDataDir: tomlConfig.browser?.userDataDir,
     browserLaunchOptions: tomlConfig.browser?.launchOptions || {},
+    selectors: resolveSelectors(tomlConfig.scraper?.selectors),
+    timeZone: resolveTimeZone(tomlConfig.timezone),
+    rules: compileRules(tomlConfig.rules),
+    filters: compileFilters(tomlConfig.filters),
+    notes: resolveNotesTemplates(tomlConfig.notes),
+    contacts: resolveContacts(tomlConfig.contacts),
+    externalAccounts: resolveExternalAccounts(tomlConfig.externalAccounts),
+    rewards: {
+      enabled: tomlConfig.rewards?.enabled === true,
+      payee: tomlConfig.rewards?.payee || 'WealthSimple',
+      category: tomlConfig.rewards?.category || null
+    },
+    categories: {
+      minConfidence: tomlConfig.categories?.minConfidence ?? DEFAULT_MIN_CONFIDENCE,
+      minCount: tomlConfig.categories?.minCount ?? DEFAULT_MIN_COUNT
+    },
     configPath: options.config
   };
 
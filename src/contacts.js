@@ -0,0 +1,142 @@
+import { askQuestion } from './util/prompt-helpers.js';
+import { classifyTransaction, TRANSACTION_TYPES } from './transaction-types.js';
+
+/**
+ * Interac e-Transfer contacts from config.toml
+ *
+ * e-Transfers carry the other person's email, which is steadier than the name shown on the
+ * activity page. The [contacts] table maps emails to a payee, and optionally a category:
+ *
+ *   [contacts]
+ *   "jane@example.com" = "Jane Doe"
+ *   "landlord@example.com" = { payee = "Landlord", category = "Rent" }
+ */
+
+/**
+ * e-Transfer types that carry a contact email
+ */
+const CONTACT_TYPES = [TRANSACTION_TYPES.INTERAC_IN, TRANSACTION_TYPES.INTERAC_OUT];
+
+/**
+ * Normalize an email for lookups
+ * @param {string} email Email address
+ * @returns {string} Trimmed lowercase email
+ */
+export function normalizeEmail(email) {
+  return String(email || '')
+    .trim()
+    .toLowerCase();
+}
+
+/**
+ * Read the [contacts] table from config.toml
+ * Entries without a payee are ignored with a warning.
+ * @param {Object} [contacts] The [contacts] table
+ * @returns {Map} Normalized email → {payee, category}
+ */
+export function resolveContacts(contacts) {
+  const resolved = new Map();
+  if (!contacts || typeof contacts !== 'object') {
+    return resolved;
+  }
+
+  for (const [email, value] of Object.entries(contacts)) {
+    const entry = typeof value === 'string' ? { payee: value } : value || {};
+    const payee = typeof entry.payee === 'string' ? entry.payee.trim() : '';
+    if (!payee) {
+      console.warn(`Ignoring contact '${email}' in [contacts]: it has no payee`);
+      continue;
+    }
+    resolved.set(normalizeEmail(email), {
+      payee,
+      category:
+        typeof entry.category === 'string' && entry.category.trim() ? entry.category.trim() : null
+    });
+  }
+
+  return resolved;
+}
+
+/**
+ * Get the contact email of an e-Transfer
+ * @param {Object} transaction WealthSimple transaction
+ * @returns {string|null} Normalized email, or null if the transaction is not an e-Transfer with one
+ */
+export function getContactEmail(transaction) {
+  const email = normalizeEmail(transaction.email);
+  if (!email || !CONTACT_TYPES.includes(classifyTransaction(transaction))) {
+    return null;
+  }
+  return email;
+}
+
+/**
+ * Find the contact of an e-Transfer
+ * @param {Map} contacts Contacts from resolveContacts
+ * @param {Object} transaction WealthSimple transaction
+ * @returns {Object|null} Contact {payee, category} or null
+ */
+export function findContact(contacts, transaction) {
+  const email = contacts?.size > 0 ? getContactEmail(transaction) : null;
+  return email ? contacts.get(email) || null : null;
+}
+
+/**
+ * List the e-Transfer contacts that have no [contacts] entry yet
+ * @param {Array} transactions WealthSimple transactions
+ * @param {Map} contacts Contacts from resolveContacts
+ * @returns {Array} Unknown contacts {email, name, count}, most frequent first
+ */
+export function findUnknownContacts(transactions, contacts) {
+  const unknown = new Map();
+
+  for (const transaction of transactions) {
+    const email = getContactEmail(transaction);
+    if (!email || contacts.has(email)) {
+      continue;
+    }
+    if (!unknown.has(email)) {
+      unknown.set(email, { email, name: transaction.description?.trim() || '', count: 0 });
+    }
+    unknown.get(email).count++;
+  }
+
+  return Array.from(unknown.values()).sort((a, b) => b.count - a.count);
+}
+
+/**
+ * Ask for the payee of each unknown contact
+ * Enter accepts the name shown by WealthSimple; "-" skips the contact until the next import.
+ * @param {Array} unknown Unknown contacts from findUnknownContacts
+ * @param {Object} rl Readline interface
+ * @returns {Promise<Array>} Named contacts {email, payee}
+ */
+export async function promptForContacts(unknown, rl) {
+  const named = [];
+
+  console.log(`\n📇 ${unknown.length} e-Transfer contact(s) have no payee yet:`);
+  for (const contact of unknown) {
+    const suggestion = contact.name ? ` [${contact.name}]` : '';
+    const answer = await askQuestion(
+      rl,
+      `Payee for ${contact.email} (${contact.count} e-Transfer(s), "-" to skip)${suggestion}: `
+    );
+
+    const payee = answer || contact.name;
+    if (answer === '-' || !payee) {
+      continue;
+    }
+    named.push({ email: contact.email, payee });
+  }
+
+  return named;
+}
+
+export default {
+  normalizeEmail,
+  resolveContacts,
+  getContactEmail,
+  findContact,
+  findUnknownContacts,
+  promptForContacts
+};
@@ -1,6 +1,11 @@
 import { parse } from 'csv-parse';
 import { createReadStream } from 'fs';
 import { finished } from 'stream/promises';
+import { filterByDateRange } from './date-range.js';
+import { toCalendarDate } from './timezone.js';
+
+// Re-export for backward compatibility
+export { filterByDateRange } from './date-range.js';
 
 /**
  * Expected CSV columns from WealthSimple export
@@ -32,6 +37,8 @@ export const OPTIONAL_COLUMNS = ['from', 'to'];
  * Parse WealthSimple CSV file
  * @param {string} filePath Path to CSV file
  * @param {Object} options Parser options
+ * @param {boolean} options.verbose Log parsing warnings
+ * @param {string} options.timeZone Timezone for timestamps with an offset (defaults to the system timezone)
  * @returns {Promise<Array>} Parsed transactions
  */
 export async function parseCSV(filePath, options = {}) {
@@ -49,7 +56,7 @@ export async function parseCSV(filePath, options = {}) {
       },
       on_record: (record, _context) => {
         // Process the record (transactionId is optional)
-        return processRecord(record);
+        return processRecord(record, options.timeZone);
       }
     })
   );
@@ -76,16 +83,17 @@ export async function parseCSV(filePath, options = {}) {
 /**
  * Process a single CSV record
  * @param {Object} record Raw CSV record
+ * @param {string} timeZone Timezone for dates
  * @returns {Object} Processed record
  */
-function processRecord(record) {
+function processRecord(record, timeZone) {
   return {
     // Core fields
     account: record.account || '',
     status: record.status || '',
-    date: parseDate(record.date),
-    submitted: parseDate(record.submitted),
-    filled: parseDate(record.filled),
+    date: parseDate(record.date, timeZone),
+    submitted: parseDate(record.submitted, timeZone),
+    filled: parseDate(record.filled, timeZone),
     amount: parseAmount(record.amount),
     amountCurrency: record.amountCurrency || 'CAD',
     type: record.type || '',
@@ -114,25 +122,12 @@ function processRecord(record) {
 /**
  * Parse date string to YYYY-MM-DD format
  * @param {string} dateStr Date string
+ * @param {string} timeZone Timezone for timestamps with an offset
  * @returns {string|null} Formatted date or null
  */
-function parseDate(dateStr) {
-  if (!dateStr) {
-    return null;
-  }
-
-  try {
-    // Handle various date formats
-    const date = new Date(dateStr);
-    if (isNaN(date.getTime())) {
-      return null;
-    }
-
-    // Return in YYYY-MM-DD format
-    return date.toISOString().split('T')[0];
-  } catch (error) {
-    return null;
-  }
+function parseDate(dateStr, timeZone) {
+  // Handle various date formats without shifting wall-clock dates through UTC
+  return toCalendarDate(dateStr, timeZone);
 }
 
 /**
@@ -214,29 +209,6 @@ export function getUniqueAccounts(transactions) {
   return Array.from(accounts).sort();
 }
 
-/**
- * Filter transactions by date range
- * @param {Array} transactions Transactions to filter
- * @param {string} startDate Start date (YYYY-MM-DD)
- * @param {string} endDate End date (YYYY-MM-DD)
- * @returns {Array} Filtered transactions
- */
-export function filterByDateRange(transactions, startDate, endDate) {
-  const start = startDate ? new Date(startDate) : null;
-  const end = endDate ? new Date(endDate) : null;
-
-  return transactions.filter((t) => {
-    const date = new Date(t.date || t.filled || t.submitted);
-    if (start && date < start) {
-      return false;
-    }
-    if (end && date > end) {
-      return false;
-    }
-    return true;
-  });
-}
-
 export default {
   parseCSV,
   validateCSV,
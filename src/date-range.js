@@ -0,0 +1,137 @@
+/**
+ * Date range helpers shared by the CSV and browser import paths
+ */
+
+/**
+ * Activity page timeframes and the number of days each one covers
+ * Ordered from shortest to longest; 'all' covers everything
+ */
+export const TIMEFRAME_DAYS = [
+  { timeframe: 'last-week', days: 7 },
+  { timeframe: 'last-30-days', days: 30 },
+  { timeframe: 'last-60-days', days: 60 },
+  { timeframe: 'last-90-days', days: 90 }
+];
+
+/**
+ * Check that a string is a valid YYYY-MM-DD calendar date
+ * @param {string} value Date string
+ * @returns {boolean} True if valid
+ */
+export function isValidYMD(value) {
+  if (typeof value !== 'string' || !/^\d{4}-\d{2}-\d{2}$/.test(value)) {
+    return false;
+  }
+  const date = new Date(`${value}T00:00:00Z`);
+  return !isNaN(date.getTime()) && date.toISOString().startsWith(value);
+}
+
+/**
+ * Number of days from one YYYY-MM-DD date to another
+ * @param {string} from Start date
+ * @param {string} to End date
+ * @returns {number} Days (negative if to is before from), or NaN if either date cannot be read
+ */
+export function daysBetween(from, to) {
+  return Math.round((Date.parse(`${to}T00:00:00Z`) - Date.parse(`${from}T00:00:00Z`)) / 86400000);
+}
+
+/**
+ * Format a Date as a local YYYY-MM-DD string
+ * @param {Date} date Date to format
+ * @returns {string} Formatted date
+ */
+function toLocalYMD(date) {
+  const year = date.getFullYear();
+  const month = String(date.getMonth() + 1).padStart(2, '0');
+  const day = String(date.getDate()).padStart(2, '0');
+  return `${year}-${month}-${day}`;
+}
+
+/**
+ * Normalize a transaction date value to YYYY-MM-DD
+ * @param {string} value Date value
+ * @returns {string|null} Normalized date or null if invalid
+ */
+function normalizeDate(value) {
+  if (!value) {
+    return null;
+  }
+  const match = String(value).match(/^(\d{4}-\d{2}-\d{2})/);
+  if (match) {
+    return match[1];
+  }
+  const date = new Date(value);
+  return isNaN(date.getTime()) ? null : toLocalYMD(date);
+}
+
+/**
+ * Filter transactions by date range (inclusive)
+ * Transactions without a usable date are kept so later validation can report them.
+ * @param {Array} transactions Transactions to filter
+ * @param {string} startDate Start date (YYYY-MM-DD)
+ * @param {string} endDate End date (YYYY-MM-DD)
+ * @returns {Array} Filtered transactions
+ */
+export function filterByDateRange(transactions, startDate, endDate) {
+  return transactions.filter((t) => {
+    const date = normalizeDate(t.date || t.filled || t.submitted);
+    if (!date) {
+      return true;
+    }
+    if (startDate && date < startDate) {
+      return false;
+    }
+    if (endDate && date > endDate) {
+      return false;
+    }
+    return true;
+  });
+}
+
+/**
+ * Get the shortest activity page timeframe that covers a start date
+ * @param {string} startDate Start date (YYYY-MM-DD)
+ * @param {Date} [today] Reference date
+ * @returns {string} Timeframe value for the activity page URL
+ */
+export function getCoveringTimeframe(startDate, today = new Date()) {
+  if (!startDate) {
+    return 'all';
+  }
+
+  const todayUtc = Date.UTC(today.getFullYear(), today.getMonth(), today.getDate());
+  const start = new Date(`${startDate}T00:00:00Z`).getTime();
+  const daysBack = Math.ceil((todayUtc - start) / (24 * 60 * 60 * 1000));
+
+  const match = TIMEFRAME_DAYS.find(({ days }) => daysBack <= days);
+  return match ? match.timeframe : 'all';
+}
+
+/**
+ * Check whether a timeframe reaches back to a start date
+ * @param {string} timeframe Activity page timeframe
+ * @param {string} startDate Start date (YYYY-MM-DD)
+ * @param {Date} [today] Reference date
+ * @returns {boolean} True if the timeframe covers the start date
+ */
+export function timeframeCovers(timeframe, startDate, today = new Date()) {
+  if (timeframe === 'all' || !startDate) {
+    return true;
+  }
+  const needed = getCoveringTimeframe(startDate, today);
+  if (needed === 'all') {
+    return false;
+  }
+  const order = TIMEFRAME_DAYS.map((entry) => entry.timeframe);
+  return order.indexOf(timeframe) >= order.indexOf(needed);
+}
+
+export default {
+  TIMEFRAME_DAYS,
+  isValidYMD,
+  daysBetween,
+  filterByDateRange,
+  getCoveringTimeframe,
+  timeframeCovers
+};
@@ -0,0 +1,112 @@
+import { classifyTransaction, TRANSACTION_TYPES } from './transaction-types.js';
+import { escapeRegExp } from './util/regex-helpers.js';
+
+/**
+ * Accounts at other institutions, from config.toml
+ *
+ * EFTs and institutional transfers to or from another bank only show the institution
+ * ("TD", "Questrade"...) in their subheading, from/to or description. An [[externalAccounts]]
+ * entry maps those institution names to an existing ActualBudget account, so the transaction is
+ * imported as a transfer to that account instead of a payment to a payee:
+ *
+ *   [[externalAccounts]]
+ *   name = "TD Chequing"
+ *   institution = ["TD", "TD Canada Trust"]
+ *   actualAccountId = "uuid-of-td-chequing"
+ */
+
+/**
+ * Types that move money to or from another institution
+ */
+const EXTERNAL_TYPES = [
+  TRANSACTION_TYPES.EFT_IN,
+  TRANSACTION_TYPES.EFT_OUT,
+  TRANSACTION_TYPES.INSTITUTIONAL_TRANSFER,
+  TRANSACTION_TYPES.DEPOSIT,
+  TRANSACTION_TYPES.WITHDRAWAL
+];
+
+/**
+ * Read the [[externalAccounts]] entries from config.toml
+ * Entries without an actualAccountId or an institution are ignored with a warning.
+ * @param {Array} [entries] The [[externalAccounts]] entries
+ * @returns {Array} External accounts {name, actualAccountId, institutions, patterns}
+ */
+export function resolveExternalAccounts(entries) {
+  if (!Array.isArray(entries)) {
+    return [];
+  }
+
+  const resolved = [];
+  for (const entry of entries) {
+    const institutions = [entry?.institution]
+      .flat()
+      .filter((institution) => typeof institution === 'string' && institution.trim())
+      .map((institution) => institution.trim());
+    const name = typeof entry?.name === 'string' && entry.name.trim() ? entry.name.trim() : null;
+    const label = name || institutions[0] || 'unnamed';
+
+    if (!entry?.actualAccountId || institutions.length === 0) {
+      console.warn(
+        `Ignoring external account '${label}' in [[externalAccounts]]: it needs an institution and an actualAccountId`
+      );
+      continue;
+    }
+
+    resolved.push({
+      name: label,
+      actualAccountId: entry.actualAccountId,
+      institutions,
+      // Whole words only, so "TD" does not match "STD"
+      patterns: institutions.map(
+        (institution) => new RegExp(`(^|[^a-z0-9])${escapeRegExp(institution)}($|[^a-z0-9])`, 'i')
+      )
+    });
+  }
+
+  return resolved;
+}
+
+/**
+ * Find the external account on the other side of a transaction
+ * The institution is looked for in the subheading, the other side of from/to, and the description.
+ * @param {Array} externalAccounts External accounts from resolveExternalAccounts
+ * @param {Object} transaction WealthSimple transaction
+ * @returns {Object|null} External account or null
+ */
+export function findExternalAccount(externalAccounts, transaction) {
+  if (!externalAccounts?.length || !EXTERNAL_TYPES.includes(classifyTransaction(transaction))) {
+    return null;
+  }
+
+  const counterparty = [transaction.from, transaction.to].filter(
+    (name) => name && name !== transaction.account
+  );
+  const texts = [transaction.subheading, ...counterparty, transaction.description].filter(Boolean);
+
+  return (
+    externalAccounts.find((externalAccount) =>
+      externalAccount.patterns.some((pattern) => texts.some((text) => pattern.test(text)))
+    ) || null
+  );
+}
+
+/**
+ * Find an external account by name
+ * @param {string} name External account name
+ * @param {Array} externalAccounts External accounts from resolveExternalAccounts
+ * @returns {Object|null} Resolved account {accountId, accountName} or null
+ */
+export function resolveExternalAccount(name, externalAccounts) {
+  const externalAccount = externalAccounts?.find((account) => account.name === name);
+  if (!externalAccount) {
+    return null;
+  }
+  return { accountId: externalAccount.actualAccountId, accountName: externalAccount.name };
+}
+
+export default {
+  resolveExternalAccounts,
+  findExternalAccount,
+  resolveExternalAccount
+};
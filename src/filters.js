@@ -0,0 +1,199 @@
+import { DEFAULT_EXCLUDED_TYPES, transformTransaction } from './transformer.js';
+import { compileConditions, matchesConditions, needsTransformed } from './rules.js';
+import { COUNTERPARTY_TRANSACTION_TYPES, classifyTransaction } from './transaction-types.js';
+
+/**
+ * Transaction filters from config.toml
+ *
+ * The [filters] table decides which scraped transactions are imported at all:
+ *
+ *   [filters]
+ *   excludeTypes = ["trade", "Funds converted"]        # replaces the built-in investment types
+ *   counterpartyTypes = ["interac_in", "interac_out"]  # from/to name the other party, not an account
+ *
+ *   [[filters.exclude]]
+ *   name = "Round-ups"
+ *   type = "Round-up"
+ *
+ *   [[filters.include]]
+ *   account = "TFSA"
+ *   type = ["Contribution", "Dividend"]
+ *
+ * Filters take the same conditions as [[rules]]. An include filter with an `account` only applies
+ * to that account: its transactions must match one of the include filters that apply to it, and
+ * transactions of other accounts are left alone. Exclude filters remove whatever they match.
+ */
+
+/**
+ * Canonical types whose from/to name the other party of the transaction, not a WealthSimple account
+ */
+export const DEFAULT_COUNTERPARTY_TYPES = COUNTERPARTY_TRANSACTION_TYPES;
+
+/**
+ * Name reported for transactions removed by excludeTypes
+ */
+export const EXCLUDED_TYPES_FILTER = 'Internal investment types (excludeTypes)';
+
+/**
+ * Name reported for transactions no include filter matched
+ */
+export const NOT_INCLUDED_FILTER = 'Not matched by an include filter';
+
+/**
+ * Normalize a list of types from config.toml
+ * @param {string} key Config key for error messages
+ * @param {Array<string>|undefined} types Types from config.toml
+ * @param {Array<string>} defaults Lowercase defaults
+ * @returns {Array<string>} Lowercase types
+ */
+function compileTypeList(key, types, defaults) {
+  if (types === undefined) {
+    return [...defaults];
+  }
+  if (!Array.isArray(types)) {
+    throw new Error(`[filters] ${key} must be an array of transaction types`);
+  }
+  return types.map((type) => String(type).trim().toLowerCase()).filter(Boolean);
+}
+
+/**
+ * Compile [[filters.include]] or [[filters.exclude]] entries
+ * @param {string} kind 'include' or 'exclude'
+ * @param {Array|undefined} entries Filters from config.toml
+ * @returns {Array} Compiled filters {name, conditions}
+ */
+function compileFilterList(kind, entries) {
+  if (entries === undefined) {
+    return [];
+  }
+  if (!Array.isArray(entries)) {
+    throw new Error(
+      `filters.${kind} in config.toml must be an array of tables ([[filters.${kind}]])`
+    );
+  }
+
+  return entries.map((entry, index) => {
+    const name = entry?.name || `${kind === 'include' ? 'Include' : 'Exclude'} ${index + 1}`;
+    return {
+      name,
+      conditions: compileConditions(`Filter "${name}"`, entry || {}, ['name'])
+    };
+  });
+}
+
+/**
+ * Compile the [filters] table from config.toml
+ * @param {Object} [filters] The [filters] table
+ * @returns {Object} Compiled filters {excludeTypes, counterpartyTypes, include, exclude}
+ */
+export function compileFilters(filters = {}) {
+  const table = filters || {};
+  return {
+    excludeTypes: compileTypeList('excludeTypes', table.excludeTypes, DEFAULT_EXCLUDED_TYPES),
+    counterpartyTypes: compileTypeList(
+      'counterpartyTypes',
+      table.counterpartyTypes,
+      DEFAULT_COUNTERPARTY_TYPES
+    ),
+    include: compileFilterList('include', table.include),
+    exclude: compileFilterList('exclude', table.exclude)
+  };
+}
+
+/**
+ * Check whether an include filter applies to a transaction's account
+ * @param {Object} filter Compiled filter
+ * @param {Object} transaction WealthSimple transaction
+ * @returns {boolean} True if the filter has no account or names this account
+ */
+function appliesToAccount(filter, transaction) {
+  const accounts = filter.conditions.account;
+  return (
+    !accounts ||
+    accounts.includes(
+      String(transaction.account || '')
+        .trim()
+        .toLowerCase()
+    )
+  );
+}
+
+/**
+ * Get the name of the filter that removes a transaction
+ * @param {Object} transaction WealthSimple transaction
+ * @param {Object} filters Compiled filters
+ * @param {Function} getTransformed Returns the transformed transaction (computed on first use)
+ * @param {Function} isDetailedAccount Checks whether the transaction's account imports trades
+ * @returns {string|null} Filter name, or null if the transaction is kept
+ */
+function getRemovingFilter(transaction, filters, getTransformed, isDetailedAccount) {
+  const matches = (filter) =>
+    matchesConditions(
+      filter.conditions,
+      transaction,
+      needsTransformed(filter.conditions) ? getTransformed() : {}
+    );
+
+  const type = (transaction.type || '').toLowerCase();
+  const isExcludedType =
+    filters.excludeTypes.includes(type) ||
+    filters.excludeTypes.includes(classifyTransaction(transaction));
+  if (isExcludedType && !isDetailedAccount(transaction)) {
+    return EXCLUDED_TYPES_FILTER;
+  }
+
+  const includes = filters.include.filter((filter) => appliesToAccount(filter, transaction));
+  if (includes.length > 0 && !includes.some(matches)) {
+    return NOT_INCLUDED_FILTER;
+  }
+
+  const exclude = filters.exclude.find(matches);
+  return exclude ? exclude.name : null;
+}
+
+/**
+ * Apply [filters] to WealthSimple transactions
+ * Amount and payee conditions compare against the transformed transaction, like [[rules]].
+ * @param {Array} transactions WealthSimple transactions
+ * @param {Object} [filters] Compiled filters (defaults to the built-in ones)
+ * @param {Object} [options] Filter options
+ * @param {string} [options.timeZone] Timezone used when transforming for amount conditions
+ * @param {Function} [options.isDetailedAccount] Checks whether a transaction's account is in
+ *   detailed investment mode, which keeps the types excludeTypes would remove
+ * @returns {Object} {kept: Array, removed: Map of filter name → count}
+ */
+export function applyFilters(transactions, filters = compileFilters(), options = {}) {
+  const kept = [];
+  const removed = new Map();
+
+  for (const transaction of transactions) {
+    let transformed = null;
+    const getTransformed = () => {
+      transformed =
+        transformed || transformTransaction(transaction, { timeZone: options.timeZone });
+      return transformed;
+    };
+
+    const filterName = getRemovingFilter(
+      transaction,
+      filters,
+      getTransformed,
+      options.isDetailedAccount || (() => false)
+    );
+    if (filterName) {
+      removed.set(filterName, (removed.get(filterName) || 0) + 1);
+    } else {
+      kept.push(transaction);
+    }
+  }
+
+  return { kept, removed };
+}
+
+export default {
+  DEFAULT_COUNTERPARTY_TYPES,
+  EXCLUDED_TYPES_FILTER,
+  NOT_INCLUDED_FILTER,
+  compileFilters,
+  applyFilters
+};
@@ -0,0 +1,200 @@
+import { DEFAULT_SELECTORS } from './selectors.js';
+import { listAccountDetailUrls, parseBalanceText } from './scraper-balance-detail.js';
+
+/**
+ * Investment positions read from each account's detail page
+ *
+ * A holding is { account, symbol, quantity, bookValue, marketValue, currency }, with values
+ * in the position's currency.
+ */
+
+const CSV_COLUMNS = ['account', 'symbol', 'quantity', 'bookValue', 'marketValue', 'currency'];
+
+/**
+ * Parse a displayed quantity such as "1,250.5" or "12 shares"
+ * @param {string} text Quantity text
+ * @returns {number|null} Quantity or null if no number is found
+ */
+export function parseQuantity(text) {
+  const match = String(text || '').match(/-?[\d,]*\.?\d+/);
+  if (!match) {
+    return null;
+  }
+  const quantity = parseFloat(match[0].replace(/,/g, ''));
+  return isNaN(quantity) ? null : quantity;
+}
+
+/**
+ * Turn the cell text of one holdings row into a holding
+ * @param {string} account WealthSimple account name
+ * @param {Object} cells {symbol, quantity, bookValue, marketValue} cell text
+ * @returns {Object|null} Holding or null if the row has no symbol
+ */
+export function parseHolding(account, cells) {
+  const symbol = cells.symbol?.replace(/\s+/g, ' ').trim();
+  if (!symbol) {
+    return null;
+  }
+
+  const bookValue = parseBalanceText(cells.bookValue);
+  const marketValue = parseBalanceText(cells.marketValue);
+
+  return {
+    account,
+    symbol,
+    quantity: parseQuantity(cells.quantity),
+    bookValue: bookValue ? bookValue.balance : null,
+    marketValue: marketValue ? marketValue.balance : null,
+    currency: marketValue?.currency || bookValue?.currency || null
+  };
+}
+
+/**
+ * Total market value per account
+ * Only positions count: the account's cash is not part of the total, so it is meant for a
+ * tracking account that holds the positions alone. Accounts holding positions in more than one
+ * currency are left out, since their total cannot be expressed as a single balance.
+ * @param {Array} holdings Holdings from scrapeHoldings
+ * @returns {Array} Array of {name, balance, currency}, usable with adjustAccountBalances
+ */
+export function summarizeHoldings(holdings) {
+  const byAccount = new Map();
+
+  for (const holding of holdings) {
+    if (holding.marketValue === null) {
+      continue;
+    }
+    const totals = byAccount.get(holding.account) || new Map();
+    totals.set(holding.currency, (totals.get(holding.currency) || 0) + holding.marketValue);
+    byAccount.set(holding.account, totals);
+  }
+
+  const summaries = [];
+  for (const [name, totals] of byAccount) {
+    if (totals.size > 1) {
+      console.warn(
+        `Account "${name}" holds positions in ${Array.from(totals.keys()).join(' and ')} - no single market value`
+      );
+      continue;
+    }
+    const [[currency, total]] = totals;
+    summaries.push({ name, balance: Math.round(total * 100) / 100, currency });
+  }
+
+  return summaries;
+}
+
+/**
+ * Quote a CSV field when needed
+ * @param {*} value Field value
+ * @returns {string} CSV field
+ */
+function toCsvField(value) {
+  if (value === null || value === undefined) {
+    return '';
+  }
+  const text = String(value);
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Format holdings as CSV with a header row
+ * @param {Array} holdings Holdings from scrapeHoldings
+ * @returns {string} CSV text
+ */
+export function formatHoldingsCsv(holdings) {
+  const lines = [CSV_COLUMNS.join(',')];
+  for (const holding of holdings) {
+    lines.push(CSV_COLUMNS.map((column) => toCsvField(holding[column])).join(','));
+  }
+  return `${lines.join('\n')}\n`;
+}
+
+/**
+ * Read the positions of every account by visiting each account's detail page
+ * Progress goes to stderr, since the holdings are written to stdout.
+ * @param {Object} context - Browser context (from Playwright)
+ * @param {Object} options - Options
+ * @param {boolean} options.verbose - Log detailed progress
+ * @param {Object} options.selectors - Selector profile from resolveSelectors
+ * @returns {Promise<Array>} - Array of holdings
+ */
+export async function scrapeHoldings(
+  context,
+  { verbose = false, selectors = DEFAULT_SELECTORS } = {}
+) {
+  const pages = context.pages();
+  const page = pages.length > 0 ? pages[0] : await context.newPage();
+
+  console.error('Waiting for WealthSimple accounts to load (timeout: 5 minutes)...');
+  console.error('Please log in to WealthSimple if prompted.');
+  const accountUrls = await listAccountDetailUrls(page, {
+    verbose,
+    selectors,
+    timeoutMs: 300000
+  });
+  if (verbose) {
+    console.error(`Found ${accountUrls.length} account detail pages`);
+  }
+
+  const holdings = [];
+  let pagesWithRows = 0;
+  for (const url of accountUrls) {
+    await page.goto(url, { waitUntil: 'domcontentloaded', timeout: 60000 });
+
+    try {
+      await page.waitForSelector(selectors.holdingRow, { timeout: 10000 });
+    } catch (error) {
+      // Cash accounts have no positions
+      if (verbose) {
+        console.error(`  No positions on ${url}`);
+      }
+      continue;
+    }
+    pagesWithRows++;
+
+    const { name, rows } = await page.evaluate((sel) => {
+      /* eslint-disable no-undef */
+      const readCell = (row, cellSelector) => row.querySelector(cellSelector)?.textContent || null;
+      return {
+        name: document.querySelector(sel.accountDetailName)?.textContent || null,
+        rows: Array.from(document.querySelectorAll(sel.holdingRow)).map((row) => ({
+          symbol: readCell(row, sel.holdingSymbol),
+          quantity: readCell(row, sel.holdingQuantity),
+          bookValue: readCell(row, sel.holdingBookValue),
+          marketValue: readCell(row, sel.holdingMarketValue)
+        }))
+      };
+    }, selectors);
+
+    const account = name?.replace(/\s+/g, ' ').trim();
+    if (!account) {
+      console.warn(`Could not read the account name on ${url} - skipping its positions`);
+      continue;
+    }
+
+    const accountHoldings = rows.map((cells) => parseHolding(account, cells)).filter(Boolean);
+    if (verbose) {
+      console.error(`  ${account}: ${accountHoldings.length} positions`);
+    }
+    holdings.push(...accountHoldings);
+  }
+
+  // The holding selectors are not confirmed against captured markup yet, so a page layout
+  // they miss must not pass for accounts that hold nothing
+  if (accountUrls.length > 0 && pagesWithRows === 0) {
+    console.warn(
+      `No positions found on any of ${accountUrls.length} account detail pages - if your investment accounts hold positions, override the holding selectors under [scraper.selectors]`
+    );
+  }
+
+  return holdings;
+}
+
+export default {
+  parseQuantity,
+  parseHolding,
+  summarizeHoldings,
+  formatHoldingsCsv,
+  scrapeHoldings
+};
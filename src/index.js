@@ -1,32 +1,174 @@
-import { scrapeTransactions } from './scraper.js';
+import { writeFile } from 'fs/promises';
+import { scrapeTransactions, replaySnapshot, openBrowserContext } from './scraper.js';
+import { scrapeAccountBalancesFromDetails } from './scraper-balance-detail.js';
 import { scrapeAccountBalancesV2 } from './scraper-balance-v2.js';
+import { parseCSV, validateCSV } from './csv-parser.js';
+import { summarizeExtraFields } from './parser.js';
+import { filterByDateRange } from './date-range.js';
 import { createClient } from './actual-client.js';
+import { applyLearnedCategories } from './categories.js';
+import { applyFilters } from './filters.js';
 import {
+  loadPayeeAliases,
+  savePayeeAliases,
+  resolvePayeeAliases,
+  setPayeeAlias,
+  removePayeeAlias
+} from './payee-aliases.js';
+import {
+  transformTransaction,
   transformTransactions,
+  linkCardPayments,
   calculateStatistics,
-  validateTransaction,
-  shouldIncludeTransaction
+  validateTransaction
 } from './transformer.js';
-import { getConfig, validateConfig, loadConfig, saveConfig, resolveAccount } from './config.js';
-import { formatTransactionsTable } from './table-formatter.js';
+import { classifyTransaction, isCreditCardAccount } from './transaction-types.js';
+import { findUnknownContacts, promptForContacts } from './contacts.js';
+import { resolveExternalAccount } from './external-accounts.js';
+import { createReadlineInterface } from './util/prompt-helpers.js';
+import {
+  getConfig,
+  validateConfig,
+  loadConfig,
+  saveConfig,
+  resolveAccount,
+  DEFAULT_CURRENCY
+} from './config.js';
+import {
+  formatTransactionsTable,
+  formatStatistics,
+  formatRuleHits,
+  formatFilterCounts,
+  formatPayeeAliases
+} from './table-formatter.js';
 import { getUniqueAccounts } from './account-mapper.js';
+import { getOverriddenSelectors } from './selectors.js';
+import { scrapeHoldings, summarizeHoldings, formatHoldingsCsv } from './holdings.js';
+import { loadWatermarks, saveWatermarks, advanceWatermark, getCutoffDate } from './watermark.js';
+import {
+  loadPendingTransactions,
+  savePendingTransactions,
+  trackImportedPending,
+  applyPendingLifecycle,
+  reconcilePending,
+  getOldestPendingDate
+} from './pending.js';
 
 // Re-export setup functions
 export { setup, setupAccounts } from './setup.js';
 
+/**
+ * Read transactions from one or more WealthSimple CSV exports
+ * @param {Array<string>} filePaths Paths to CSV files
+ * @param {boolean} verbose Show detailed output
+ * @param {string} timeZone Timezone for transaction dates
+ * @returns {Promise<Array>} Parsed transactions from all files
+ */
+async function readCsvTransactions(filePaths, verbose = false, timeZone = undefined) {
+  const transactions = [];
+
+  for (const filePath of filePaths) {
+    const validation = await validateCSV(filePath);
+    if (!validation.isValid) {
+      throw new Error(`Invalid CSV file ${filePath}: ${validation.message}`);
+    }
+
+    const parsed = await parseCSV(filePath, { verbose, timeZone });
+    if (verbose) {
+      console.log(`Read ${parsed.length} transactions from ${filePath}`);
+    }
+    transactions.push(...parsed);
+  }
+
+  return transactions;
+}
+
+/**
+ * Log the unrecognized activity page fields kept in each transaction's extra map
+ * so new data WealthSimple starts showing gets noticed
+ * @param {Array} transactions Parsed transactions
+ */
+function reportExtraFields(transactions) {
+  const fields = summarizeExtraFields(transactions);
+  if (fields.length === 0) {
+    return;
+  }
+
+  console.log('\nNew fields seen on the activity page (kept in "extra"):');
+  fields.forEach(({ field, count, example }) => {
+    console.log(`  ${field}: ${count} transactions (e.g. "${example}")`);
+  });
+}
+
+/**
+ * Split an account's transactions by the currency of their amounts
+ * @param {Array} transactions Parsed transactions of one WealthSimple account
+ * @returns {Map} Transactions keyed by currency code
+ */
+function groupByCurrency(transactions) {
+  const byCurrency = new Map();
+  for (const transaction of transactions) {
+    const currency = (transaction.amountCurrency || DEFAULT_CURRENCY).toUpperCase();
+    if (!byCurrency.has(currency)) {
+      byCurrency.set(currency, []);
+    }
+    byCurrency.get(currency).push(transaction);
+  }
+  return byCurrency;
+}
+
+/**
+ * Run a function with console.log and console.info writing to stderr
+ * Keeps status and progress messages out of the data commands write to stdout.
+ * @param {Function} fn - Async function to execute
+ * @returns {Promise<any>} Result of the function
+ */
+async function logToStderr(fn) {
+  const originalLog = console.log;
+  const originalInfo = console.info;
+
+  console.log = console.error;
+  console.info = console.error;
+
+  try {
+    return await fn();
+  } finally {
+    console.log = originalLog;
+    console.info = originalInfo;
+  }
+}
+
+/**
+ * Get the oldest transaction date per WealthSimple account
+ * @param {Array} transactions Transformed transactions
+ * @returns {Object} Oldest date (YYYY-MM-DD) keyed by account name
+ */
+function getOldestDateByAccount(transactions) {
+  const oldest = {};
+  transactions.forEach((transaction) => {
+    const account = transaction.Account;
+    if (transaction.Date && (!oldest[account] || transaction.Date < oldest[account])) {
+      oldest[account] = transaction.Date;
+    }
+  });
+  return oldest;
+}
+
 /**
  * Main import function
  * @param {Object} options CLI options
  * @returns {Promise<Object>} Import results
  */
 export async function importTransactions(options = {}) {
-  const config = await getConfig(options, !options.dryRun);
+  // Learning categories reads the budget, so it connects even for a dry run
+  const needsServer = !options.dryRun || options.learnCategories === true;
+  const config = await getConfig(options, needsServer);
   const fullConfig = await loadConfig(options.config);
   let client = null;
 
   try {
     // Validate configuration
-    if (!options.dryRun) {
+    if (needsServer) {
       validateConfig(config);
     }
 
@@ -36,34 +178,99 @@ export async function importTransactions(options = {}) {
         budgetId: config.budgetId ? '***' : undefined,
         dryRun: config.dryRun
       });
-    }
 
-    // Scrape transactions from WealthSimple
-    if (options.remoteBrowserUrl) {
-      console.log('Connecting to remote browser to extract transactions from WealthSimple...');
-    } else {
-      console.log('Launching browser to extract transactions from WealthSimple...');
+      const overriddenSelectors = getOverriddenSelectors(config.selectors);
+      if (overriddenSelectors.length > 0) {
+        console.log(`Selector overrides from config: ${overriddenSelectors.join(', ')}`);
+      }
     }
 
+    const csvFiles = options.fromCsv || [];
+    const watermarks = await loadWatermarks();
+    const pendingTransactions = await loadPendingTransactions();
+    const payeeAliases = await loadPayeeAliases();
+
     // Keep context open if we need to scrape balances later
-    const keepContextOpen = !config.dryRun && options.adjustBalances;
-    const scrapeResult = await scrapeTransactions({
-      verbose: config.verbose,
-      remoteBrowserUrl: options.remoteBrowserUrl,
-      keepContextOpen: keepContextOpen,
-      timeframe: options.timeframe || 'last-30-days',
-      browserExecutablePath: config.browserExecutablePath,
-      browserUserDataDir: config.browserUserDataDir,
-      browserLaunchOptions: config.browserLaunchOptions
-    });
+    const keepContextOpen = !config.dryRun && options.adjustBalances && csvFiles.length === 0;
 
-    // Extract transactions and context from result
     let rawTransactions, browserContext;
-    if (keepContextOpen) {
-      rawTransactions = scrapeResult.transactions;
-      browserContext = scrapeResult.context;
+    if (csvFiles.length > 0) {
+      // Read transactions from CSV exports without launching a browser
+      console.log(`Reading transactions from ${csvFiles.length} CSV file(s)...`);
+      rawTransactions = await readCsvTransactions(csvFiles, config.verbose, config.timeZone);
+
+      if (options.adjustBalances) {
+        console.log(
+          '⚠️  Warning: --adjust-balances requires the browser and is ignored with --from-csv'
+        );
+      }
     } else {
-      rawTransactions = scrapeResult;
+      // Scrape transactions from WealthSimple
+      if (options.remoteBrowserUrl) {
+        console.log('Connecting to remote browser to extract transactions from WealthSimple...');
+      } else {
+        console.log('Launching browser to extract transactions from WealthSimple...');
+      }
+
+      // Incremental runs stop scraping at the oldest last-imported transaction
+      let stopBeforeDate = null;
+      if (options.incremental) {
+        const mappedAccounts = (fullConfig.accounts || [])
+          .map((account) => account.wsAccountName)
+          .filter(Boolean);
+        stopBeforeDate = getCutoffDate(watermarks, options.account || [], mappedAccounts);
+        if (stopBeforeDate) {
+          console.log(`Incremental mode: scraping transactions since ${stopBeforeDate}`);
+        } else {
+          console.log('Incremental mode: no previous import recorded, scraping full timeframe');
+        }
+
+        // Tracked pending transactions have to be seen again to settle them
+        const oldestPendingDate = getOldestPendingDate(pendingTransactions);
+        if (stopBeforeDate && oldestPendingDate && oldestPendingDate < stopBeforeDate) {
+          stopBeforeDate = oldestPendingDate;
+        }
+      }
+
+      // Nothing before --since is needed either
+      if (options.since && (!stopBeforeDate || options.since > stopBeforeDate)) {
+        stopBeforeDate = options.since;
+      }
+
+      const scrapeResult = await scrapeTransactions({
+        verbose: config.verbose,
+        remoteBrowserUrl: options.remoteBrowserUrl,
+        keepContextOpen: keepContextOpen,
+        timeframe: options.timeframe || 'last-30-days',
+        extractionMode: options.extractionMode || 'dom',
+        stopBeforeDate,
+        selectors: config.selectors,
+        timeZone: config.timeZone,
+        browserExecutablePath: config.browserExecutablePath,
+        browserUserDataDir: config.browserUserDataDir,
+        browserLaunchOptions: config.browserLaunchOptions
+      });
+
+      // Extract transactions and context from result
+      if (keepContextOpen) {
+        rawTransactions = scrapeResult.transactions;
+        browserContext = scrapeResult.context;
+      } else {
+        rawTransactions = scrapeResult;
+      }
+    }
+
+    if (config.verbose) {
+      reportExtraFields(rawTransactions);
+    }
+
+    // Restrict to the requested date window before any filtering or transformation
+    if (options.since || options.until) {
+      const beforeWindow = rawTransactions.length;
+      rawTransactions = filterByDateRange(rawTransactions, options.since, options.until);
+      console.log(
+        `Date window ${options.since || 'start'} to ${options.until || 'today'}: ${rawTransactions.length} of ${beforeWindow} transactions`
+      );
     }
 
     if (rawTransactions.length === 0) {
@@ -71,16 +278,38 @@ export async function importTransactions(options = {}) {
       return { imported: 0, failed: 0, duplicates: 0 };
     }
 
-    // Filter out investment transactions that don't change account balance
-    const filteredCount = rawTransactions.length;
-    const wsTransactions = rawTransactions.filter(shouldIncludeTransaction);
-    const excludedCount = filteredCount - wsTransactions.length;
+    // Filter out investment transactions that don't change account balance, and [filters]
+    // Accounts in detailed investment mode keep their trades
+    const { kept: filteredTransactions, removed: filterCounts } = applyFilters(
+      rawTransactions,
+      config.filters,
+      {
+        timeZone: config.timeZone,
+        isDetailedAccount: (transaction) =>
+          resolveAccount(transaction.account || '', fullConfig, transaction.amountCurrency)
+            ?.investmentMode === 'detailed'
+      }
+    );
 
-    if (excludedCount > 0 && config.verbose) {
-      console.log(`Filtered out ${excludedCount} internal investment transactions`);
+    if (filterCounts.size > 0 && config.verbose) {
+      filterCounts.forEach((count, filterName) => {
+        console.log(`Filtered out ${count} transaction(s): ${filterName}`);
+      });
     }
 
+    // Card payments from another mapped account are transfers into the credit card account
+    const cardAccounts = [
+      ...new Set([
+        ...filteredTransactions.map((transaction) => transaction.account),
+        ...(fullConfig.accounts || []).map((account) => account.wsAccountName)
+      ])
+    ].filter((name) => isCreditCardAccount(name) && resolveAccount(name, fullConfig) !== null);
+    const wsTransactions = linkCardPayments(filteredTransactions, cardAccounts);
+
     if (wsTransactions.length === 0) {
+      if (config.dryRun) {
+        console.log(formatFilterCounts(filterCounts));
+      }
       console.log('No transactions to import after filtering');
       return { imported: 0, failed: 0, duplicates: 0 };
     }
@@ -90,7 +319,7 @@ export async function importTransactions(options = {}) {
     }
 
     // Get unique accounts
-    let uniqueAccounts = getUniqueAccounts(wsTransactions);
+    let uniqueAccounts = getUniqueAccounts(wsTransactions, config.filters.counterpartyTypes);
     if (config.verbose) {
       console.log(`Accounts found: ${uniqueAccounts.join(', ')}`);
     }
@@ -139,7 +368,7 @@ export async function importTransactions(options = {}) {
     // Account configuration is already loaded in fullConfig
 
     // Connect to ActualBudget (unless dry run)
-    if (!config.dryRun) {
+    if (needsServer) {
       if (config.verbose) {
         console.log('Connecting to ActualBudget...');
       }
@@ -158,12 +387,47 @@ export async function importTransactions(options = {}) {
       }
     }
 
+    // Name e-Transfer contacts seen for the first time; they are saved to [contacts] after the import
+    if (!config.dryRun && options.contactPrompt !== false && process.stdin.isTTY) {
+      const unknownContacts = findUnknownContacts(
+        wsTransactions.filter(
+          (transaction) =>
+            uniqueAccounts.includes(transaction.account) &&
+            resolveAccount(transaction.account, fullConfig, transaction.amountCurrency) !== null
+        ),
+        config.contacts
+      );
+      if (unknownContacts.length > 0) {
+        const rl = createReadlineInterface();
+        try {
+          for (const { email, payee } of await promptForContacts(unknownContacts, rl)) {
+            config.contacts.set(email, { payee, category: null });
+            fullConfig.contacts = { ...fullConfig.contacts, [email]: payee };
+          }
+        } finally {
+          rl.close();
+        }
+      }
+    }
+
+    let categoryModel = null;
+    if (options.learnCategories) {
+      categoryModel = await client.learnPayeeCategories(config.categories);
+      if (config.verbose) {
+        console.log(
+          `Learned categories for ${categoryModel.size} payee(s) from existing transactions`
+        );
+      }
+    }
+
     // Transform and group transactions
     if (config.verbose) {
       console.log('\nTransforming transactions...');
     }
     const transformedGroups = new Map();
     const skippedAccounts = [];
+    const ruleHits = new Map();
+    const aliasCounts = { renamed: 0, added: 0 };
 
     // Create a function to check if an account name is mapped (for transfer detection)
     const isAccountMapped = (accountName) => {
@@ -199,7 +463,8 @@ export async function importTransactions(options = {}) {
                 }
               });
             } else {
-              // One of the accounts is unmapped, treat as regular transaction
+              // One of the accounts is unmapped, treat as regular transaction. Transfers from
+              // another institution stay here too: the [[externalAccounts]] side is only mirrored
               regularTransactionsByAccount.get(wsAccount).push(transaction);
             }
           } else {
@@ -221,53 +486,98 @@ export async function importTransactions(options = {}) {
       regularTransactionsByAccount.get(transfer.account).push(transfer);
     }
 
-    // Now process all accounts with their corrected transactions
-    for (const [wsAccount, accountTransactions] of regularTransactionsByAccount) {
-      if (accountTransactions.length === 0) {
-        continue;
-      }
+    // Now process all accounts with their corrected transactions.
+    // Each currency of an account is imported separately so USD amounts never land in a CAD account.
+    for (const [wsAccount, allAccountTransactions] of regularTransactionsByAccount) {
+      for (const [currency, accountTransactions] of groupByCurrency(allAccountTransactions)) {
+        // Resolve account
+        const resolved = resolveAccount(wsAccount, fullConfig, currency);
+        const groupName = currency === DEFAULT_CURRENCY ? wsAccount : `${wsAccount} (${currency})`;
+
+        if (!resolved) {
+          // Skip unmapped accounts
+          skippedAccounts.push(groupName);
+          if (currency === DEFAULT_CURRENCY) {
+            console.log(
+              `Skipping unmapped account: ${wsAccount} (${accountTransactions.length} transactions)`
+            );
+          } else {
+            console.log(
+              `Skipping ${currency} transactions of ${wsAccount}: no mapping with currency = "${currency}" (${accountTransactions.length} transactions)`
+            );
+          }
+          continue;
+        }
 
-      // Resolve account
-      const resolved = resolveAccount(wsAccount, fullConfig);
+        // Show mapping type in verbose mode
+        if (config.verbose) {
+          const matchInfo =
+            resolved.matchType === 'interactive' ? 'interactively mapped' : 'exact match';
+          console.log(`Mapped "${groupName}" → "${resolved.accountName}" (${matchInfo})`);
+        }
 
-      if (!resolved) {
-        // Skip unmapped accounts
-        skippedAccounts.push(wsAccount);
-        console.log(
-          `Skipping unmapped account: ${wsAccount} (${accountTransactions.length} transactions)`
-        );
-        continue;
-      }
+        // Transform transactions for this account with transfer detection
+        if (config.verbose) {
+          console.log(
+            `Transforming ${accountTransactions.length} transactions for ${resolved.accountName}`
+          );
+          accountTransactions.forEach((t) => {
+            if (t.from && t.to) {
+              console.log(
+                `  Transfer transaction: from=${t.from}, to=${t.to}, account=${t.account}`
+              );
+            }
+          });
+        }
 
-      // Show mapping type in verbose mode
-      if (config.verbose) {
-        const matchInfo =
-          resolved.matchType === 'interactive' ? 'interactively mapped' : 'exact match';
-        console.log(`Mapped "${wsAccount}" → "${resolved.accountName}" (${matchInfo})`);
-      }
+        let transformed = transformTransactions(accountTransactions, {
+          accountId: resolved.accountId,
+          accountName: resolved.accountName,
+          isAccountMapped: isAccountMapped,
+          timeZone: config.timeZone,
+          notes: config.notes,
+          contacts: config.contacts,
+          externalAccounts: config.externalAccounts,
+          investmentMode: resolved.investmentMode,
+          rules: config.rules,
+          ruleHits,
+          rewards: config.rewards
+        });
 
-      // Transform transactions for this account with transfer detection
-      if (config.verbose) {
-        console.log(
-          `Transforming ${accountTransactions.length} transactions for ${resolved.accountName}`
+        // Trades change holdings, not spending, so they only go to off-budget tracking accounts
+        const actualAccount = client?.accountMap.get(resolved.accountId);
+        if (actualAccount && !actualAccount.offbudget && transformed.some((t) => t._trade)) {
+          console.warn(
+            `Skipping trades for ${groupName}: its ActualBudget account is on budget, trades only go to off-budget accounts`
+          );
+          transformed = transformed.filter((transaction) => !transaction._trade);
+        }
+
+        // Without a connection (dry run), only the saved aliases apply
+        const { renamed, added } = resolvePayeeAliases(
+          transformed,
+          payeeAliases,
+          client ? client.payees : null
         );
-        accountTransactions.forEach((t) => {
-          if (t.from && t.to) {
-            console.log(`  Transfer transaction: from=${t.from}, to=${t.to}, account=${t.account}`);
-          }
+        aliasCounts.renamed += renamed;
+        aliasCounts.added += added;
+
+        if (categoryModel) {
+          applyLearnedCategories(transformed, categoryModel);
+        }
+
+        transformedGroups.set(groupName, {
+          transactions: transformed,
+          accountInfo: resolved,
+          wsAccount
         });
       }
+    }
 
-      const transformed = transformTransactions(accountTransactions, {
-        accountId: resolved.accountId,
-        accountName: resolved.accountName,
-        isAccountMapped: isAccountMapped
-      });
-
-      transformedGroups.set(wsAccount, {
-        transactions: transformed,
-        accountInfo: resolved
-      });
+    if (aliasCounts.renamed > 0 && config.verbose) {
+      console.log(
+        `Renamed ${aliasCounts.renamed} payee(s) to existing payees (${aliasCounts.added} new alias(es), review with: ws-actual payees aliases)`
+      );
     }
 
     if (skippedAccounts.length > 0) {
@@ -301,7 +611,8 @@ export async function importTransactions(options = {}) {
       if (validTransactions.length > 0) {
         validatedGroups.set(wsAccount, {
           transactions: validTransactions,
-          accountInfo: group.accountInfo
+          accountInfo: group.accountInfo,
+          wsAccount: group.wsAccount
         });
       }
     });
@@ -313,6 +624,30 @@ export async function importTransactions(options = {}) {
     // Use validated groups for the rest of the import
     const transformedGroupsToImport = validatedGroups;
 
+    // Settle, update or remove tracked pending transactions instead of importing them again.
+    // Only a browser scrape without an end date lists everything still on the activity page,
+    // so only then can a tracked transaction that is missing count as dropped. Missing means
+    // missing from the scrape itself: filters, rules and validation never drop a tracked one.
+    const scrapedTransactions = rawTransactions.map((transaction) =>
+      transformTransaction(transaction, { timeZone: config.timeZone })
+    );
+    const lifecycle = reconcilePending(
+      pendingTransactions,
+      Array.from(transformedGroupsToImport.values()).flatMap((group) => group.transactions),
+      {
+        coverage:
+          csvFiles.length === 0 && !options.until
+            ? getOldestDateByAccount(scrapedTransactions)
+            : null,
+        scraped: scrapedTransactions
+      }
+    );
+    transformedGroupsToImport.forEach((group) => {
+      group.transactions = group.transactions.filter(
+        (transaction) => !lifecycle.handled.has(transaction)
+      );
+    });
+
     // Calculate statistics
     const allTransformed = Array.from(transformedGroupsToImport.values()).flatMap(
       (group) => group.transactions
@@ -342,6 +677,7 @@ export async function importTransactions(options = {}) {
       }
 
       console.log('\nImporting transactions...');
+      const failedAccounts = new Set();
 
       for (const [wsAccount, group] of transformedGroupsToImport) {
         const { transactions, accountInfo } = group;
@@ -367,10 +703,9 @@ export async function importTransactions(options = {}) {
 
           // For transfers, resolve the target account ID
           if (transaction._isTransfer && transaction._transferToAccount) {
-            const targetAccountResolved = resolveAccount(
-              transaction._transferToAccount,
-              fullConfig
-            );
+            const targetAccountResolved =
+              resolveAccount(transaction._transferToAccount, fullConfig) ||
+              resolveExternalAccount(transaction._transferToAccount, config.externalAccounts);
             if (targetAccountResolved) {
               // Preserve transfer metadata with resolved account ID
               processedTransaction._isTransfer = transaction._isTransfer;
@@ -412,13 +747,38 @@ export async function importTransactions(options = {}) {
         importResults.imported.push(...results.imported);
         importResults.failed.push(...results.failed);
         importResults.duplicates.push(...results.duplicates);
+
+        trackImportedPending(pendingTransactions, results.imported);
+
+        if (results.failed.length > 0) {
+          failedAccounts.add(group.wsAccount);
+        }
+      }
+
+      // Only advance the watermark when every transaction for the account made it in
+      for (const group of transformedGroupsToImport.values()) {
+        if (!failedAccounts.has(group.wsAccount)) {
+          advanceWatermark(watermarks, group.wsAccount, group.transactions);
+        }
       }
 
+      const lifecycleResults = await applyPendingLifecycle(
+        client,
+        pendingTransactions,
+        lifecycle,
+        config.verbose
+      );
+
       // Sync with server
       if (config.verbose) {
         console.log('\nSyncing with ActualBudget server...');
       }
       await client.sync();
+      await saveWatermarks(watermarks);
+      await savePendingTransactions(pendingTransactions);
+      if (aliasCounts.added > 0) {
+        await savePayeeAliases(payeeAliases);
+      }
 
       // Save updated configuration
       if ((fullConfig.accounts || []).length > 0) {
@@ -430,6 +790,11 @@ export async function importTransactions(options = {}) {
       console.log(`  Imported: ${importResults.imported.length}`);
       console.log(`  Failed: ${importResults.failed.length}`);
       console.log(`  Duplicates: ${importResults.duplicates.length}`);
+      if (lifecycleResults.settled + lifecycleResults.changed + lifecycleResults.removed > 0) {
+        console.log(
+          `  Pending: ${lifecycleResults.settled} settled, ${lifecycleResults.changed} updated, ${lifecycleResults.removed} removed`
+        );
+      }
 
       if (importResults.failed.length > 0 && config.verbose) {
         console.log('\n  Failed transactions:');
@@ -449,6 +814,23 @@ export async function importTransactions(options = {}) {
         return dateA - dateB;
       });
       console.log(formatTransactionsTable(sortedTransactions));
+      if (allTransformed.length > 0) {
+        console.log(formatStatistics(stats));
+      }
+      if (config.rules.length > 0) {
+        console.log(formatRuleHits(config.rules, ruleHits));
+      }
+      if (filterCounts.size > 0) {
+        console.log(formatFilterCounts(filterCounts));
+      }
+
+      const lifecycleChanges =
+        lifecycle.settled.length + lifecycle.changed.length + lifecycle.cancelled.length;
+      if (lifecycleChanges > 0) {
+        console.log(
+          `\nPending transactions: ${lifecycle.settled.length} would be settled, ${lifecycle.changed.length} updated, ${lifecycle.cancelled.length} removed`
+        );
+      }
     }
 
     // Adjust balances if requested
@@ -456,15 +838,30 @@ export async function importTransactions(options = {}) {
       try {
         console.log('\nAdjusting account balances...');
 
-        // Scrape balances from WealthSimple home page
-        const wsBalances = await scrapeAccountBalancesV2(browserContext, config.verbose);
+        // Scrape balances from each account's detail page
+        let wsBalances = await scrapeAccountBalancesFromDetails(
+          browserContext,
+          config.verbose,
+          config.selectors
+        );
+
+        // Fall back to the home page tiles until the detail-page selectors are confirmed
+        if (wsBalances.length === 0) {
+          console.log('No balances found on account detail pages, reading the home page instead');
+          wsBalances = await scrapeAccountBalancesV2(
+            browserContext,
+            config.verbose,
+            config.selectors
+          );
+        }
 
         if (wsBalances.length === 0) {
-          console.log('No account balances found on WealthSimple home page');
+          console.log('No account balances found on WealthSimple');
         } else {
           // Adjust balances in ActualBudget
-          const adjustmentResults = await client.adjustAccountBalances(wsBalances, (accountName) =>
-            resolveAccount(accountName, fullConfig)
+          const adjustmentResults = await client.adjustAccountBalances(
+            wsBalances,
+            (accountName, currency) => resolveAccount(accountName, fullConfig, currency)
           );
 
           // Sync changes
@@ -480,7 +877,7 @@ export async function importTransactions(options = {}) {
             console.log('\n  Adjustments made:');
             adjustmentResults.adjustments.forEach((adj) => {
               console.log(
-                `    ${adj.account}: ${adj.adjustment >= 0 ? '+' : ''}$${adj.adjustment.toFixed(2)}`
+                `    ${adj.account}: ${adj.adjustment >= 0 ? '+' : ''}$${adj.adjustment.toFixed(2)}${adj.currency ? ` ${adj.currency}` : ''}`
               );
             });
           }
@@ -498,6 +895,15 @@ export async function importTransactions(options = {}) {
               console.log(`    ${err.account}: ${err.error}`);
             });
           }
+
+          // Statement balances to reconcile credit cards against
+          const statements = wsBalances.filter((b) => b.statementBalance !== undefined);
+          if (statements.length > 0) {
+            console.log('\n  Credit card statement balances:');
+            statements.forEach((b) => {
+              console.log(`    ${b.name}: $${b.statementBalance.toFixed(2)} ${b.currency}`);
+            });
+          }
         }
       } catch (error) {
         console.error('\nError adjusting balances:', error.message);
@@ -528,8 +934,218 @@ export async function importTransactions(options = {}) {
   }
 }
 
+/**
+ * Scrape transactions without importing them, optionally saving or replaying a snapshot
+ * @param {Object} options CLI options
+ * @returns {Promise<Array>} Parsed transactions
+ */
+export async function scrape(options = {}) {
+  const config = await getConfig(options, false);
+
+  // Only the JSON goes to stdout, so `scrape > out.json` stays valid
+  const transactions = await logToStderr(async () => {
+    if (options.replay) {
+      console.error(`Replaying snapshot from ${options.replay}...`);
+      return replaySnapshot(options.replay, {
+        verbose: config.verbose,
+        browserExecutablePath: config.browserExecutablePath,
+        selectors: config.selectors,
+        timeZone: config.timeZone
+      });
+    }
+
+    if (options.remoteBrowserUrl) {
+      console.error('Connecting to remote browser to extract transactions from WealthSimple...');
+    } else {
+      console.error('Launching browser to extract transactions from WealthSimple...');
+    }
+
+    return scrapeTransactions({
+      verbose: config.verbose,
+      remoteBrowserUrl: options.remoteBrowserUrl,
+      timeframe: options.timeframe || 'last-30-days',
+      extractionMode: options.extractionMode || 'dom',
+      snapshotDir: options.saveSnapshot || null,
+      selectors: config.selectors,
+      timeZone: config.timeZone,
+      browserExecutablePath: config.browserExecutablePath,
+      browserUserDataDir: config.browserUserDataDir,
+      browserLaunchOptions: config.browserLaunchOptions
+    });
+  });
+
+  if (config.verbose) {
+    await logToStderr(async () => reportExtraFields(transactions));
+  }
+
+  const json = JSON.stringify(
+    transactions.map((transaction) => ({
+      ...transaction,
+      transactionType: classifyTransaction(transaction)
+    })),
+    null,
+    2
+  );
+  if (options.output) {
+    await writeFile(options.output, `${json}\n`);
+    console.log(`Wrote ${transactions.length} transactions to ${options.output}`);
+  } else {
+    console.log(json);
+  }
+
+  return transactions;
+}
+
+/**
+ * Post each account's total market value to its off-budget tracking account
+ * @param {Array} positions Holdings from scrapeHoldings
+ * @param {Object} config Runtime configuration
+ * @param {Object} options CLI options
+ * @returns {Promise<void>}
+ */
+async function postMarketValues(positions, config, options) {
+  const fullConfig = await loadConfig(options.config);
+  const client = await createClient(config);
+
+  try {
+    const totals = summarizeHoldings(positions);
+    const results = await client.adjustAccountBalances(totals, (accountName, currency) => {
+      const resolved = resolveAccount(accountName, fullConfig, currency);
+      if (!resolved) {
+        return null;
+      }
+      // Market values are not cash flows, so only tracking accounts may receive them
+      const account = client.accountMap.get(resolved.accountId);
+      if (account && !account.offbudget) {
+        console.warn(
+          `Skipping ${accountName}: its ActualBudget account is on budget, market values only go to off-budget accounts`
+        );
+        return null;
+      }
+      return resolved;
+    });
+
+    await client.sync();
+
+    console.log('\nMarket Value Update Results:');
+    console.log(`  Updated: ${results.adjustments.length}`);
+    console.log(`  Skipped: ${results.skipped.length}`);
+    console.log(`  Errors: ${results.errors.length}`);
+
+    results.errors.forEach((err) => {
+      console.log(`    ${err.account}: ${err.error}`);
+    });
+  } finally {
+    await client.shutdown();
+  }
+}
+
+/**
+ * Scrape investment positions per account and write them as JSON or CSV
+ * @param {Object} options CLI options
+ * @returns {Promise<Array>} Holdings
+ */
+export async function holdings(options = {}) {
+  const config = await getConfig(options, Boolean(options.postMarketValue));
+  if (options.postMarketValue) {
+    validateConfig(config);
+  }
+
+  // Only the holdings go to stdout, so `holdings > holdings.json` stays valid
+  const positions = await logToStderr(async () => {
+    if (options.remoteBrowserUrl) {
+      console.error('Connecting to remote browser to read holdings from WealthSimple...');
+    } else {
+      console.error('Launching browser to read holdings from WealthSimple...');
+    }
+
+    const { context, isRemote } = await openBrowserContext({
+      verbose: config.verbose,
+      remoteBrowserUrl: options.remoteBrowserUrl,
+      browserExecutablePath: config.browserExecutablePath,
+      browserUserDataDir: config.browserUserDataDir,
+      browserLaunchOptions: config.browserLaunchOptions
+    });
+
+    try {
+      return await scrapeHoldings(context, {
+        verbose: config.verbose,
+        selectors: config.selectors
+      });
+    } finally {
+      if (!isRemote) {
+        await context.close();
+      }
+    }
+  });
+
+  const format = options.format || (options.output?.endsWith('.csv') ? 'csv' : 'json');
+  const content =
+    format === 'csv' ? formatHoldingsCsv(positions) : `${JSON.stringify(positions, null, 2)}\n`;
+  if (options.output) {
+    await writeFile(options.output, content);
+    console.log(`Wrote ${positions.length} positions to ${options.output}`);
+  } else {
+    process.stdout.write(content);
+  }
+
+  if (options.postMarketValue) {
+    await logToStderr(() => postMarketValues(positions, config, options));
+  }
+
+  return positions;
+}
+
+/**
+ * Review and override the payee aliases used to match imported payees to existing ones
+ * @param {Object} options CLI options
+ * @param {Array<string>} [options.set] Aliases to set, as "<imported name>=<payee>" (empty payee keeps the name)
+ * @param {Array<string>} [options.remove] Imported names whose alias to remove
+ * @param {boolean} [options.json] Print the aliases as JSON
+ * @returns {Promise<Object>} Aliases keyed by imported payee name
+ */
+export async function payees(options = {}) {
+  const aliases = await loadPayeeAliases();
+  let changed = false;
+
+  for (const entry of options.set || []) {
+    const separator = entry.indexOf('=');
+    const name = separator === -1 ? '' : entry.slice(0, separator).trim();
+    if (!name) {
+      throw new Error(`Invalid alias "${entry}" (expected "<imported name>=<payee>")`);
+    }
+    setPayeeAlias(aliases, name, entry.slice(separator + 1).trim());
+    changed = true;
+  }
+
+  for (const name of options.remove || []) {
+    if (removePayeeAlias(aliases, name)) {
+      changed = true;
+    } else {
+      console.warn(`No alias for "${name}"`);
+    }
+  }
+
+  if (changed) {
+    await savePayeeAliases(aliases);
+  }
+
+  if (options.json) {
+    console.log(JSON.stringify(aliases, null, 2));
+  } else if (Object.keys(aliases).length === 0) {
+    console.log('No payee aliases yet. They are added when an import matches an existing payee.');
+  } else {
+    console.log(formatPayeeAliases(aliases));
+  }
+
+  return aliases;
+}
+
 export default {
   importTransactions,
+  scrape,
+  holdings,
+  payees,
   setup: async (options) => {
     const { setup: doSetup } = await import('./setup.js');
     return doSetup(options);
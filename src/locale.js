@@ -0,0 +1,203 @@
+import { fr } from 'date-fns/locale';
+
+/**
+ * WealthSimple UI language support
+ *
+ * The parser works on English labels. French labels and status values are translated to their
+ * English equivalents before parsing, so both languages produce the same transaction fields.
+ */
+
+export const SUPPORTED_LOCALES = ['en', 'fr'];
+export const DEFAULT_LOCALE = 'en';
+
+// French detail row labels, keyed by lowercase label, mapped to the English label
+const FRENCH_LABELS = {
+  compte: 'account',
+  de: 'from',
+  à: 'to',
+  vers: 'to',
+  statut: 'status',
+  état: 'status',
+  type: 'type',
+  courriel: 'email',
+  'adresse courriel': 'email',
+  message: 'message',
+  'quantité saisie': 'entered quantity',
+  'quantité demandée': 'entered quantity',
+  'quantité exécutée': 'filled quantity',
+  'numéro de compte': 'account number',
+  'id de transaction': 'transaction id',
+  'identifiant de transaction': 'transaction id',
+  'numéro de transaction': 'transaction id',
+  date: 'date',
+  soumis: 'submitted',
+  soumise: 'submitted',
+  exécuté: 'filled',
+  exécutée: 'filled',
+  'montant initial': 'original amount',
+  "montant d'origine": 'original amount',
+  'montant original': 'original amount',
+  'taux de change': 'exchange rate',
+  total: 'total',
+  montant: 'amount',
+  'valeur totale': 'total value',
+  'coût total': 'total cost',
+  'montant estimé': 'estimated amount'
+};
+
+// Labels that only occur in the French UI, used to detect the locale without a page language
+const FRENCH_ONLY_LABELS = Object.keys(FRENCH_LABELS).filter(
+  (label) => !Object.values(FRENCH_LABELS).includes(label)
+);
+
+// French status values mapped to the English ones
+const FRENCH_STATUSES = {
+  'en attente': 'Pending',
+  'en cours': 'In progress',
+  'en traitement': 'Processing',
+  autorisée: 'Authorized',
+  autorisé: 'Authorized',
+  terminée: 'Completed',
+  terminé: 'Completed',
+  complétée: 'Completed',
+  complété: 'Completed',
+  refusée: 'Declined',
+  refusé: 'Declined',
+  annulée: 'Cancelled',
+  annulé: 'Cancelled',
+  échouée: 'Failed',
+  échoué: 'Failed',
+  expirée: 'Expired',
+  expiré: 'Expired'
+};
+
+const DATE_FORMATS = {
+  en: [
+    'MMMM d, yyyy h:mm a', // Standard with space
+    'MMMM d, yyyyh:mm a', // Legacy without space
+    'MMMM d, yyyy' // Date only
+  ],
+  fr: [
+    "d MMMM yyyy 'à' HH 'h' mm",
+    "d MMMM yyyy 'à' HH:mm",
+    "d MMMM yyyy HH 'h' mm",
+    'd MMMM yyyy HH:mm',
+    'd MMMM yyyy',
+    "d MMM yyyy 'à' HH 'h' mm",
+    'd MMM yyyy HH:mm',
+    'd MMM yyyy'
+  ]
+};
+
+const RELATIVE_DAYS = {
+  en: { today: 0, yesterday: 1 },
+  fr: { "aujourd'hui": 0, hier: 1 }
+};
+
+/**
+ * Normalize a language tag such as "fr-CA" to a supported locale
+ * @param {string} language Language tag (e.g. from the page's lang attribute)
+ * @returns {string|null} Supported locale or null if the language is not supported
+ */
+export function normalizeLocale(language) {
+  const base = (language || '').trim().toLowerCase().split(/[-_]/)[0];
+  return SUPPORTED_LOCALES.includes(base) ? base : null;
+}
+
+/**
+ * Normalize a label or value for lookups: lowercase, single spaces, straight apostrophes
+ * @param {string} text Text to normalize
+ * @returns {string} Normalized text
+ */
+function normalizeText(text) {
+  return (text || '')
+    .replace(/[’ʼ]/g, "'")
+    .replace(/\s+/g, ' ')
+    .replace(/\s*:$/, '')
+    .trim()
+    .toLowerCase();
+}
+
+/**
+ * Detect the UI language of a raw transaction
+ * Uses the page language recorded by the scraper, then falls back to the row labels.
+ * @param {Object} rawData Raw transaction data ({fields, locale})
+ * @returns {string} Supported locale
+ */
+export function detectLocale(rawData) {
+  const fromPage = normalizeLocale(rawData?.locale);
+  if (fromPage) {
+    return fromPage;
+  }
+
+  const fields = rawData?.fields || [];
+  const isFrench = fields.some((field) => {
+    const label = normalizeText(field.name);
+    return FRENCH_ONLY_LABELS.includes(label) || label.includes('récompenses');
+  });
+  return isFrench ? 'fr' : DEFAULT_LOCALE;
+}
+
+/**
+ * Translate a detail row label to the lowercase English label the parser understands
+ * @param {string} name Row label
+ * @param {string} locale UI locale
+ * @returns {string} Lowercase English label (unchanged if unknown)
+ */
+export function translateLabel(name, locale = DEFAULT_LOCALE) {
+  const label = normalizeText(name);
+  if (locale !== 'fr') {
+    return label;
+  }
+  if (label.includes('récompenses')) {
+    return 'spend rewards';
+  }
+  return FRENCH_LABELS[label] || label;
+}
+
+/**
+ * Translate a status value to English
+ * @param {string} status Status value
+ * @param {string} locale UI locale
+ * @returns {string} English status (unchanged if unknown)
+ */
+export function translateStatus(status, locale = DEFAULT_LOCALE) {
+  if (locale !== 'fr' || !status) {
+    return status;
+  }
+  return FRENCH_STATUSES[normalizeText(status)] || status;
+}
+
+/**
+ * Get the date-fns formats and options used to parse dates in a locale
+ * @param {string} locale UI locale
+ * @returns {Object} {formats, options}
+ */
+export function getDateFormats(locale = DEFAULT_LOCALE) {
+  return locale === 'fr'
+    ? { formats: DATE_FORMATS.fr, options: { locale: fr } }
+    : { formats: DATE_FORMATS.en, options: {} };
+}
+
+/**
+ * Number of days ago a relative date word refers to
+ * @param {string} value Date text such as "Today" or "Hier"
+ * @param {string} locale UI locale
+ * @returns {number|null} Days ago, or null if the value is not a relative date
+ */
+export function getRelativeDaysAgo(value, locale = DEFAULT_LOCALE) {
+  const word = normalizeText(value);
+  const days = RELATIVE_DAYS[locale]?.[word] ?? RELATIVE_DAYS.en[word];
+  return days ?? null;
+}
+
+export default {
+  SUPPORTED_LOCALES,
+  DEFAULT_LOCALE,
+  normalizeLocale,
+  detectLocale,
+  translateLabel,
+  translateStatus,
+  getDateFormats,
+  getRelativeDaysAgo
+};
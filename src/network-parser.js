@@ -0,0 +1,263 @@
+import { toCalendarDate } from './timezone.js';
+
+/**
+ * Map WealthSimple API/GraphQL activity payloads to the transaction shape produced by
+ * parser.parseTransaction, so captured network responses can replace DOM scraping
+ */
+
+/**
+ * Display labels for activity feed types, keyed by "TYPE/SUBTYPE" or "TYPE"
+ * Labels match the "Type" row shown on the activity page
+ */
+const ACTIVITY_TYPE_LABELS = {
+  'DEPOSIT/E_TRANSFER': 'Interac e-Transfer',
+  'WITHDRAWAL/E_TRANSFER': 'Interac e-Transfer',
+  'DEPOSIT/AFT': 'Direct deposit',
+  'DEPOSIT/PAYROLL_DEPOSIT': 'Direct deposit',
+  'WITHDRAWAL/AFT': 'Pre-authorized debit',
+  'WITHDRAWAL/BILL_PAY': 'Bill payment',
+  'DIY_BUY/MARKET_ORDER': 'Market buy',
+  'DIY_BUY/FRACTIONAL_ORDER': 'Fractional buy',
+  'DIY_SELL/MARKET_ORDER': 'Market sell',
+  DIY_BUY: 'Market buy',
+  DIY_SELL: 'Market sell',
+  SPEND: 'Purchase',
+  REFUND: 'Refund',
+  DIVIDEND: 'Dividend',
+  REINVESTED_DIVIDEND: 'Dividend reinvested',
+  INTEREST: 'Interest',
+  FEE: 'Fee',
+  INTERNAL_TRANSFER: 'Transfer',
+  FUNDS_CONVERSION: 'Funds converted',
+  REFERRAL: 'Referral',
+  PROMOTION: 'Bonus',
+  REIMBURSEMENT: 'Reimbursement'
+};
+
+/**
+ * Default account names by account type, used when the account has no nickname
+ */
+const ACCOUNT_TYPE_NAMES = {
+  CASH: 'Chequing',
+  SELF_DIRECTED_TFSA: 'TFSA',
+  MANAGED_TFSA: 'TFSA',
+  SELF_DIRECTED_RRSP: 'RRSP',
+  MANAGED_RRSP: 'RRSP',
+  SELF_DIRECTED_SPOUSAL_RRSP: 'Spousal RRSP',
+  SELF_DIRECTED_FHSA: 'FHSA',
+  MANAGED_FHSA: 'FHSA',
+  SELF_DIRECTED_RESP: 'RESP',
+  SELF_DIRECTED_NON_REGISTERED: 'Non-registered',
+  MANAGED_NON_REGISTERED: 'Non-registered',
+  SELF_DIRECTED_CRYPTO: 'Crypto'
+};
+
+/**
+ * Create an empty store for captured activity and account data
+ * @returns {Object} Store with activities (by ID) and account names (by account ID)
+ */
+export function createActivityStore() {
+  return {
+    activities: new Map(),
+    accountNames: new Map()
+  };
+}
+
+/**
+ * Check whether an object looks like an activity feed item
+ * @param {Object} node Candidate object
+ * @returns {boolean} True if the object is an activity feed item
+ */
+function isActivityNode(node) {
+  return (
+    typeof node.canonicalId === 'string' &&
+    typeof node.occurredAt === 'string' &&
+    node.amount !== undefined &&
+    typeof node.type === 'string'
+  );
+}
+
+/**
+ * Check whether an object looks like an account
+ * @param {Object} node Candidate object
+ * @returns {boolean} True if the object is an account
+ */
+function isAccountNode(node) {
+  return (
+    typeof node.id === 'string' &&
+    (node.__typename === 'Account' ||
+      typeof node.unifiedAccountType === 'string' ||
+      (node.nickname !== undefined && node.currency !== undefined))
+  );
+}
+
+/**
+ * Get the display name for an account node
+ * @param {Object} node Account node
+ * @returns {string|null} Account name or null if it cannot be determined
+ */
+function getAccountName(node) {
+  if (node.nickname?.trim()) {
+    return node.nickname.trim();
+  }
+  return ACCOUNT_TYPE_NAMES[node.unifiedAccountType] || ACCOUNT_TYPE_NAMES[node.type] || null;
+}
+
+/**
+ * Walk a JSON payload and record every activity and account node found in it
+ * @param {*} payload Parsed JSON response body
+ * @param {Object} store Store from createActivityStore
+ * @returns {number} Number of activity nodes found in this payload
+ */
+export function collectActivityPayload(payload, store) {
+  let found = 0;
+  const toVisit = [payload];
+
+  while (toVisit.length > 0) {
+    const value = toVisit.pop();
+
+    if (Array.isArray(value)) {
+      toVisit.push(...value);
+      continue;
+    }
+    if (!value || typeof value !== 'object') {
+      continue;
+    }
+
+    if (isActivityNode(value)) {
+      store.activities.set(value.canonicalId, value);
+      found++;
+      continue;
+    }
+
+    if (isAccountNode(value)) {
+      const name = getAccountName(value);
+      if (name) {
+        store.accountNames.set(value.id, name);
+      }
+    }
+
+    toVisit.push(...Object.values(value));
+  }
+
+  return found;
+}
+
+/**
+ * Convert an upper snake case API value to sentence case ("MARKET_ORDER" -> "Market order")
+ * @param {string} value API value
+ * @returns {string} Sentence case label
+ */
+function toSentenceCase(value) {
+  const words = value.toLowerCase().split('_').filter(Boolean).join(' ');
+  return words.charAt(0).toUpperCase() + words.slice(1);
+}
+
+/**
+ * Get the activity page type label for an activity node
+ * @param {Object} node Activity node
+ * @returns {string} Type label
+ */
+function getTypeLabel(node) {
+  const type = node.type || '';
+  const subType = node.subType || '';
+  return (
+    ACTIVITY_TYPE_LABELS[`${type}/${subType}`] ||
+    ACTIVITY_TYPE_LABELS[type] ||
+    toSentenceCase(subType || type)
+  );
+}
+
+/**
+ * Map a captured activity node to the parseTransaction output shape
+ * @param {Object} node Activity node
+ * @param {Map} accountNames Account names by account ID
+ * @param {Object} [options] Options
+ * @param {string} [options.timeZone] Timezone for the calendar date (defaults to the system timezone)
+ * @returns {Object|null} Parsed transaction or null if the node cannot be mapped
+ */
+export function mapActivityToTransaction(node, accountNames = new Map(), { timeZone } = {}) {
+  const amount = parseFloat(node.amount);
+  const account = accountNames.get(node.accountId);
+  if (isNaN(amount) || !account) {
+    return null;
+  }
+
+  const isNegative = node.amountSign === 'negative' || amount < 0;
+  const type = getTypeLabel(node);
+
+  const transaction = {
+    account,
+    date: toCalendarDate(node.occurredAt, timeZone),
+    amount: isNegative ? -Math.abs(amount) : Math.abs(amount),
+    amountCurrency: node.currency || undefined,
+    type,
+    transactionId: node.externalCanonicalId || node.canonicalId
+  };
+
+  if (node.status) {
+    transaction.status = toSentenceCase(node.status);
+  }
+
+  const description =
+    node.spendMerchant ||
+    node.eTransferName ||
+    node.billPayPayeeNickname ||
+    node.aftOriginatorName ||
+    node.institutionName ||
+    node.assetSymbol ||
+    null;
+  transaction.description = description || type;
+
+  if (node.institutionName && node.institutionName !== transaction.description) {
+    transaction.subheading = node.institutionName;
+  }
+
+  if (node.eTransferEmail) {
+    transaction.email = node.eTransferEmail;
+  }
+  if (node.p2pMessage || node.eTransferMessage) {
+    transaction.message = node.p2pMessage || node.eTransferMessage;
+  }
+  if (node.assetQuantity !== undefined && node.assetQuantity !== null && node.assetSymbol) {
+    transaction.filledQuantity = `${node.assetQuantity} ${node.assetSymbol}`;
+  }
+
+  // Internal transfers carry the other side as an account ID
+  const opposingAccount = node.opposingAccountId && accountNames.get(node.opposingAccountId);
+  if (opposingAccount) {
+    transaction.from = isNegative ? account : opposingAccount;
+    transaction.to = isNegative ? opposingAccount : account;
+  }
+
+  return transaction;
+}
+
+/**
+ * Map all captured activities to parsed transactions
+ * @param {Object} store Store from createActivityStore
+ * @param {Object} [options] Options passed to mapActivityToTransaction
+ * @returns {Object} {transactions, unmapped} where unmapped counts nodes that could not be mapped
+ */
+export function mapCapturedActivities(store, options = {}) {
+  const transactions = [];
+  let unmapped = 0;
+
+  for (const node of store.activities.values()) {
+    const transaction = mapActivityToTransaction(node, store.accountNames, options);
+    if (transaction) {
+      transactions.push(transaction);
+    } else {
+      unmapped++;
+    }
+  }
+
+  return { transactions, unmapped };
+}
+
+export default {
+  createActivityStore,
+  collectActivityPayload,
+  mapActivityToTransaction,
+  mapCapturedActivities
+};
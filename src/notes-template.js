@@ -0,0 +1,138 @@
+import { classifyTransaction, TRANSACTION_TYPES } from './transaction-types.js';
+import { escapeRegExp } from './util/regex-helpers.js';
+
+/**
+ * Notes templates from config.toml
+ *
+ * A template is text with placeholders filled from the parsed WealthSimple transaction:
+ *
+ *   [notes]
+ *   template = "{type}{email? (email)} #ws {transactionId}"
+ *   transfer = "{from} -> {to}"
+ *   trade = "{type}: {filledQuantity} {symbol}"
+ *
+ * `{field}` is replaced by the field's value, or nothing when it is empty. `{field?text}` renders
+ * `text` only when the field has a value, with the field's name in `text` replaced by that value.
+ * Any parsed field can be used, including extra fields kept from the activity page (`{symbol}` or
+ * `{extra.symbol}`), plus `{foreign}` (original amount and rate) and `{default}` (the built-in
+ * notes). Notes never feed into the imported ID of transactions with a WealthSimple transaction ID,
+ * and legacy IDs keep using the built-in notes, so changing a template does not re-import anything.
+ */
+
+/**
+ * Matches `{field}` and `{field?text}` placeholders
+ */
+const PLACEHOLDER_PATTERN = /\{([\w.]+)(\?([^{}]*))?\}/g;
+
+/**
+ * Templates the [notes] table can set
+ */
+const TEMPLATE_KEYS = ['template', 'transfer', 'trade'];
+
+/**
+ * Read the [notes] table from config.toml
+ * Unknown keys and empty templates are ignored with a warning.
+ * @param {Object} [notes] The [notes] table
+ * @returns {Object|null} Templates keyed like TEMPLATE_KEYS, or null if none are set
+ */
+export function resolveNotesTemplates(notes) {
+  if (!notes || typeof notes !== 'object') {
+    return null;
+  }
+
+  const templates = {};
+  for (const [key, value] of Object.entries(notes)) {
+    if (!TEMPLATE_KEYS.includes(key)) {
+      console.warn(
+        `Ignoring unknown key '${key}' in [notes]. Valid keys: ${TEMPLATE_KEYS.join(', ')}`
+      );
+      continue;
+    }
+    if (typeof value !== 'string' || value.trim() === '') {
+      console.warn(`Ignoring empty notes template '${key}' in [notes]`);
+      continue;
+    }
+    templates[key] = value;
+  }
+
+  return Object.keys(templates).length > 0 ? templates : null;
+}
+
+/**
+ * Check whether a transaction is a trade (a buy or sell of a security)
+ * @param {Object} transaction WealthSimple transaction
+ * @returns {boolean} True for trades
+ */
+export function isTradeTransaction(transaction) {
+  return classifyTransaction(transaction) === TRANSACTION_TYPES.TRADE;
+}
+
+/**
+ * Look up a template field
+ * @param {Object} fields Parsed transaction fields and computed values
+ * @param {string} name Field name, optionally prefixed with "extra."
+ * @returns {string} Field value as text ('' when missing)
+ */
+function getFieldText(fields, name) {
+  let value;
+  if (name.startsWith('extra.')) {
+    value = fields.extra?.[name.slice('extra.'.length)];
+  } else {
+    value = Object.hasOwn(fields, name) ? fields[name] : fields.extra?.[name];
+  }
+
+  if (value === null || value === undefined || typeof value === 'object') {
+    return '';
+  }
+  return String(value).trim();
+}
+
+/**
+ * Render a notes template
+ * @param {string} template Template text
+ * @param {Object} fields Parsed transaction fields and computed values
+ * @returns {string} Notes, with runs of spaces collapsed and trimmed
+ */
+export function renderNotesTemplate(template, fields) {
+  const rendered = template.replace(PLACEHOLDER_PATTERN, (placeholder, name, conditional, text) => {
+    const value = getFieldText(fields, name);
+    if (!conditional) {
+      return value;
+    }
+    if (!value) {
+      return '';
+    }
+    const fieldName = name.startsWith('extra.') ? name.slice('extra.'.length) : name;
+    return text.replace(new RegExp(`\\b${escapeRegExp(fieldName)}\\b`, 'g'), () => value);
+  });
+
+  return rendered.replace(/[ \t]+/g, ' ').trim();
+}
+
+/**
+ * Pick the template for a transaction
+ * @param {Object} [notes] Notes settings {template, transfer, trade}
+ * @param {Object} transaction WealthSimple transaction
+ * @param {boolean} isTransfer True if the transaction is a transfer between mapped accounts
+ * @returns {string|null} Template, or null to keep the built-in notes
+ */
+export function selectNotesTemplate(notes, transaction, isTransfer) {
+  if (!notes) {
+    return null;
+  }
+  // Transfers keep their "from -> to" notes unless they have a template of their own
+  if (isTransfer) {
+    return notes.transfer || null;
+  }
+  if (notes.trade && isTradeTransaction(transaction)) {
+    return notes.trade;
+  }
+  return notes.template || null;
+}
+
+export default {
+  resolveNotesTemplates,
+  isTradeTransaction,
+  renderNotesTemplate,
+  selectNotesTemplate
+};
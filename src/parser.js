@@ -1,12 +1,38 @@
 import { parse, isValid } from 'date-fns';
+import { DEFAULT_SELECTORS } from './selectors.js';
+import {
+  DEFAULT_LOCALE,
+  detectLocale,
+  translateLabel,
+  translateStatus,
+  getDateFormats,
+  getRelativeDaysAgo
+} from './locale.js';
+import { addDaysToDate, getTodayInTimeZone } from './timezone.js';
+
+function parseCurrencyValue(value, locale = DEFAULT_LOCALE) {
+  // Try the page's own number format first; French amounts put the $ after the number
+  const parsers =
+    locale === 'fr'
+      ? [parseFrenchCurrency, parseEnglishCurrency]
+      : [parseEnglishCurrency, parseFrenchCurrency];
+  for (const parser of parsers) {
+    const parsed = parser(value);
+    if (parsed) {
+      return parsed;
+    }
+  }
+
+  console.warn(`Failed to parse currency value: "${value}"`);
+  return { amount: null, currency: undefined };
+}
 
-function parseCurrencyValue(value) {
+function parseEnglishCurrency(value) {
   // Handle both formats: "− $50.00" and "$-50.00"
   // Also handle: "+ $50.00", "$+50.00", etc.
   const match = value.match(/^([+−-])?\s*\$?([+−-])?\s*([\d,]+(?:\.\d{2})?)\s*([A-Z]{3})?$/);
   if (!match) {
-    console.warn(`Failed to parse currency value: "${value}"`);
-    return { amount: null, currency: undefined };
+    return null;
   }
 
   // Sign can be in position 1 (before $) or position 2 (after $)
@@ -18,51 +44,59 @@ function parseCurrencyValue(value) {
   return { amount: amount * sign, currency };
 }
 
-function parseDate(value) {
-  if (!value) {
+function parseFrenchCurrency(value) {
+  // Handle "1 234,56 $", "−50,00 $", "+ 50,00 $ USD" and "50,00 $ US"; thousands are grouped
+  // with (narrow) no-break spaces
+  const normalized = value.replace(/[\u00a0\u202f]/g, ' ').trim();
+  const match = normalized.match(
+    /^([+−-])?\s*(\d{1,3}(?: ?\d{3})*(?:,\d{2})?)\s*\$\s*(US|CA|[A-Z]{3})?$/
+  );
+  if (!match) {
     return null;
   }
 
-  // Handle relative dates
-  const today = new Date();
-  const normalizedValue = value.trim().toLowerCase();
+  const sign = match[1] === '−' || match[1] === '-' ? -1 : 1;
+  const amount = parseFloat(match[2].replace(/ /g, '').replace(',', '.'));
+  const code = match[3] === 'US' ? 'USD' : match[3] === 'CA' ? 'CAD' : match[3];
+
+  return { amount: amount * sign, currency: code || undefined };
+}
+
+function formatLocalDate(date) {
+  // Format date without timezone conversion
+  const year = date.getFullYear();
+  const month = String(date.getMonth() + 1).padStart(2, '0');
+  const day = String(date.getDate()).padStart(2, '0');
+  return `${year}-${month}-${day}`;
+}
 
-  if (normalizedValue === 'today') {
-    const year = today.getFullYear();
-    const month = String(today.getMonth() + 1).padStart(2, '0');
-    const day = String(today.getDate()).padStart(2, '0');
-    return `${year}-${month}-${day}`;
+function parseDate(value, locale = DEFAULT_LOCALE, timeZone = undefined) {
+  if (!value) {
+    return null;
   }
 
-  if (normalizedValue === 'yesterday') {
-    const yesterday = new Date(today);
-    yesterday.setDate(yesterday.getDate() - 1);
-    const year = yesterday.getFullYear();
-    const month = String(yesterday.getMonth() + 1).padStart(2, '0');
-    const day = String(yesterday.getDate()).padStart(2, '0');
-    return `${year}-${month}-${day}`;
+  // Handle relative dates ("Today", "Yesterday", "Aujourd'hui", "Hier") in the user's timezone
+  const daysAgo = getRelativeDaysAgo(value, locale);
+  if (daysAgo !== null) {
+    return addDaysToDate(getTodayInTimeZone(timeZone), -daysAgo);
   }
 
   // Handle standard date formats
-  const cleanedValue = value
+  let cleanedValue = value
+    .replace(/[\u00a0\u202f]/g, ' ')
     .replace(/\s+/g, ' ')
     .replace(/(\d{4})\s*(\d)/, '$1 $2')
     .trim();
+  if (locale === 'fr') {
+    // "1er mars 2024" and "10 mars 2024, 14 h 30"
+    cleanedValue = cleanedValue.replace(/^1er\b/i, '1').replace(/(\d{4}),/, '$1');
+  }
 
-  const dateFormats = [
-    'MMMM d, yyyy h:mm a', // Standard with space
-    'MMMM d, yyyyh:mm a', // Legacy without space
-    'MMMM d, yyyy' // Date only
-  ];
-
-  for (const format of dateFormats) {
-    const parsedDate = parse(cleanedValue, format, new Date());
+  const { formats, options } = getDateFormats(locale);
+  for (const format of formats) {
+    const parsedDate = parse(cleanedValue, format, new Date(), options);
     if (isValid(parsedDate)) {
-      // Format date without timezone conversion
-      const year = parsedDate.getFullYear();
-      const month = String(parsedDate.getMonth() + 1).padStart(2, '0');
-      const day = String(parsedDate.getDate()).padStart(2, '0');
-      return `${year}-${month}-${day}`;
+      return formatLocalDate(parsedDate);
     }
   }
 
@@ -70,14 +104,13 @@ function parseDate(value) {
   return null;
 }
 
-function parseRow(name, value) {
-  const normalizedName = name.toLowerCase();
+function parseRow(name, value, locale = DEFAULT_LOCALE, timeZone = undefined) {
+  const normalizedName = translateLabel(name, locale);
 
   const simpleFields = {
     account: 'account',
     from: 'from',
     to: 'to',
-    status: 'status',
     type: 'type',
     email: 'email',
     message: 'message',
@@ -87,13 +120,17 @@ function parseRow(name, value) {
     'transaction id': 'transactionId'
   };
 
+  if (normalizedName === 'status') {
+    return { status: translateStatus(value, locale) };
+  }
+
   if (simpleFields[normalizedName]) {
     return { [simpleFields[normalizedName]]: value };
   }
 
   const dateFields = ['date', 'submitted', 'filled'];
   if (dateFields.includes(normalizedName)) {
-    const date = parseDate(value);
+    const date = parseDate(value, locale, timeZone);
     return { [normalizedName]: date };
   }
 
@@ -101,7 +138,7 @@ function parseRow(name, value) {
     if (!value) {
       return {};
     }
-    const parsed = parseCurrencyValue(value);
+    const parsed = parseCurrencyValue(value, locale);
     if (parsed.amount === null) {
       console.warn(`Invalid original amount: "${value}"`);
       return {};
@@ -110,7 +147,8 @@ function parseRow(name, value) {
   }
 
   if (normalizedName === 'exchange rate') {
-    return value ? { exchangeRate: parseFloat(value) } : {};
+    // French pages write rates with a decimal comma ("1,3512")
+    return value ? { exchangeRate: parseFloat(value.replace(',', '.')) } : {};
   }
 
   const amountFields = ['total', 'amount', 'total value', 'total cost', 'estimated amount'];
@@ -118,7 +156,7 @@ function parseRow(name, value) {
     if (!value) {
       return {};
     }
-    const parsed = parseCurrencyValue(value);
+    const parsed = parseCurrencyValue(value, locale);
     if (parsed.amount === null) {
       console.warn(`Invalid total/amount: "${value}"`);
       return { amount: null, amountCurrency: undefined };
@@ -132,7 +170,7 @@ function parseRow(name, value) {
     if (!value) {
       return {};
     }
-    const parsed = parseCurrencyValue(value);
+    const parsed = parseCurrencyValue(value, locale);
     if (parsed.amount === null) {
       console.warn(`Invalid spend rewards: "${value}"`);
       return {};
@@ -140,174 +178,302 @@ function parseRow(name, value) {
     return { spendRewards: parsed.amount, spendRewardsCurrency: parsed.currency };
   }
 
-  return {};
+  // Keep fields the parser does not know (symbol, price, card last four...) instead of dropping them
+  const key = toExtraKey(name);
+  const text = value?.replace(/\s+/g, ' ').trim();
+  return key && text ? { extra: { [key]: text } } : {};
 }
 
-export async function processTransactionDetails(page, elementSelector) {
-  return page.evaluate((selector) => {
-    /* eslint-disable no-undef */
-    const element = document.querySelector(selector);
-    if (!element) {
-      return null;
-    }
+function toExtraKey(label) {
+  // "Card last four" -> "cardLastFour", "Reference #" -> "reference"
+  return label
+    .trim()
+    .toLowerCase()
+    .replace(/[^\p{L}\p{N}]+(.)?/gu, (_, next) => (next ? next.toUpperCase() : ''));
+}
 
-    // Extract rows from the transaction details
-    let rows = [];
-    let has5ChildRow = false;
-
-    for (let i = 0; i < element.children[0]?.children?.length ?? 0; i++) {
-      const row = element.children[0].children[i];
-
-      if (row.children.length === 2 && row.children[0].textContent) {
-        // Standard 2-child row (label-value pair)
-        rows.push(row);
-      } else if (row.children.length === 5) {
-        // Today/Yesterday format: single row with 5 children
-        // Child 0: Account, Child 1: Status, Child 2: Date, Child 3: empty, Child 4: Amount
-        has5ChildRow = true;
-        // We'll process this separately below
-      } else {
-        // Handle nested structure (e.g., Interac transfers)
-        const result = [];
-        for (let j = 0; j < row.children.length; j++) {
-          if (row.children[j].children.length === 2 && row.children[j].children[0].textContent) {
-            // Direct label-value pair
-            result.push(row.children[j]);
-          } else if (row.children[j].children.length > 2) {
-            // Deeper nesting - check if children are label-value pairs
-            for (let k = 0; k < row.children[j].children.length; k++) {
-              const nestedChild = row.children[j].children[k];
-              if (nestedChild.children.length === 2 && nestedChild.children[0].textContent) {
-                result.push(nestedChild);
-              }
+/**
+ * Read the label/value rows and header text of an expanded transaction region
+ * Runs inside the browser page, so it must not reference anything outside its own body
+ * @param {Object} target - Elements to read
+ * @param {string} target.selector - CSS selector for the region element
+ * @param {string} target.unmaskedTextSelector - Selector for the unmasked header text elements
+ * @returns {Object|null} - Raw transaction data for parseTransaction
+ */
+function extractRegionData({ selector, unmaskedTextSelector }) {
+  /* eslint-disable no-undef */
+  const element = document.querySelector(selector);
+  if (!element) {
+    return null;
+  }
+
+  // Extract rows from the transaction details
+  let rows = [];
+  let has5ChildRow = false;
+
+  for (let i = 0; i < element.children[0]?.children?.length ?? 0; i++) {
+    const row = element.children[0].children[i];
+
+    if (row.children.length === 2 && row.children[0].textContent) {
+      // Standard 2-child row (label-value pair)
+      rows.push(row);
+    } else if (row.children.length === 5) {
+      // Today/Yesterday format: single row with 5 children
+      // Child 0: Account, Child 1: Status, Child 2: Date, Child 3: empty, Child 4: Amount
+      has5ChildRow = true;
+      // We'll process this separately below
+    } else {
+      // Handle nested structure (e.g., Interac transfers)
+      const result = [];
+      for (let j = 0; j < row.children.length; j++) {
+        if (row.children[j].children.length === 2 && row.children[j].children[0].textContent) {
+          // Direct label-value pair
+          result.push(row.children[j]);
+        } else if (row.children[j].children.length > 2) {
+          // Deeper nesting - check if children are label-value pairs
+          for (let k = 0; k < row.children[j].children.length; k++) {
+            const nestedChild = row.children[j].children[k];
+            if (nestedChild.children.length === 2 && nestedChild.children[0].textContent) {
+              result.push(nestedChild);
             }
           }
         }
-        rows.push(result);
       }
+      rows.push(result);
     }
-    rows = rows.flat();
+  }
+  rows = rows.flat();
 
-    if (rows.length === 0 && !has5ChildRow) {
-      return null;
-    }
+  if (rows.length === 0 && !has5ChildRow) {
+    return null;
+  }
 
-    const rowData = {};
-
-    // Handle 5-child row format (Today/Yesterday transactions)
-    if (has5ChildRow && element.children[0]?.children?.length > 0) {
-      const row = element.children[0].children[0];
-      if (row.children.length === 5) {
-        // Extract fields from the 5-child row
-        // Each child contains the label and value as separate text nodes/elements
-        const fields = [];
-
-        // Process each child (Account, Status, Date, empty, Amount)
-        for (let i = 0; i < 5; i++) {
-          if (i === 3) continue; // Skip empty child
-
-          const child = row.children[i];
-          const fullText = child.textContent || '';
-
-          // Split by newline to separate label from value
-          const lines = fullText.split('\n').map(l => l.trim()).filter(l => l);
-
-          if (lines.length >= 2) {
-            const label = lines[0];
-            const value = lines.slice(1).join(' ');
-            fields.push({ name: label, value });
-          } else if (lines.length === 1 && lines[0]) {
-            // If only one line, it might be the value without a label
-            // For amount, this is common
-            if (i === 4) { // Amount child
-              fields.push({ name: 'Amount', value: lines[0] });
-            }
-          }
+  // The page language lets the parser read French labels, dates and amounts
+  const rowData = { locale: document.documentElement.lang || null };
+
+  // Handle 5-child row format (Today/Yesterday transactions)
+  if (has5ChildRow && element.children[0]?.children?.length > 0) {
+    const row = element.children[0].children[0];
+    if (row.children.length === 5) {
+      // Extract fields from the 5-child row
+      // Each child contains the label and value as separate text nodes/elements
+      const fields = [];
+
+      // Process each child (Account, Status, Date, empty, Amount)
+      for (let i = 0; i < 5; i++) {
+        if (i === 3) {
+          continue; // Skip empty child
         }
 
-        rowData.fields = fields;
-        rowData.is5ChildFormat = true;
+        const child = row.children[i];
+        const fullText = child.textContent || '';
+
+        // Split by newline to separate label from value
+        const lines = fullText
+          .split('\n')
+          .map((l) => l.trim())
+          .filter((l) => l);
+
+        if (lines.length >= 2) {
+          const label = lines[0];
+          const value = lines.slice(1).join(' ');
+          fields.push({ name: label, value });
+        } else if (lines.length === 1 && lines[0]) {
+          // If only one line, it might be the value without a label
+          // For amount, this is common
+          if (i === 4) {
+            // Amount child
+            fields.push({ name: 'Amount', value: lines[0] });
+          }
+        }
       }
+
+      rowData.fields = fields;
+      rowData.is5ChildFormat = true;
     }
+  }
 
-    // Parse each row
-    for (let i = 0; i < rows.length; i++) {
-      const row = rows[i];
-      if (row.children.length !== 2 || !row.children[0].textContent) {
-        continue;
-      }
+  // Parse each row
+  for (let i = 0; i < rows.length; i++) {
+    const row = rows[i];
+    if (row.children.length !== 2 || !row.children[0].textContent) {
+      continue;
+    }
 
-      const name = row.children[0].textContent;
-      const valueElement = row.children[1];
-      let value;
-
-      // Navigate through nested structure to get the actual value
-      // Structure: div.iVjzra > div.ilQFqM > p
-      if (valueElement.children.length > 0) {
-        const firstChild = valueElement.children[0];
-        if (firstChild.children.length > 0) {
-          // Navigate one more level down
-          value = firstChild.children[0].textContent ?? undefined;
-        } else {
-          value = firstChild.textContent ?? undefined;
-        }
+    const name = row.children[0].textContent;
+    const valueElement = row.children[1];
+    let value;
+
+    // Navigate through nested structure to get the actual value
+    // Structure: div.iVjzra > div.ilQFqM > p
+    if (valueElement.children.length > 0) {
+      const firstChild = valueElement.children[0];
+      if (firstChild.children.length > 0) {
+        // Navigate one more level down
+        value = firstChild.children[0].textContent ?? undefined;
       } else {
-        value = valueElement.textContent ?? undefined;
+        value = firstChild.textContent ?? undefined;
       }
+    } else {
+      value = valueElement.textContent ?? undefined;
+    }
+
+    // Store raw data for parsing in Node.js context
+    if (!rowData.fields) {
+      rowData.fields = [];
+    }
+    rowData.fields.push({ name, value });
+  }
 
-      // Store raw data for parsing in Node.js context
-      if (!rowData.fields) {
-        rowData.fields = [];
+  // Extract description and subheading from the transaction button (summary view)
+  // The button ID is the region ID with -region replaced by -header
+  const regionId = element.getAttribute('id');
+  if (regionId) {
+    const buttonId = regionId.replace(/-region$/, '-header');
+    const button = document.getElementById(buttonId);
+
+    if (button) {
+      // WealthSimple has used both span and p elements in the button header.
+      // Structure: [description] [type (optional)] [account with •] [amount with $]
+      const unmaskElements = Array.from(button.querySelectorAll(unmaskedTextSelector));
+
+      // Keep only header text that is not an account name (contains •) or amount (contains $)
+      const contentElements = unmaskElements.filter((unmaskElement) => {
+        const text = unmaskElement.textContent?.trim() || '';
+        return text && !text.includes('•') && !text.includes('$');
+      });
+
+      if (contentElements.length > 0) {
+        rowData.description = contentElements[0].textContent?.trim();
+        if (contentElements.length > 1) {
+          rowData.subheading = contentElements[1].textContent?.trim();
+        }
       }
-      rowData.fields.push({ name, value });
     }
+  }
+
+  return rowData;
+}
+
+export async function processTransactionDetails(
+  page,
+  elementSelector,
+  selectors = DEFAULT_SELECTORS
+) {
+  return page.evaluate(extractRegionData, {
+    selector: elementSelector,
+    unmaskedTextSelector: selectors.unmaskedText
+  });
+}
 
-    // Extract description and subheading from the transaction button (summary view)
-    // The button ID is the region ID with -region replaced by -header
-    const regionId = element.getAttribute('id');
-    if (regionId) {
-      const buttonId = regionId.replace(/-region$/, '-header');
-      const button = document.getElementById(buttonId);
-
-      if (button) {
-        // WealthSimple has used both span and p elements in the button header.
-        // Structure: [description] [type (optional)] [account with •] [amount with $]
-        const unmaskElements = Array.from(
-          button.querySelectorAll(
-            'span[data-fs-privacy-rule="unmask"], p[data-fs-privacy-rule="unmask"]'
-          )
-        );
-
-        // Keep only header text that is not an account name (contains •) or amount (contains $)
-        const contentElements = unmaskElements.filter((element) => {
-          const text = element.textContent?.trim() || '';
-          return text && !text.includes('•') && !text.includes('$');
-        });
-
-        if (contentElements.length > 0) {
-          rowData.description = contentElements[0].textContent?.trim();
-          if (contentElements.length > 1) {
-            rowData.subheading = contentElements[1].textContent?.trim();
+/**
+ * Expand every transaction region and read them all
+ * Runs inside the browser page; regionReader is extractRegionData
+ * @param {Function} regionReader - Reads one region by selector
+ * @param {Array} headers - Array of {headerId, regionId}
+ * @param {number} timeoutMs - Maximum time to wait for region content to render
+ * @param {string} unmaskedTextSelector - Selector for the unmasked header text elements
+ * @returns {Promise<Object>} - {rawTransactions, missing}
+ */
+async function expandAndExtractAll(regionReader, headers, timeoutMs, unmaskedTextSelector) {
+  /* eslint-disable no-undef */
+  const hasContent = (regionId) => {
+    const region = document.getElementById(regionId);
+    return !!region && region.children[0]?.children?.length > 0;
+  };
+
+  headers.forEach(({ headerId }) => {
+    const header = document.getElementById(headerId);
+    if (header && header.getAttribute('aria-expanded') === 'false') {
+      header.click();
+    }
+  });
+
+  // Wait until every region has rendered its rows, re-checking only on DOM changes
+  const pending = new Set(headers.map(({ regionId }) => regionId).filter((id) => !hasContent(id)));
+  if (pending.size > 0) {
+    await new Promise((resolve) => {
+      let observer = null;
+      let timer = null;
+      function finish() {
+        observer.disconnect();
+        clearTimeout(timer);
+        resolve();
+      }
+
+      observer = new MutationObserver(() => {
+        for (const regionId of pending) {
+          if (hasContent(regionId)) {
+            pending.delete(regionId);
           }
         }
-      }
+        if (pending.size === 0) {
+          finish();
+        }
+      });
+      observer.observe(document.body, { childList: true, subtree: true });
+      timer = setTimeout(finish, timeoutMs);
+    });
+  }
+
+  const rawTransactions = [];
+  let missing = 0;
+  headers.forEach(({ regionId }) => {
+    const rawData = regionReader({ selector: `[id="${regionId}"]`, unmaskedTextSelector });
+    if (rawData) {
+      rawTransactions.push(rawData);
+    } else {
+      missing++;
     }
+  });
 
-    return rowData;
-  }, elementSelector);
+  return { rawTransactions, missing };
 }
 
-export function parseTransaction(rawData) {
+/**
+ * Expand and read all transaction regions in a single page evaluation
+ * @param {Object} page - Playwright page
+ * @param {Array} transactionHeaders - Array of {headerId, regionId}
+ * @param {Object} options - Extraction options
+ * @param {number} options.timeoutMs - Maximum time to wait for region content to render
+ * @param {Object} options.selectors - Selector profile from resolveSelectors
+ * @returns {Promise<Object>} - {rawTransactions, missing} with the same raw data as processTransactionDetails
+ */
+export async function processAllTransactionDetails(
+  page,
+  transactionHeaders,
+  { timeoutMs = 15000, selectors = DEFAULT_SELECTORS } = {}
+) {
+  // Pass the reader as source text: a string expression is evaluated by the browser
+  // debugger, so it is not subject to the page's Content-Security-Policy like eval is
+  const expression = `(${expandAndExtractAll.toString()})(${extractRegionData.toString()}, ${JSON.stringify(
+    transactionHeaders
+  )}, ${Number(timeoutMs)}, ${JSON.stringify(selectors.unmaskedText)})`;
+  return page.evaluate(expression);
+}
+
+/**
+ * Parse the raw data of one transaction region
+ * @param {Object} rawData - Raw transaction data from extractRegionData
+ * @param {Object} options - Parser options
+ * @param {string} options.timeZone - Timezone for relative dates such as "Today" (defaults to the system timezone)
+ * @returns {Object|null} - Parsed transaction or null if there is nothing to parse
+ */
+export function parseTransaction(rawData, { timeZone } = {}) {
   if (!rawData || !rawData.fields) {
     return null;
   }
 
   let transaction = {};
+  const locale = detectLocale(rawData);
 
   // Parse each field
   for (const field of rawData.fields) {
-    const parsed = parseRow(field.name, field.value);
+    const { extra, ...parsed } = parseRow(field.name, field.value, locale, timeZone);
     transaction = { ...transaction, ...parsed };
+    if (extra) {
+      transaction.extra = { ...transaction.extra, ...extra };
+    }
   }
 
   // Add description
@@ -332,3 +498,22 @@ export function parseTransaction(rawData) {
 
   return Object.keys(transaction).length === 0 ? null : transaction;
 }
+
+/**
+ * Count the unrecognized detail fields kept in each transaction's extra map
+ * @param {Array} transactions - Parsed transactions
+ * @returns {Array} - Array of {field, count, example}, most common first
+ */
+export function summarizeExtraFields(transactions) {
+  const fields = new Map();
+  for (const transaction of transactions) {
+    for (const [field, value] of Object.entries(transaction?.extra || {})) {
+      const seen = fields.get(field) || { field, count: 0, example: value };
+      seen.count++;
+      fields.set(field, seen);
+    }
+  }
+  return Array.from(fields.values()).sort(
+    (a, b) => b.count - a.count || a.field.localeCompare(b.field)
+  );
+}
@@ -0,0 +1,266 @@
+import { readFile, writeFile, mkdir } from 'fs/promises';
+import { existsSync } from 'fs';
+import { join, dirname } from 'path';
+import { xdgData } from 'xdg-basedir';
+
+/**
+ * Payee aliases matching imported payee names to existing ActualBudget payees
+ *
+ * Names built from WealthSimple descriptions ("STARBUCKS 1234") are matched against the budget's
+ * payees ("Starbucks") by a normalized, fuzzy comparison. Each match is remembered so it can be
+ * reviewed with `ws-actual payees aliases`, and user overrides are never replaced:
+ *   { "STARBUCKS 1234": { "payee": "Starbucks", "source": "auto", "score": 1, "updatedAt": "..." } }
+ * A user alias with a null payee keeps the imported name as is.
+ */
+
+/**
+ * Similarity a fuzzy match needs (0-1)
+ */
+export const DEFAULT_MATCH_THRESHOLD = 0.85;
+
+/**
+ * Get the default payee alias file path
+ * @returns {string} Path in the XDG data directory
+ */
+export function getPayeeAliasPath() {
+  return join(xdgData, 'ws-actual', 'payee-aliases.json');
+}
+
+/**
+ * Load payee aliases from disk
+ * @param {string} [filePath] Alias file path
+ * @returns {Promise<Object>} Aliases keyed by imported payee name
+ */
+export async function loadPayeeAliases(filePath = getPayeeAliasPath()) {
+  if (!existsSync(filePath)) {
+    return {};
+  }
+
+  try {
+    const aliases = JSON.parse(await readFile(filePath, 'utf-8'));
+    return aliases && typeof aliases === 'object' ? aliases : {};
+  } catch (error) {
+    console.warn(`Could not load payee aliases from ${filePath}:`, error.message);
+    return {};
+  }
+}
+
+/**
+ * Save payee aliases to disk
+ * @param {Object} aliases Aliases keyed by imported payee name
+ * @param {string} [filePath] Alias file path
+ * @returns {Promise<void>}
+ */
+export async function savePayeeAliases(aliases, filePath = getPayeeAliasPath()) {
+  await mkdir(dirname(filePath), { recursive: true });
+  await writeFile(filePath, `${JSON.stringify(aliases, null, 2)}\n`);
+}
+
+/**
+ * Normalize a payee name for comparison
+ * Drops case, accents, punctuation, store and card numbers, and company suffixes.
+ * @param {string} name Payee name
+ * @returns {string} Normalized name
+ */
+export function normalizeForMatch(name) {
+  return String(name || '')
+    .normalize('NFD')
+    .replace(/\p{M}/gu, '')
+    .toLowerCase()
+    .replace(/[#*]*\d{3,}/g, ' ')
+    .replace(/[^\p{L}\p{N}&\s]/gu, ' ')
+    .replace(/\b(inc|ltd|llc|corp|co)\b/g, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+/**
+ * Get the character bigrams of a normalized name, ignoring spaces
+ * @param {string} text Normalized name
+ * @returns {Array<string>} Bigrams
+ */
+function getBigrams(text) {
+  const compact = text.replace(/\s/g, '');
+  const bigrams = [];
+  for (let i = 0; i < compact.length - 1; i++) {
+    bigrams.push(compact.slice(i, i + 2));
+  }
+  return bigrams;
+}
+
+/**
+ * Compare two payee names
+ * @param {string} a Payee name
+ * @param {string} b Payee name
+ * @returns {number} Similarity from 0 to 1 (Dice coefficient of the normalized names)
+ */
+export function payeeSimilarity(a, b) {
+  const left = normalizeForMatch(a);
+  const right = normalizeForMatch(b);
+  if (!left || !right) {
+    return 0;
+  }
+  if (left === right) {
+    return 1;
+  }
+
+  const leftBigrams = getBigrams(left);
+  const rightBigrams = getBigrams(right);
+  if (leftBigrams.length === 0 || rightBigrams.length === 0) {
+    return 0;
+  }
+
+  const remaining = new Map();
+  rightBigrams.forEach((bigram) => remaining.set(bigram, (remaining.get(bigram) || 0) + 1));
+
+  let shared = 0;
+  for (const bigram of leftBigrams) {
+    const count = remaining.get(bigram) || 0;
+    if (count > 0) {
+      shared++;
+      remaining.set(bigram, count - 1);
+    }
+  }
+
+  return (2 * shared) / (leftBigrams.length + rightBigrams.length);
+}
+
+/**
+ * Find the existing payee closest to an imported name
+ * @param {string} name Imported payee name
+ * @param {Array} payees ActualBudget payees ({id, name, transfer_acct})
+ * @param {number} [threshold] Similarity the match needs
+ * @returns {Object|null} {payee, score} or null if nothing is close enough
+ */
+export function findPayeeMatch(name, payees, threshold = DEFAULT_MATCH_THRESHOLD) {
+  let best = null;
+
+  for (const payee of payees) {
+    // Transfer payees stand for accounts, not merchants
+    if (payee.transfer_acct || !payee.name) {
+      continue;
+    }
+    if (payee.name === name) {
+      return { payee, score: 1 };
+    }
+    const score = payeeSimilarity(name, payee.name);
+    if (score >= threshold && (!best || score > best.score)) {
+      best = { payee, score };
+    }
+  }
+
+  return best;
+}
+
+/**
+ * Find the alias entry for an imported name (case-insensitive)
+ * @param {Object} aliases Aliases keyed by imported payee name
+ * @param {string} name Imported payee name
+ * @returns {Array|null} [key, entry] or null
+ */
+export function findPayeeAlias(aliases, name) {
+  if (Object.hasOwn(aliases, name)) {
+    return [name, aliases[name]];
+  }
+  const lowerName = String(name || '').toLowerCase();
+  return Object.entries(aliases).find(([key]) => key.toLowerCase() === lowerName) || null;
+}
+
+/**
+ * Set a user alias, replacing any entry for the same name
+ * @param {Object} aliases Aliases to update in place
+ * @param {string} name Imported payee name
+ * @param {string|null} payee Payee to import as, or null to keep the imported name
+ */
+export function setPayeeAlias(aliases, name, payee) {
+  removePayeeAlias(aliases, name);
+  aliases[name] = {
+    payee: payee || null,
+    source: 'user',
+    updatedAt: new Date().toISOString()
+  };
+}
+
+/**
+ * Remove the alias for an imported name
+ * @param {Object} aliases Aliases to update in place
+ * @param {string} name Imported payee name (case-insensitive)
+ * @returns {boolean} True if an alias was removed
+ */
+export function removePayeeAlias(aliases, name) {
+  const existing = findPayeeAlias(aliases, name);
+  if (!existing) {
+    return false;
+  }
+  delete aliases[existing[0]];
+  return true;
+}
+
+/**
+ * Rename transaction payees to their aliases and existing ActualBudget payees
+ * Saved aliases apply first; without one, a fuzzy match against the budget's payees (when given)
+ * is applied and remembered as an automatic alias. The payee the transformer built is kept in
+ * _originalPayee so legacy imported IDs do not change. Payees a contact or rule already set are
+ * left alone.
+ * @param {Array} transactions Transformed transactions (modified in place)
+ * @param {Object} aliases Aliases (new automatic aliases are added in place)
+ * @param {Array|null} payees ActualBudget payees, or null to only apply saved aliases
+ * @param {Object} [options] Matching options
+ * @param {number} [options.threshold] Similarity a fuzzy match needs
+ * @returns {Object} Counts {renamed, added}
+ */
+export function resolvePayeeAliases(transactions, aliases, payees = null, options = {}) {
+  const counts = { renamed: 0, added: 0 };
+
+  for (const transaction of transactions) {
+    // Transfers are imported with the target account's transfer payee
+    if (transaction._isTransfer || !transaction.Payee) {
+      continue;
+    }
+
+    // A contact or rule chose this payee deliberately
+    if ('_originalPayee' in transaction) {
+      continue;
+    }
+
+    let target = null;
+    const alias = findPayeeAlias(aliases, transaction.Payee);
+    if (alias) {
+      target = alias[1].payee;
+    } else if (payees) {
+      const match = findPayeeMatch(transaction.Payee, payees, options.threshold);
+      if (match && match.payee.name !== transaction.Payee) {
+        aliases[transaction.Payee] = {
+          payee: match.payee.name,
+          source: 'auto',
+          score: Math.round(match.score * 100) / 100,
+          updatedAt: new Date().toISOString()
+        };
+        target = match.payee.name;
+        counts.added++;
+      }
+    }
+
+    if (target && target !== transaction.Payee) {
+      transaction._originalPayee = transaction.Payee;
+      transaction.Payee = target;
+      counts.renamed++;
+    }
+  }
+
+  return counts;
+}
+
+export default {
+  DEFAULT_MATCH_THRESHOLD,
+  getPayeeAliasPath,
+  loadPayeeAliases,
+  savePayeeAliases,
+  normalizeForMatch,
+  payeeSimilarity,
+  findPayeeMatch,
+  findPayeeAlias,
+  setPayeeAlias,
+  removePayeeAlias,
+  resolvePayeeAliases
+};
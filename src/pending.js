@@ -0,0 +1,366 @@
+import { readFile, writeFile, mkdir } from 'fs/promises';
+import { existsSync } from 'fs';
+import { join, dirname } from 'path';
+import { xdgData } from 'xdg-basedir';
+import { daysBetween } from './date-range.js';
+
+/**
+ * Pending-to-posted lifecycle tracking
+ *
+ * Pending transactions are imported uncleared and remembered by their ActualBudget ID:
+ *   { "<actualId>": { "account": "Chequing", "date": "2024-03-10", "amount": -1250,
+ *                     "payee": "Coffee Shop", "sourceTransactionId": "...", "trackedAt": "..." } }
+ * Later runs update them in place once WealthSimple reports them as completed, and delete
+ * them when they are declined, cancelled or disappear from the activity page. A pending transfer
+ * also keeps the ActualBudget ID of its mirror in the destination account as `mirrorId`, and both
+ * sides are updated or deleted together.
+ */
+
+const PENDING_STATUSES = ['pending', 'in progress', 'processing', 'authorized', 'authorised'];
+const VOID_STATUSES = [
+  'declined',
+  'cancelled',
+  'canceled',
+  'failed',
+  'rejected',
+  'expired',
+  'reversed'
+];
+
+// How many days after the pending date a settled transaction may be dated
+const SETTLEMENT_WINDOW_DAYS = 10;
+
+/**
+ * Classify a WealthSimple status
+ * @param {string} status Status text from the activity page or CSV
+ * @returns {string|null} 'pending', 'void', 'posted', or null when there is no status
+ */
+export function getLifecycleState(status) {
+  const normalized = (status || '').trim().toLowerCase();
+  if (!normalized) {
+    return null;
+  }
+  if (PENDING_STATUSES.includes(normalized)) {
+    return 'pending';
+  }
+  if (VOID_STATUSES.includes(normalized)) {
+    return 'void';
+  }
+  return 'posted';
+}
+
+/**
+ * Get the default pending transaction file path
+ * @returns {string} Path in the XDG data directory
+ */
+export function getPendingPath() {
+  return join(xdgData, 'ws-actual', 'pending.json');
+}
+
+/**
+ * Load tracked pending transactions from disk
+ * @param {string} [filePath] Pending transaction file path
+ * @returns {Promise<Object>} Pending records keyed by ActualBudget transaction ID
+ */
+export async function loadPendingTransactions(filePath = getPendingPath()) {
+  if (!existsSync(filePath)) {
+    return {};
+  }
+
+  try {
+    const pending = JSON.parse(await readFile(filePath, 'utf-8'));
+    return pending && typeof pending === 'object' ? pending : {};
+  } catch (error) {
+    console.warn(`Could not load pending transactions from ${filePath}:`, error.message);
+    return {};
+  }
+}
+
+/**
+ * Save tracked pending transactions to disk
+ * @param {Object} pending Pending records keyed by ActualBudget transaction ID
+ * @param {string} [filePath] Pending transaction file path
+ * @returns {Promise<void>}
+ */
+export async function savePendingTransactions(pending, filePath = getPendingPath()) {
+  await mkdir(dirname(filePath), { recursive: true });
+  await writeFile(filePath, `${JSON.stringify(pending, null, 2)}\n`);
+}
+
+/**
+ * Remember an imported pending transaction
+ * @param {Object} pending Pending records to update in place
+ * @param {string} actualId ActualBudget transaction ID
+ * @param {Object} transaction Transformed transaction
+ * @param {string} [mirrorId] ActualBudget ID of a transfer's mirror in the destination account
+ */
+export function trackPending(pending, actualId, transaction, mirrorId = null) {
+  pending[actualId] = {
+    account: transaction.Account,
+    date: transaction.Date,
+    amount: transaction.Amount,
+    payee: transaction.Payee || '',
+    sourceTransactionId: transaction._sourceTransactionId || null,
+    trackedAt: new Date().toISOString()
+  };
+  if (mirrorId) {
+    pending[actualId].mirrorId = mirrorId;
+  }
+}
+
+/**
+ * Remember the pending transactions among those an import added
+ * Transfer mirrors are not tracked on their own: they belong to the record of their transfer.
+ * @param {Object} pending Pending records to update in place
+ * @param {Array} imported Imported results [{transaction, actualId, isMirrorTransfer}]
+ */
+export function trackImportedPending(pending, imported) {
+  const mirrorIds = new Map(
+    imported
+      .filter(({ isMirrorTransfer, actualId }) => isMirrorTransfer && actualId)
+      .map(({ transaction, actualId }) => [transaction, actualId])
+  );
+
+  imported.forEach(({ transaction, actualId, isMirrorTransfer }) => {
+    if (transaction._pending && actualId && !isMirrorTransfer) {
+      trackPending(pending, actualId, transaction, mirrorIds.get(transaction));
+    }
+  });
+}
+
+/**
+ * Check whether a scraped transaction can be the current state of a pending record
+ * With source transaction IDs on both sides they decide; otherwise the payee, direction and a
+ * settlement window must match. The amount may change (tips, currency conversion).
+ * @param {Object} record Pending record
+ * @param {Object} transaction Transformed transaction
+ * @returns {boolean} True if the transaction matches the record
+ */
+function matchesPending(record, transaction) {
+  if ((transaction.Account || '').toLowerCase() !== (record.account || '').toLowerCase()) {
+    return false;
+  }
+
+  if (record.sourceTransactionId && transaction._sourceTransactionId) {
+    return record.sourceTransactionId === transaction._sourceTransactionId;
+  }
+
+  const days = daysBetween(record.date, transaction.Date);
+  return (
+    (transaction.Payee || '').toLowerCase() === (record.payee || '').toLowerCase() &&
+    Math.sign(transaction.Amount) === Math.sign(record.amount) &&
+    days >= -1 &&
+    days <= SETTLEMENT_WINDOW_DAYS
+  );
+}
+
+/**
+ * Check whether a scraped transaction could still be a pending record
+ * Looser than matchesPending: payees and amounts may have been changed by rules or aliases, so
+ * any transaction of the same account in the settlement window counts, unless both have IDs.
+ * @param {Object} record Pending record
+ * @param {Object} transaction Transformed transaction
+ * @returns {boolean} True if the transaction may be the record
+ */
+function mayBePending(record, transaction) {
+  if ((transaction.Account || '').toLowerCase() !== (record.account || '').toLowerCase()) {
+    return false;
+  }
+
+  if (record.sourceTransactionId && transaction._sourceTransactionId) {
+    return record.sourceTransactionId === transaction._sourceTransactionId;
+  }
+
+  const days = daysBetween(record.date, transaction.Date);
+  return days >= -1 && days <= SETTLEMENT_WINDOW_DAYS;
+}
+
+/**
+ * Match tracked pending transactions against freshly scraped ones
+ * @param {Object} pending Pending records keyed by ActualBudget transaction ID
+ * @param {Array} transactions Transformed transactions (with _pending/_void flags)
+ * @param {Object} [options] Options
+ * @param {Object} [options.coverage] Oldest scraped date per account name; tracked records dated
+ *   after it that no longer appear at all are treated as dropped. Omit to skip that check.
+ * @param {Array} [options.scraped] Every scraped transaction, transformed before filters, rules
+ *   and validation. A record that may still be one of them is never treated as dropped, even
+ *   when it was left out of `transactions`. Defaults to `transactions`.
+ * @returns {Object} {settled, changed, cancelled, handled}: settled and changed are
+ *   [{actualId, record, transaction}], cancelled is [{actualId, record, reason}], and handled is
+ *   the Set of transactions that must not be imported as new
+ */
+export function reconcilePending(
+  pending,
+  transactions,
+  { coverage = null, scraped = transactions } = {}
+) {
+  const settled = [];
+  const changed = [];
+  const cancelled = [];
+  const claimed = new Set();
+
+  const records = Object.entries(pending || {}).sort(([, a], [, b]) =>
+    a.date < b.date ? -1 : a.date > b.date ? 1 : 0
+  );
+
+  for (const [actualId, record] of records) {
+    const candidates = transactions.filter(
+      (transaction) => !claimed.has(transaction) && matchesPending(record, transaction)
+    );
+
+    // Prefer the closest amount, then the closest date
+    candidates.sort(
+      (a, b) =>
+        Math.abs(a.Amount - record.amount) - Math.abs(b.Amount - record.amount) ||
+        Math.abs(daysBetween(record.date, a.Date)) - Math.abs(daysBetween(record.date, b.Date))
+    );
+    const match = candidates[0];
+
+    if (!match) {
+      const oldestSeen = coverage?.[record.account];
+      if (
+        oldestSeen &&
+        record.date > oldestSeen &&
+        !scraped.some((transaction) => mayBePending(record, transaction))
+      ) {
+        cancelled.push({ actualId, record, reason: 'no longer listed' });
+      }
+      continue;
+    }
+
+    claimed.add(match);
+    if (match._void) {
+      cancelled.push({ actualId, record, reason: 'declined or cancelled' });
+    } else if (match._pending) {
+      if (match.Amount !== record.amount || match.Date !== record.date) {
+        changed.push({ actualId, record, transaction: match });
+      }
+    } else {
+      settled.push({ actualId, record, transaction: match });
+    }
+  }
+
+  // Declined and cancelled transactions are never imported
+  const handled = new Set(claimed);
+  transactions
+    .filter((transaction) => transaction._void)
+    .forEach((transaction) => handled.add(transaction));
+
+  return { settled, changed, cancelled, handled };
+}
+
+/**
+ * Apply the pending transaction lifecycle in ActualBudget
+ * Settled transactions take the posted amount and date and become cleared; cancelled ones are
+ * deleted. A transfer's mirror gets the same changes, with the opposite amount. Records stay
+ * tracked when an update fails so the next run retries it.
+ * @param {Object} client ActualBudget client
+ * @param {Object} pending Pending records, updated in place
+ * @param {Object} lifecycle Result of reconcilePending
+ * @param {boolean} verbose Log each change
+ * @returns {Promise<Object>} Counts of settled, changed, removed and failed transactions
+ */
+export async function applyPendingLifecycle(client, pending, lifecycle, verbose) {
+  const counts = { settled: 0, changed: 0, removed: 0, failed: 0 };
+  const describe = (record) => `${record.payee || 'transaction'} on ${record.date}`;
+
+  for (const { actualId, record, transaction } of lifecycle.settled) {
+    try {
+      const importedId = client.generateImportedId(transaction);
+      await client.updateTransaction(actualId, {
+        date: transaction.Date,
+        amount: transaction.Amount,
+        cleared: true,
+        imported_id: importedId
+      });
+      if (record.mirrorId) {
+        const mirror = client.getMirrorImportIds(
+          transaction,
+          { imported_id: importedId },
+          new Set()
+        );
+        await client.updateTransaction(record.mirrorId, {
+          date: transaction.Date,
+          amount: -transaction.Amount,
+          cleared: true,
+          imported_id: mirror.importedId
+        });
+      }
+      delete pending[actualId];
+      counts.settled++;
+      if (verbose) {
+        console.log(`  Settled pending ${describe(record)}`);
+      }
+    } catch (error) {
+      counts.failed++;
+      console.error(`  Could not settle pending ${describe(record)}: ${error.message}`);
+    }
+  }
+
+  for (const { actualId, record, transaction } of lifecycle.changed) {
+    try {
+      await client.updateTransaction(actualId, {
+        date: transaction.Date,
+        amount: transaction.Amount
+      });
+      if (record.mirrorId) {
+        await client.updateTransaction(record.mirrorId, {
+          date: transaction.Date,
+          amount: -transaction.Amount
+        });
+      }
+      record.date = transaction.Date;
+      record.amount = transaction.Amount;
+      counts.changed++;
+      if (verbose) {
+        console.log(`  Updated pending ${describe(record)}`);
+      }
+    } catch (error) {
+      counts.failed++;
+      console.error(`  Could not update pending ${describe(record)}: ${error.message}`);
+    }
+  }
+
+  for (const { actualId, record, reason } of lifecycle.cancelled) {
+    try {
+      await client.deleteTransaction(actualId);
+      if (record.mirrorId) {
+        await client.deleteTransaction(record.mirrorId);
+      }
+      delete pending[actualId];
+      counts.removed++;
+      if (verbose) {
+        console.log(`  Removed pending ${describe(record)} (${reason})`);
+      }
+    } catch (error) {
+      counts.failed++;
+      console.error(`  Could not remove pending ${describe(record)}: ${error.message}`);
+    }
+  }
+
+  return counts;
+}
+
+/**
+ * Get the oldest date among tracked pending transactions
+ * @param {Object} pending Pending records
+ * @returns {string|null} Oldest date (YYYY-MM-DD) or null without pending transactions
+ */
+export function getOldestPendingDate(pending) {
+  const dates = Object.values(pending || {})
+    .map((record) => record.date)
+    .filter(Boolean);
+  return dates.length > 0 ? dates.reduce((oldest, date) => (date < oldest ? date : oldest)) : null;
+}
+
+export default {
+  getLifecycleState,
+  getPendingPath,
+  loadPendingTransactions,
+  savePendingTransactions,
+  trackPending,
+  trackImportedPending,
+  reconcilePending,
+  applyPendingLifecycle,
+  getOldestPendingDate
+};
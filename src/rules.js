@@ -0,0 +1,261 @@
+import { classifyTransaction } from './transaction-types.js';
+
+/**
+ * Payee and category rules from config.toml
+ *
+ * Each [[rules]] entry has a `when` table of conditions, all of which must match, and a `then`
+ * table of actions. Rules run in order on every transformed transaction, so a later rule sees
+ * (and can override) the payee set by an earlier one:
+ *
+ *   [[rules]]
+ *   name = "Coffee"
+ *   when = { description = "starbucks|tim hortons", type = "Purchase", maxAmount = 0 }
+ *   then = { payee = "Coffee Shop", category = "Dining Out" }
+ */
+
+/**
+ * Conditions a rule can use, and whether they hold a regex or a list of exact values
+ */
+const REGEX_CONDITIONS = ['description', 'payee', 'email'];
+const LIST_CONDITIONS = ['type', 'account', 'status'];
+const AMOUNT_CONDITIONS = ['minAmount', 'maxAmount'];
+
+/**
+ * Actions a rule can take
+ */
+const ACTIONS = ['payee', 'category', 'note', 'skip'];
+
+/**
+ * Compile a regex condition (matched case-insensitively)
+ * @param {string} label Rule or filter label for error messages (e.g. 'Rule "Coffee"')
+ * @param {string} key Condition name
+ * @param {string} pattern Regex source
+ * @returns {RegExp} Compiled regex
+ */
+function compilePattern(label, key, pattern) {
+  if (typeof pattern !== 'string' || pattern === '') {
+    throw new Error(`${label}: '${key}' must be a non-empty regex string`);
+  }
+  try {
+    return new RegExp(pattern, 'i');
+  } catch (error) {
+    throw new Error(`${label}: invalid '${key}' regex: ${error.message}`);
+  }
+}
+
+/**
+ * Compile a table of conditions
+ * Also used by [filters], whose entries take the same conditions.
+ * @param {string} label Rule or filter label for messages (e.g. 'Rule "Coffee"')
+ * @param {Object} when Conditions from config.toml
+ * @param {Array<string>} [ignoredKeys] Keys that are not conditions (e.g. a filter's name)
+ * @returns {Object} Compiled conditions
+ */
+export function compileConditions(label, when, ignoredKeys = []) {
+  const conditions = {};
+  for (const [key, value] of Object.entries(when)) {
+    if (REGEX_CONDITIONS.includes(key)) {
+      conditions[key] = compilePattern(label, key, value);
+    } else if (LIST_CONDITIONS.includes(key)) {
+      const values = Array.isArray(value) ? value : [value];
+      conditions[key] = values.map((item) => String(item).trim().toLowerCase());
+    } else if (AMOUNT_CONDITIONS.includes(key)) {
+      if (typeof value !== 'number' || !Number.isFinite(value)) {
+        throw new Error(`${label}: '${key}' must be a number`);
+      }
+      // Compared in cents so 12.34 matches exactly
+      conditions[key] = Math.round(value * 100);
+    } else if (!ignoredKeys.includes(key)) {
+      console.warn(
+        `Ignoring unknown condition '${key}' in ${label}. Valid conditions: ${[...REGEX_CONDITIONS, ...LIST_CONDITIONS, ...AMOUNT_CONDITIONS].join(', ')}`
+      );
+    }
+  }
+  return conditions;
+}
+
+/**
+ * Check whether conditions need the transformed transaction (payee or signed amount)
+ * @param {Object} conditions Compiled conditions
+ * @returns {boolean} True if matching reads the transformed transaction
+ */
+export function needsTransformed(conditions) {
+  return ['payee', ...AMOUNT_CONDITIONS].some((key) => conditions[key] !== undefined);
+}
+
+/**
+ * Compile one [[rules]] entry
+ * @param {Object} rule Rule from config.toml
+ * @param {number} index Position in the [[rules]] list
+ * @returns {Object} Compiled rule {name, conditions, actions}
+ */
+function compileRule(rule, index) {
+  const name = rule?.name || `Rule ${index + 1}`;
+  const when = rule?.when || {};
+  const then = rule?.then || {};
+
+  if (typeof when !== 'object' || typeof then !== 'object') {
+    throw new Error(`Rule "${name}": 'when' and 'then' must be tables`);
+  }
+
+  const conditions = compileConditions(`Rule "${name}"`, when);
+
+  const actions = {};
+  for (const [key, value] of Object.entries(then)) {
+    if (!ACTIONS.includes(key)) {
+      console.warn(
+        `Ignoring unknown action '${key}' in rule "${name}". Valid actions: ${ACTIONS.join(', ')}`
+      );
+      continue;
+    }
+    if (key === 'skip') {
+      actions.skip = value === true;
+    } else if (typeof value === 'string' && value.trim() !== '') {
+      actions[key] = value.trim();
+    } else {
+      console.warn(`Ignoring empty action '${key}' in rule "${name}"`);
+    }
+  }
+
+  if (Object.keys(conditions).length === 0) {
+    console.warn(`Rule "${name}" has no conditions and matches every transaction`);
+  }
+
+  return { name, conditions, actions };
+}
+
+/**
+ * Compile the [[rules]] list from config.toml
+ * Invalid regexes and amounts throw, so a typo does not silently stop a rule from matching.
+ * @param {Array} [rules] Rules from config.toml
+ * @returns {Array} Compiled rules
+ */
+export function compileRules(rules = []) {
+  if (!rules) {
+    return [];
+  }
+  if (!Array.isArray(rules)) {
+    throw new Error('rules in config.toml must be an array of tables ([[rules]])');
+  }
+  return rules.map(compileRule);
+}
+
+/**
+ * Check whether a compiled rule matches a transaction
+ * @param {Object} rule Compiled rule
+ * @param {Object} wsTransaction WealthSimple transaction
+ * @param {Object} transformed Transaction being transformed
+ * @returns {boolean} True if every condition matches
+ */
+export function matchesRule(rule, wsTransaction, transformed) {
+  return matchesConditions(rule.conditions, wsTransaction, transformed);
+}
+
+/**
+ * Check whether compiled conditions match a transaction
+ * @param {Object} conditions Compiled conditions
+ * @param {Object} wsTransaction WealthSimple transaction
+ * @param {Object} transformed Transformed transaction (Payee, Amount)
+ * @returns {boolean} True if every condition matches
+ */
+export function matchesConditions(conditions, wsTransaction, transformed) {
+  const text = {
+    description: wsTransaction.description,
+    payee: transformed.Payee,
+    email: wsTransaction.email
+  };
+
+  for (const key of REGEX_CONDITIONS) {
+    if (conditions[key] && !conditions[key].test(text[key] || '')) {
+      return false;
+    }
+  }
+
+  for (const key of LIST_CONDITIONS) {
+    const value = String(wsTransaction[key] || '')
+      .trim()
+      .toLowerCase();
+    // A type matches the WealthSimple type or the canonical one ("trade", "card_purchase")
+    const values = key === 'type' ? [value, classifyTransaction(wsTransaction)] : [value];
+    if (conditions[key] && !values.some((candidate) => conditions[key].includes(candidate))) {
+      return false;
+    }
+  }
+
+  if (conditions.minAmount !== undefined || conditions.maxAmount !== undefined) {
+    if (!Number.isFinite(transformed.Amount)) {
+      return false;
+    }
+    if (conditions.minAmount !== undefined && transformed.Amount < conditions.minAmount) {
+      return false;
+    }
+    if (conditions.maxAmount !== undefined && transformed.Amount > conditions.maxAmount) {
+      return false;
+    }
+  }
+
+  return true;
+}
+
+/**
+ * Remember a field's value before a rule first changes it
+ * Legacy imported IDs hash the payee and notes, so they must keep being computed from the values
+ * the transformer built, or transactions imported before a rule was added would import again.
+ * @param {Object} transformed Transformed transaction
+ * @param {string} field Payee or Notes
+ */
+function keepOriginal(transformed, field) {
+  const key = `_original${field}`;
+  if (!(key in transformed)) {
+    transformed[key] = transformed[field];
+  }
+}
+
+/**
+ * Apply the matching rules to a transformed transaction
+ * Skipped transactions are flagged with _skipped and dropped by transformTransactions.
+ * @param {Object} wsTransaction WealthSimple transaction
+ * @param {Object} transformed Transformed transaction (modified in place)
+ * @param {Array} rules Compiled rules
+ * @param {Map} [hits] Hit counts by rule name, incremented for each match
+ * @returns {Object} The transformed transaction
+ */
+export function applyRules(wsTransaction, transformed, rules = [], hits = null) {
+  for (const rule of rules) {
+    if (!matchesRule(rule, wsTransaction, transformed)) {
+      continue;
+    }
+
+    if (hits) {
+      hits.set(rule.name, (hits.get(rule.name) || 0) + 1);
+    }
+
+    const { actions } = rule;
+    if (actions.skip) {
+      transformed._skipped = true;
+      return transformed;
+    }
+    if (actions.payee) {
+      keepOriginal(transformed, 'Payee');
+      transformed.Payee = actions.payee;
+    }
+    if (actions.category) {
+      transformed._category = actions.category;
+    }
+    if (actions.note) {
+      keepOriginal(transformed, 'Notes');
+      transformed.Notes = transformed.Notes ? `${transformed.Notes} ${actions.note}` : actions.note;
+    }
+  }
+
+  return transformed;
+}
+
+export default {
+  compileConditions,
+  needsTransformed,
+  compileRules,
+  matchesRule,
+  matchesConditions,
+  applyRules
+};
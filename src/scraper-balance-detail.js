@@ -0,0 +1,228 @@
+import { DEFAULT_SELECTORS } from './selectors.js';
+import { isCreditCardAccount } from './transaction-types.js';
+
+/**
+ * Balance scraper that reads each account's own detail page
+ *
+ * The home page mixes group totals, promotions and account tiles, so matching names to
+ * dollar amounts there is unreliable. Each detail page shows exactly one account, with the
+ * same name the activity page uses in its "Account" row and the balance in the account's
+ * own currency. Credit cards show what is owed, which is a negative balance in ActualBudget.
+ */
+
+const DEFAULT_CURRENCY = 'CAD';
+
+/**
+ * Parse a displayed balance such as "$1,234.56", "US$1,234.56", "−$5.00" or "$10.00 USD"
+ * @param {string} text Balance text from the detail page
+ * @returns {Object|null} {balance, currency} or null if no amount is found
+ */
+export function parseBalanceText(text) {
+  if (!text) {
+    return null;
+  }
+
+  const normalized = text.replace(/\s+/g, ' ').trim();
+  const match = normalized.match(/([+−-])?\s*(US|CA|C)?\$\s*([+−-])?\s*([\d,]+(?:\.\d+)?)/i);
+  if (!match) {
+    return null;
+  }
+
+  const signChar = match[1] || match[3];
+  const sign = signChar === '−' || signChar === '-' ? -1 : 1;
+  const balance = sign * parseFloat(match[4].replace(/,/g, ''));
+  if (isNaN(balance)) {
+    return null;
+  }
+
+  let currency = DEFAULT_CURRENCY;
+  const code = normalized.slice(match.index + match[0].length).match(/^\s*([A-Z]{3})\b/);
+  if (code) {
+    currency = code[1];
+  } else if (match[2]?.toUpperCase() === 'US') {
+    currency = 'USD';
+  }
+
+  return { balance, currency };
+}
+
+/**
+ * Read a detail page's balance, as the signed balance ActualBudget should show
+ * @param {Object} reading Reading {name, balanceText, statementBalanceText}
+ * @param {string} name Cleaned account name
+ * @returns {Object|null} {balance, currency} plus statementBalance for credit cards, or null
+ */
+function parseReading(reading, name) {
+  const parsed = parseBalanceText(reading.balanceText);
+  if (!parsed || !isCreditCardAccount(name)) {
+    return parsed;
+  }
+
+  // The amount owed on a credit card is a liability
+  const result = { ...parsed, balance: -parsed.balance };
+  const statement = parseBalanceText(reading.statementBalanceText);
+  if (statement) {
+    result.statementBalance = -statement.balance;
+  }
+  return result;
+}
+
+/**
+ * Combine detail page readings into one balance per account name
+ * An account name that shows up with two different balances is ambiguous and dropped,
+ * since adjusting to the wrong one would be worse than not adjusting.
+ * @param {Array} readings Array of {name, balanceText, statementBalanceText, url}
+ * @param {boolean} verbose Log skipped readings
+ * @returns {Array} Array of {name, balance, currency, url}, plus statementBalance for credit cards
+ */
+export function collectDetailBalances(readings, verbose = false) {
+  const byName = new Map();
+  const ambiguous = new Set();
+
+  for (const reading of readings) {
+    const name = reading.name?.replace(/\s+/g, ' ').trim();
+    const parsed = name ? parseReading(reading, name) : null;
+
+    if (!name || !parsed) {
+      if (verbose) {
+        console.log(`  Could not read account name or balance from ${reading.url}`);
+      }
+      continue;
+    }
+
+    const key = name.toLowerCase();
+    const existing = byName.get(key);
+    if (existing) {
+      if (existing.balance !== parsed.balance || existing.currency !== parsed.currency) {
+        ambiguous.add(key);
+      }
+      continue;
+    }
+
+    byName.set(key, { name, ...parsed, url: reading.url });
+  }
+
+  for (const key of ambiguous) {
+    console.warn(
+      `Account "${byName.get(key).name}" appears on more than one detail page with different balances - skipping`
+    );
+    byName.delete(key);
+  }
+
+  return Array.from(byName.values());
+}
+
+/**
+ * Open the WealthSimple home page and list the detail page URL of every account
+ * @param {Object} page - Playwright page
+ * @param {Object} options - Options
+ * @param {boolean} options.verbose - Log detailed progress
+ * @param {Object} options.selectors - Selector profile from resolveSelectors
+ * @param {number} options.timeoutMs - How long to wait for account links (includes login)
+ * @returns {Promise<Array<string>>} - Unique account detail page URLs
+ */
+export async function listAccountDetailUrls(
+  page,
+  { verbose = false, selectors = DEFAULT_SELECTORS, timeoutMs = 60000 } = {}
+) {
+  if (verbose) {
+    console.log('\nNavigating to WealthSimple home page to find accounts...');
+  }
+
+  await page.goto('https://my.wealthsimple.com/app/home', {
+    waitUntil: 'domcontentloaded',
+    timeout: timeoutMs
+  });
+  await page.waitForSelector(selectors.accountDetailLink, { timeout: timeoutMs });
+
+  return page.evaluate((linkSelector) => {
+    /* eslint-disable no-undef */
+    const urls = Array.from(document.querySelectorAll(linkSelector))
+      .map((link) => link.href)
+      .filter(Boolean)
+      .map((href) => href.split(/[?#]/)[0]);
+    return Array.from(new Set(urls));
+  }, selectors.accountDetailLink);
+}
+
+/**
+ * Extract account balances by visiting each account's detail page
+ * @param {Object} context - Browser context (from Playwright)
+ * @param {boolean} verbose - Log detailed progress
+ * @param {Object} selectors - Selector profile from resolveSelectors
+ * @returns {Promise<Array>} - Array of account balances {name, balance, currency, url}
+ */
+export async function scrapeAccountBalancesFromDetails(
+  context,
+  verbose = false,
+  selectors = DEFAULT_SELECTORS
+) {
+  const pages = context.pages();
+  const page = pages.length > 0 ? pages[0] : await context.newPage();
+
+  try {
+    const accountUrls = await listAccountDetailUrls(page, { verbose, selectors });
+    if (verbose) {
+      console.log(`Found ${accountUrls.length} account detail pages`);
+    }
+
+    const readings = [];
+    for (const url of accountUrls) {
+      await page.goto(url, { waitUntil: 'domcontentloaded', timeout: 60000 });
+
+      try {
+        await page.waitForSelector(selectors.accountDetailBalance, { timeout: 30000 });
+      } catch (error) {
+        if (verbose) {
+          console.log(`  No balance found on ${url}`);
+        }
+        continue;
+      }
+
+      const reading = await page.evaluate(
+        ({ nameSelector, balanceSelector, statementBalanceSelector }) => {
+          /* eslint-disable no-undef */
+          return {
+            name: document.querySelector(nameSelector)?.textContent || null,
+            balanceText: document.querySelector(balanceSelector)?.textContent || null,
+            statementBalanceText:
+              document.querySelector(statementBalanceSelector)?.textContent || null
+          };
+        },
+        {
+          nameSelector: selectors.accountDetailName,
+          balanceSelector: selectors.accountDetailBalance,
+          statementBalanceSelector: selectors.accountDetailStatementBalance
+        }
+      );
+      readings.push({ ...reading, url });
+    }
+
+    const balances = collectDetailBalances(readings, verbose);
+
+    if (verbose) {
+      console.log(`Found ${balances.length} account balances:`);
+      balances.forEach((account) => {
+        const statement =
+          account.statementBalance !== undefined
+            ? ` (statement $${account.statementBalance.toFixed(2)})`
+            : '';
+        console.log(
+          `  ${account.name}: $${account.balance.toFixed(2)} ${account.currency}${statement}`
+        );
+      });
+    }
+
+    return balances;
+  } catch (error) {
+    console.error('Error scraping account balances:', error.message);
+    return [];
+  }
+}
+
+export default {
+  parseBalanceText,
+  listAccountDetailUrls,
+  collectDetailBalances,
+  scrapeAccountBalancesFromDetails
+};
@@ -1,8 +1,10 @@
+import { DEFAULT_SELECTORS } from './selectors.js';
+
 /**
  * DOM-structure-based balance scraper that works without hardcoded account names
  */
 
-export async function scrapeAccountBalancesV2(context, verbose = false) {
+export async function scrapeAccountBalancesV2(context, verbose = false, selectors = DEFAULT_SELECTORS) {
   const pages = context.pages();
   const page = pages.length > 0 ? pages[0] : await context.newPage();
 
@@ -20,13 +22,13 @@ export async function scrapeAccountBalancesV2(context, verbose = false) {
     await new Promise(resolve => setTimeout(resolve, 3000));
 
     // Extract account balances from the page using DOM structure
-    const balances = await page.evaluate(() => {
+    const balances = await page.evaluate((accountButtonSelector) => {
       /* eslint-disable no-undef */
       const accounts = [];
 
-      // Strategy 1: Find individual account buttons (sc-ecac9ab9-0 ga-drJI)
+      // Strategy 1: Find individual account buttons (balanceAccountButton selector)
       // These are the actual account items, not group headers
-      const accountButtons = Array.from(document.querySelectorAll('button[class*="sc-ecac9ab9-0"][class*="ga-drJI"]'));
+      const accountButtons = Array.from(document.querySelectorAll(accountButtonSelector));
 
       accountButtons.forEach(button => {
         const text = button.textContent || '';
@@ -82,8 +84,8 @@ export async function scrapeAccountBalancesV2(context, verbose = false) {
           cleanedName = uniqueWords.join(' ');
           ['TFSA', 'RRSP', 'RESP', 'FHSA'].forEach(accountType => {
             const duplicated = accountType + accountType;
-            const regex = new RegExp(duplicated, 'gi');
-            cleanedName = cleanedName.replace(regex, accountType);
+            const duplicateRegex = new RegExp(duplicated, 'gi');
+            cleanedName = cleanedName.replace(duplicateRegex, accountType);
           });
 
           if (cleanedName.length >= 2 && cleanedName.length <= 50 && !isNaN(balance)) {
@@ -156,7 +158,7 @@ export async function scrapeAccountBalancesV2(context, verbose = false) {
       });
 
       return Array.from(accountMap.values());
-    });
+    }, selectors.balanceAccountButton);
 
     if (verbose) {
       console.log(`Found ${balances.length} account balances:`);
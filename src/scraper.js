@@ -1,22 +1,33 @@
 import { chromium } from 'playwright';
-import { processTransactionDetails, parseTransaction } from './parser.js';
+import {
+  processTransactionDetails,
+  processAllTransactionDetails,
+  parseTransaction
+} from './parser.js';
+import {
+  createActivityStore,
+  collectActivityPayload,
+  mapCapturedActivities
+} from './network-parser.js';
+import { writeSnapshot, readSnapshot } from './snapshot.js';
+import { DEFAULT_SELECTORS } from './selectors.js';
 
 function wait(ms) {
   return new Promise((resolve) => setTimeout(resolve, ms));
 }
 
-async function countTransactionHeaders(page) {
-  return page.evaluate(() => {
+async function countTransactionHeaders(page, selectors = DEFAULT_SELECTORS) {
+  return page.evaluate((headerSelector) => {
     /* eslint-disable no-undef */
-    const buttons = document.querySelectorAll('button[role="button"][id$="-header"]');
+    const buttons = document.querySelectorAll(headerSelector);
     return buttons.length;
-  });
+  }, selectors.transactionHeader);
 }
 
-async function expandTransactions(page, verbose = false) {
-  const expandedCount = await page.evaluate(() => {
+async function expandTransactions(page, verbose = false, selectors = DEFAULT_SELECTORS) {
+  const expandedCount = await page.evaluate((headerSelector) => {
     /* eslint-disable no-undef */
-    const elements = document.querySelectorAll('[role="button"]');
+    const elements = document.querySelectorAll(headerSelector);
     const headerRegex = /-header$/;
     let count = 0;
 
@@ -32,7 +43,7 @@ async function expandTransactions(page, verbose = false) {
     });
 
     return count;
-  });
+  }, selectors.transactionHeader);
 
   if (verbose) {
     console.log(`Clicked ${expandedCount} transaction headers to expand them`);
@@ -40,10 +51,10 @@ async function expandTransactions(page, verbose = false) {
 
   await wait(3000);
 
-  const regionCount = await page.evaluate(() => {
+  const regionCount = await page.evaluate((regionSelector) => {
     /* eslint-disable no-undef */
-    return document.querySelectorAll('[role="region"]').length;
-  });
+    return document.querySelectorAll(regionSelector).length;
+  }, selectors.transactionRegion);
 
   if (verbose) {
     console.log(`Found ${regionCount} expanded regions after waiting`);
@@ -52,11 +63,57 @@ async function expandTransactions(page, verbose = false) {
   return { expandedCount, regionCount };
 }
 
-async function loadAllTransactions(page, verbose = false) {
+/**
+ * Read the date of the last (oldest) transaction currently on the page
+ * @param {Object} page - Playwright page
+ * @param {Object} selectors - Selector profile
+ * @param {string} timeZone - Timezone for relative dates such as "Today"
+ * @returns {Promise<string|null>} - Date (YYYY-MM-DD) or null if it cannot be read
+ */
+async function getOldestVisibleDate(page, selectors = DEFAULT_SELECTORS, timeZone = undefined) {
+  const headers = await getTransactionHeaders(page, selectors);
+  if (headers.length === 0) {
+    return null;
+  }
+
+  const { headerId, regionId } = headers[headers.length - 1];
+  await page.evaluate((id) => {
+    /* eslint-disable no-undef */
+    const header = document.querySelector(`[id="${id}"]`);
+    if (header && header.getAttribute('aria-expanded') === 'false') {
+      header.click();
+    }
+  }, headerId);
+  await wait(500);
+
+  const rawData = await processTransactionDetails(page, `[id="${regionId}"]`, selectors);
+  return parseTransaction(rawData, { timeZone })?.date || null;
+}
+
+async function loadAllTransactions(
+  page,
+  verbose = false,
+  stopBeforeDate = null,
+  selectors = DEFAULT_SELECTORS,
+  timeZone = undefined
+) {
   let clickCount = 0;
 
   // eslint-disable-next-line no-constant-condition
   while (true) {
+    // Stop paginating once the oldest loaded transaction is before the last import
+    if (stopBeforeDate) {
+      const oldestDate = await getOldestVisibleDate(page, selectors, timeZone);
+      if (oldestDate && oldestDate < stopBeforeDate) {
+        if (verbose) {
+          console.log(
+            `Reached transactions from ${oldestDate}, before last import (${stopBeforeDate}) - not loading more`
+          );
+        }
+        break;
+      }
+    }
+
     // Scroll to bottom to make "Load More" button visible if it exists
     await page.evaluate(() => {
       /* eslint-disable no-undef */
@@ -65,14 +122,19 @@ async function loadAllTransactions(page, verbose = false) {
     await wait(1000); // Wait for button to appear after scroll
 
     // Count transactions before clicking
-    const transactionCountBefore = await countTransactionHeaders(page);
+    const transactionCountBefore = await countTransactionHeaders(page, selectors);
 
     const buttonClicked = await page.evaluate(() => {
       /* eslint-disable no-undef */
       const buttons = Array.from(document.querySelectorAll('button'));
       const loadMoreButton = buttons.find((button) => {
         const text = button.textContent?.toLowerCase() || '';
-        return text.includes('load more') || text.includes('show more');
+        return (
+          text.includes('load more') ||
+          text.includes('show more') ||
+          text.includes('charger plus') ||
+          text.includes('afficher plus')
+        );
       });
 
       if (loadMoreButton && !loadMoreButton.disabled) {
@@ -97,7 +159,7 @@ async function loadAllTransactions(page, verbose = false) {
     for (let i = 0; i < 20; i++) {
       await wait(500);
 
-      const transactionCountAfter = await countTransactionHeaders(page);
+      const transactionCountAfter = await countTransactionHeaders(page, selectors);
 
       if (transactionCountAfter > transactionCountBefore) {
         newTransactionsLoaded = true;
@@ -121,7 +183,7 @@ async function loadAllTransactions(page, verbose = false) {
   return clickCount;
 }
 
-async function waitForActivityPage(page, timeoutMs = 300000) {
+async function waitForActivityPage(page, timeoutMs = 300000, selectors = DEFAULT_SELECTORS) {
   console.log('Waiting for activity page to load (timeout: 5 minutes)...');
   console.log('Please log in to WealthSimple if prompted.');
   console.log('');
@@ -134,16 +196,17 @@ async function waitForActivityPage(page, timeoutMs = 300000) {
     }
 
     await page.waitForFunction(
-      () => {
+      (headerSelector) => {
         /* eslint-disable no-undef */
-        const buttons = document.querySelectorAll('button[role="button"]');
+        const buttons = document.querySelectorAll(headerSelector);
         for (const button of buttons) {
-          if (button.id && button.id.endsWith('-header') && button.getAttribute('aria-controls')) {
+          if (button.id && button.getAttribute('aria-controls')) {
             return true;
           }
         }
         return false;
       },
+      selectors.transactionHeader,
       { timeout: timeoutMs, polling: 1000 }
     );
 
@@ -164,332 +227,353 @@ async function waitForActivityPage(page, timeoutMs = 300000) {
   }
 }
 
-async function getBrowserInfo() {
-  const { xdgData } = await import('xdg-basedir');
-  const { join } = await import('path');
-  const userDataDir = join(xdgData, 'ws-actual', 'browser-chromium');
-
-  return { launcher: chromium, name: 'Chromium', userDataDir };
-}
-
 /**
- * Extract account balances from the WealthSimple home page
- * @param {Object} context - Browser context (from Playwright)
+ * Listen for WealthSimple API/GraphQL responses and collect activity payloads
+ * @param {Object} page - Playwright page
+ * @param {Object} store - Store from createActivityStore
  * @param {boolean} verbose - Log detailed progress
- * @returns {Promise<Array>} - Array of account balances {name, balance}
+ * @returns {Object} {settle, detach} - settle() waits for in-flight responses, detach() stops listening
  */
-export async function scrapeAccountBalances(context, verbose = false) {
-  const pages = context.pages();
-  const page = pages.length > 0 ? pages[0] : await context.newPage();
+function captureActivityResponses(page, store, verbose = false) {
+  const pending = new Set();
 
-  try {
-    if (verbose) {
-      console.log('\nNavigating to WealthSimple home page to fetch balances...');
+  const onResponse = (response) => {
+    const url = response.url();
+    if (!/wealthsimple\.com/.test(url) || !/graphql|\/api\//i.test(url)) {
+      return;
     }
 
-    await page.goto('https://my.wealthsimple.com/app/home', {
-      waitUntil: 'domcontentloaded',
-      timeout: 60000
-    });
-
-    // Wait for accounts to load
-    await wait(3000);
-
-    // Extract account balances from the page
-    const balances = await page.evaluate(() => {
-      /* eslint-disable no-undef */
-      const accounts = [];
-      const processedElements = new Set();
-
-      // Account name patterns to search for
-      // Order matters - more specific patterns first
-      const accountNamePatterns = [
-        { pattern: /Spousal\s+RRSP/i, name: 'Spousal RRSP' },
-        { pattern: /Joint\s+RESP/i, name: 'Joint RESP' },
-        { pattern: /Joint.*Chequing|Chequing.*Joint/i, name: 'Joint' },
-        { pattern: /Solo|Chequing.*Solo/i, name: 'Solo' },
-        { pattern: /^TFSA(?:\s|$)/i, name: 'TFSA' },
-        { pattern: /^RRSP(?:\s|$)/i, name: 'RRSP' },
-        { pattern: /^FHSA(?:\s|$)/i, name: 'FHSA' },
-        { pattern: /^Cash(?:\s|$)/i, name: 'Cash' },
-        { pattern: /Personal.*Investment/i, name: 'Personal Investment' },
-        { pattern: /Non-registered/i, name: 'Non-registered' },
-        { pattern: /Chequing/i, name: 'Chequing' },
-        { pattern: /Savings/i, name: 'Savings' }
-      ];
-
-      // Helper to extract clean account name
-      function extractAccountName(text, matchedPattern) {
-        // Try to extract just the account type from potentially longer text
-        const cleanText = text.trim();
-
-        // Remove common noise patterns
-        let name = cleanText
-          .replace(/\$[\d,]+\.?\d{0,2}/g, '') // Remove dollar amounts
-          .replace(/[+−-]\d+\.?\d*%/g, '') // Remove percentages
-          .replace(/\d+\s+accounts?/gi, '') // Remove "2 accounts" type text
-          .replace(/all\s+time/gi, '') // Remove "all time"
-          .trim();
-
-        // If we have multiple lines, take the first substantial one
-        const lines = name
-          .split('\n')
-          .map((l) => l.trim())
-          .filter((l) => l.length > 0);
-        if (lines.length > 0) {
-          name = lines[0];
-        }
-
-        // If name is still messy or too long, extract just the pattern
-        if (name.length > 50 || /[$\d]{5,}/.test(name)) {
-          const match = cleanText.match(matchedPattern.pattern);
-          if (match) {
-            return matchedPattern.name;
-          }
-        }
+    const contentType = response.headers()['content-type'] || '';
+    if (!contentType.includes('json')) {
+      return;
+    }
 
-        // Final cleanup - if name still contains the account type pattern, use just that
-        if (matchedPattern.pattern.test(name)) {
-          // Extract just the account type word
-          const typeMatch = name.match(matchedPattern.pattern);
-          if (typeMatch && typeMatch[0]) {
-            // For patterns like "TFSA", "RRSP", return just that
-            // For patterns like "Chequing", include any descriptive words before it
-            const beforePattern = name.substring(0, name.indexOf(typeMatch[0])).trim();
-            if (beforePattern && beforePattern.split(/\s+/).length <= 2) {
-              return `${beforePattern} ${typeMatch[0]}`.trim();
-            }
-            return typeMatch[0].trim();
-          }
+    const handled = response
+      .json()
+      .then((payload) => {
+        const found = collectActivityPayload(payload, store);
+        if (verbose && found > 0) {
+          console.log(`Captured ${found} activities from ${url}`);
         }
+      })
+      .catch(() => {
+        // Body unavailable (redirect, navigation) or not JSON
+      })
+      .finally(() => pending.delete(handled));
+    pending.add(handled);
+  };
+
+  page.on('response', onResponse);
+
+  return {
+    settle: () => Promise.all(Array.from(pending)),
+    detach: () => page.off('response', onResponse)
+  };
+}
 
-        return name;
+/**
+ * List the header/region ID pairs of all transactions on the activity page
+ * @param {Object} page - Playwright page
+ * @param {Object} selectors - Selector profile
+ * @returns {Promise<Array>} - Array of {headerId, regionId}
+ */
+async function getTransactionHeaders(page, selectors = DEFAULT_SELECTORS) {
+  return page.evaluate((headerSelector) => {
+    /* eslint-disable no-undef */
+    const buttons = document.querySelectorAll(headerSelector);
+    const headers = [];
+    buttons.forEach((button) => {
+      if (button.id && button.getAttribute('aria-controls')) {
+        headers.push({
+          headerId: button.id,
+          regionId: button.getAttribute('aria-controls')
+        });
       }
+    });
+    return headers;
+  }, selectors.transactionHeader);
+}
 
-      // Helper to find balance in element tree
-      function findBalanceInTree(element, maxDepth = 4) {
-        const visited = new Set();
-        const toCheck = [{ el: element, depth: 0 }];
+/**
+ * Read the raw field data of each transaction region
+ * @param {Object} page - Playwright page
+ * @param {Array} transactionHeaders - Array of {headerId, regionId}
+ * @param {boolean} verbose - Log detailed progress
+ * @param {string} stopBeforeDate - Stop at the first transaction dated before this (YYYY-MM-DD)
+ * @param {Object} selectors - Selector profile
+ * @param {string} timeZone - Timezone for relative dates when checking stopBeforeDate
+ * @returns {Promise<Array>} - Raw transaction data for parseTransaction
+ */
+async function extractRawTransactions(
+  page,
+  transactionHeaders,
+  verbose = false,
+  stopBeforeDate = null,
+  selectors = DEFAULT_SELECTORS,
+  timeZone = undefined
+) {
+  const rawTransactions = [];
+  for (let i = 0; i < transactionHeaders.length; i++) {
+    const { headerId, regionId } = transactionHeaders[i];
+
+    // Ensure this specific transaction is expanded by clicking its header
+    // This handles cases where aria-expanded="true" but region content hasn't loaded
+    await page.evaluate((id) => {
+      /* eslint-disable no-undef */
+      const header = document.querySelector(`[id="${id}"]`);
+      if (header && header.getAttribute('aria-expanded') === 'false') {
+        header.click();
+      }
+    }, headerId);
 
-        while (toCheck.length > 0) {
-          const { el, depth } = toCheck.shift();
+    // Wait a bit for the expansion to complete
+    await wait(100);
 
-          if (!el || visited.has(el) || depth > maxDepth) {
-            continue;
-          }
-          visited.add(el);
-
-          const text = el.textContent || '';
-
-          // Look for dollar amounts - match multiple to find the largest (likely the total)
-          const dollarMatches = text.match(/\$[\d,]+\.?\d{0,2}/g);
-          if (dollarMatches && el.children.length < 10) {
-            // Parse all amounts and use the largest one (usually the total balance)
-            const amounts = dollarMatches
-              .map((match) => {
-                const cleaned = match.replace(/[$,]/g, '');
-                return parseFloat(cleaned);
-              })
-              .filter((amt) => !isNaN(amt) && amt > 0);
-
-            if (amounts.length > 0) {
-              // Return the largest amount (usually the main balance, not available balance)
-              return Math.max(...amounts);
-            }
-          }
+    // Use attribute selector since IDs might start with numbers
+    const selector = `[id="${regionId}"]`;
+    const rawData = await processTransactionDetails(page, selector, selectors);
 
-          // Check parent and siblings
-          if (el.parentElement && depth < maxDepth) {
-            toCheck.push({ el: el.parentElement, depth: depth + 1 });
-            const siblings = Array.from(el.parentElement.children);
-            siblings.forEach((sibling) => {
-              if (sibling !== el) {
-                toCheck.push({ el: sibling, depth: depth + 1 });
-              }
-            });
-          }
+    // Transactions are listed newest first, so everything after this one was already imported
+    if (stopBeforeDate && rawData) {
+      const date = parseTransaction(rawData, { timeZone })?.date;
+      if (date && date < stopBeforeDate) {
+        if (verbose) {
+          console.log(
+            `Stopped at transaction ${i + 1}/${transactionHeaders.length} dated ${date}, before last import (${stopBeforeDate})`
+          );
         }
-
-        return null;
+        break;
       }
+    }
 
-      // Strategy 1: Look for elements with account name patterns
-      const allElements = document.querySelectorAll('*');
+    if (rawData) {
+      rawTransactions.push(rawData);
+    } else if (verbose && i === 0) {
+      console.log(`WARNING: First transaction returned no data. Region ID: ${regionId}`);
+    }
 
-      for (const element of allElements) {
-        if (processedElements.has(element)) {
-          continue;
-        }
+    if (verbose && (i + 1) % 10 === 0) {
+      console.log(`Parsed ${i + 1}/${transactionHeaders.length} transactions...`);
+    }
+  }
 
-        const elementText = element.textContent || '';
+  if (verbose) {
+    console.log(`Extracted ${rawTransactions.length} raw transactions from DOM`);
+  }
 
-        // Check each account pattern
-        for (const accountPattern of accountNamePatterns) {
-          if (!accountPattern.pattern.test(elementText)) {
-            continue;
-          }
+  return rawTransactions;
+}
 
-          // Found potential account name element
-          const accountName = extractAccountName(elementText, accountPattern);
+/**
+ * Expand and read every transaction region in a single page evaluation
+ * Much faster than extractRawTransactions for long histories since it avoids two
+ * round-trips and a sleep per transaction.
+ * @param {Object} page - Playwright page
+ * @param {Array} transactionHeaders - Array of {headerId, regionId}
+ * @param {boolean} verbose - Log detailed progress
+ * @param {string} stopBeforeDate - Drop transactions from the first one dated before this (YYYY-MM-DD)
+ * @param {Object} selectors - Selector profile
+ * @param {string} timeZone - Timezone for relative dates when checking stopBeforeDate
+ * @returns {Promise<Array>} - Raw transaction data for parseTransaction
+ */
+async function extractRawTransactionsBatch(
+  page,
+  transactionHeaders,
+  verbose = false,
+  stopBeforeDate = null,
+  selectors = DEFAULT_SELECTORS,
+  timeZone = undefined
+) {
+  const { rawTransactions, missing } = await processAllTransactionDetails(
+    page,
+    transactionHeaders,
+    { selectors }
+  );
+
+  if (verbose && missing > 0) {
+    console.log(`WARNING: ${missing} transaction regions returned no data`);
+  }
 
-          // Skip if this text is too long (likely contains more than just account name)
-          if (accountName.length > 100) {
-            continue;
-          }
+  // Transactions are listed newest first, so everything from this one on was already imported
+  if (stopBeforeDate) {
+    const stopIndex = rawTransactions.findIndex((rawData) => {
+      const date = parseTransaction(rawData, { timeZone })?.date;
+      return date && date < stopBeforeDate;
+    });
+    if (stopIndex !== -1) {
+      if (verbose) {
+        console.log(
+          `Stopped at transaction ${stopIndex + 1}/${rawTransactions.length}, before last import (${stopBeforeDate})`
+        );
+      }
+      rawTransactions.length = stopIndex;
+    }
+  }
 
-          // Try to find balance near this element
-          const balance = findBalanceInTree(element);
+  if (verbose) {
+    console.log(`Extracted ${rawTransactions.length} raw transactions from DOM`);
+  }
 
-          if (balance !== null && balance > 0) {
-            // Check for duplicates
-            const isDuplicate = accounts.some(
-              (acc) => acc.name === accountName && Math.abs(acc.balance - balance) < 0.01
-            );
+  return rawTransactions;
+}
 
-            if (!isDuplicate) {
-              accounts.push({ name: accountName, balance });
-              processedElements.add(element);
-            }
-            break; // Found balance for this element, move to next
-          }
-        }
-      }
+/**
+ * Parse raw transaction data in Node.js context
+ * @param {Array} rawTransactions - Raw transaction data from extractRawTransactions
+ * @param {boolean} verbose - Log detailed progress
+ * @param {string} timeZone - Timezone for relative dates such as "Today"
+ * @returns {Array} - Parsed transactions
+ */
+function parseRawTransactions(rawTransactions, verbose = false, timeZone = undefined) {
+  if (verbose && rawTransactions.length > 0) {
+    console.log('Sample raw transaction data (first transaction):');
+    console.log(JSON.stringify(rawTransactions[0], null, 2));
+  } else if (rawTransactions.length === 0) {
+    console.log('WARNING: No raw transactions were extracted from the DOM!');
+  }
 
-      // Strategy 2: Look for data-testid or other semantic attributes
-      const semanticSelectors = [
-        '[data-testid*="account"]',
-        '[data-testid*="balance"]',
-        '[aria-label*="account"]',
-        'section[class*="account" i]',
-        'div[class*="account-card" i]'
-      ];
-
-      for (const selector of semanticSelectors) {
-        try {
-          const elements = document.querySelectorAll(selector);
-          for (const element of elements) {
-            const text = element.textContent || '';
-
-            // Check if contains account name
-            for (const accountPattern of accountNamePatterns) {
-              if (!accountPattern.pattern.test(text)) {
-                continue;
-              }
-
-              const accountName = extractAccountName(text, accountPattern);
-              const balance = findBalanceInTree(element, 2);
-
-              if (balance !== null && balance > 0) {
-                const isDuplicate = accounts.some(
-                  (acc) => acc.name === accountName && Math.abs(acc.balance - balance) < 0.01
-                );
-
-                if (!isDuplicate) {
-                  accounts.push({ name: accountName, balance });
-                }
-                break;
-              }
-            }
-          }
-        } catch (e) {
-          // Invalid selector, skip
-        }
-      }
+  const transactions = rawTransactions
+    .map((rawData) => parseTransaction(rawData, { timeZone }))
+    .filter(Boolean);
 
-      // Deduplicate accounts - keep only the highest balance for each unique account name
-      const accountMap = new Map();
-      accounts.forEach((acc) => {
-        // Skip invalid account names
-        if (!acc.name || acc.name.length < 2 || acc.name.length > 50) {
-          return;
-        }
+  if (verbose && transactions.length === 0 && rawTransactions.length > 0) {
+    console.log(
+      'WARNING: Parsing returned 0 transactions from',
+      rawTransactions.length,
+      'raw transactions'
+    );
+    console.log('First raw transaction:', JSON.stringify(rawTransactions[0], null, 2));
+  }
 
-        // Skip names that look like HTML/CSS (contain < or >)
-        if (acc.name.includes('<') || acc.name.includes('>') || acc.name.includes('style=')) {
-          return;
-        }
+  if (verbose) {
+    console.log(`Successfully parsed ${transactions.length} transactions`);
+  }
 
-        // Skip names with concatenated account types (e.g., "RRSPRRSP", "ChequingSoloJoint")
-        const accountTypeCount = [
-          'TFSA',
-          'RRSP',
-          'Chequing',
-          'Solo',
-          'Joint',
-          'RESP',
-          'Spousal'
-        ].filter((type) => {
-          const regex = new RegExp(type, 'gi');
-          const matches = acc.name.match(regex);
-          return matches && matches.length > 0;
-        }).length;
-        if (accountTypeCount > 2) {
-          // Allow 2 for "Joint RESP", "Spousal RRSP"
-          return;
-        }
+  return transactions;
+}
 
-        // Skip names that are just numbers or have too many numbers
-        if (/^\d+$/.test(acc.name) || (acc.name.match(/\d/g) || []).length > 5) {
-          return;
-        }
+/**
+ * Save the expanded activity page and each transaction region to a snapshot directory
+ * @param {Object} page - Playwright page
+ * @param {string} dir - Snapshot directory
+ * @param {Array} transactionHeaders - Array of {headerId, regionId}
+ * @param {Object} meta - Extra manifest metadata
+ * @returns {Promise<void>}
+ */
+async function captureSnapshot(page, dir, transactionHeaders, meta = {}) {
+  const { html, regions } = await page.evaluate((headers) => {
+    /* eslint-disable no-undef */
+    // Scripts would re-run the app on replay, so drop them from the saved markup
+    const stripScripts = (element) => {
+      const clone = element.cloneNode(true);
+      clone.querySelectorAll('script, noscript').forEach((script) => script.remove());
+      return clone.outerHTML;
+    };
 
-        // Normalize account name for comparison
-        const normalizedName = acc.name.trim().toLowerCase();
+    return {
+      html: `<!DOCTYPE html>${stripScripts(document.documentElement)}`,
+      regions: headers.map(({ headerId, regionId }) => {
+        const header = document.getElementById(headerId);
+        const region = document.getElementById(regionId);
+        return {
+          headerId,
+          regionId,
+          html: [header, region]
+            .filter(Boolean)
+            .map((element) => stripScripts(element))
+            .join('\n')
+        };
+      })
+    };
+  }, transactionHeaders);
 
-        // If we've seen this account before, keep the one with the larger balance
-        if (accountMap.has(normalizedName)) {
-          const existing = accountMap.get(normalizedName);
-          if (acc.balance > existing.balance) {
-            accountMap.set(normalizedName, acc);
-          }
-        } else {
-          accountMap.set(normalizedName, acc);
-        }
-      });
+  await writeSnapshot(dir, { html, regions, meta: { ...meta, url: page.url() } });
+  console.log(`Saved snapshot of ${regions.length} transactions to ${dir}`);
+  console.log('Note: snapshots contain your account details - review before sharing.');
+}
 
-      // Convert back to array
-      const uniqueAccounts = Array.from(accountMap.values());
+/**
+ * Parse transactions from a saved snapshot in a local headless browser
+ * @param {string} dir - Snapshot directory created with captureSnapshot
+ * @param {Object} options - Replay options
+ * @param {boolean} options.verbose - Log detailed progress
+ * @param {string} options.browserExecutablePath - Browser executable path
+ * @param {Object} options.selectors - Selector profile from resolveSelectors
+ * @param {string} options.timeZone - Timezone for relative dates such as "Today"
+ * @returns {Promise<Array>} - Array of parsed transactions
+ */
+export async function replaySnapshot(
+  dir,
+  {
+    verbose = false,
+    browserExecutablePath = null,
+    selectors = DEFAULT_SELECTORS,
+    timeZone = undefined
+  } = {}
+) {
+  const { manifest, html, regions } = await readSnapshot(dir);
 
-      return uniqueAccounts;
-    });
+  if (verbose) {
+    console.log(
+      `Replaying snapshot captured at ${manifest.capturedAt} (${regions.length} regions)`
+    );
+  }
+
+  const launchOptions = { headless: true };
+  if (browserExecutablePath) {
+    launchOptions.executablePath = browserExecutablePath;
+  }
+
+  const browser = await chromium.launch(launchOptions);
+  try {
+    const page = await browser.newPage();
+    await page.setContent(html, { waitUntil: 'domcontentloaded' });
 
+    const transactionHeaders = await getTransactionHeaders(page, selectors);
     if (verbose) {
-      console.log(`Found ${balances.length} account balances:`);
-      balances.forEach((acc) => {
-        console.log(`  ${acc.name}: $${acc.balance.toFixed(2)}`);
-      });
+      console.log(`Found ${transactionHeaders.length} transactions in snapshot. Parsing...`);
     }
 
-    return balances;
-  } catch (error) {
-    console.error('Error scraping account balances:', error.message);
-    return [];
+    const rawTransactions = await extractRawTransactions(
+      page,
+      transactionHeaders,
+      verbose,
+      null,
+      selectors,
+      timeZone
+    );
+    return parseRawTransactions(rawTransactions, verbose, timeZone);
+  } finally {
+    await browser.close();
   }
 }
 
+async function getBrowserInfo() {
+  const { xdgData } = await import('xdg-basedir');
+  const { join } = await import('path');
+  const userDataDir = join(xdgData, 'ws-actual', 'browser-chromium');
+
+  return { launcher: chromium, name: 'Chromium', userDataDir };
+}
+
 /**
- * Extract all transactions from the WealthSimple activity page
- * @param {Object} options - Scraper options
+ * Connect to a remote browser or launch Chromium with the persistent WealthSimple profile
+ * @param {Object} options - Browser options
  * @param {boolean} options.verbose - Log detailed progress
  * @param {string} options.remoteBrowserUrl - Chrome DevTools Protocol URL for remote browser connection
- * @param {boolean} options.keepContextOpen - Keep browser context open after scraping (for balance adjustment)
- * @param {string} options.timeframe - Time range for transactions (all, last-week, last-30-days, last-60-days, last-90-days)
  * @param {string} options.browserExecutablePath - Browser executable path
  * @param {string} options.browserUserDataDir - Browser profile directory
  * @param {Object} options.browserLaunchOptions - Additional Playwright launch options
- * @returns {Promise<Array|Object>} - Array of parsed transactions, or {transactions, context} if keepContextOpen is true
+ * @returns {Promise<Object>} - {context, isRemote}; a remote browser must not be closed by the caller
  */
-export async function scrapeTransactions({
+export async function openBrowserContext({
   verbose = false,
   remoteBrowserUrl = null,
-  keepContextOpen = false,
-  timeframe = 'last-30-days',
   browserExecutablePath = null,
   browserUserDataDir = null,
   browserLaunchOptions = {}
 }) {
   let context;
-  let shouldCloseContext = !keepContextOpen;
 
   if (remoteBrowserUrl) {
     // Connect to remote browser via Chrome DevTools Protocol
@@ -500,7 +584,6 @@ export async function scrapeTransactions({
 
     const browser = await chromium.connectOverCDP(remoteBrowserUrl);
     context = browser.contexts()[0];
-    shouldCloseContext = false; // Don't close remote browser
 
     if (verbose) {
       console.log('Connected to remote browser');
@@ -536,6 +619,50 @@ export async function scrapeTransactions({
     context = await chromium.launchPersistentContext(userDataDir, launchOptions);
   }
 
+  return { context, isRemote: Boolean(remoteBrowserUrl) };
+}
+
+/**
+ * Extract all transactions from the WealthSimple activity page
+ * @param {Object} options - Scraper options
+ * @param {boolean} options.verbose - Log detailed progress
+ * @param {string} options.remoteBrowserUrl - Chrome DevTools Protocol URL for remote browser connection
+ * @param {boolean} options.keepContextOpen - Keep browser context open after scraping (for balance adjustment)
+ * @param {string} options.timeframe - Time range for transactions (all, last-week, last-30-days, last-60-days, last-90-days)
+ * @param {string} options.browserExecutablePath - Browser executable path
+ * @param {string} options.browserUserDataDir - Browser profile directory
+ * @param {Object} options.browserLaunchOptions - Additional Playwright launch options
+ * @param {string} options.extractionMode - 'dom' to parse the rendered page one transaction at a time, 'batch' to parse it in a single pass, 'network' to map captured API responses (falls back to DOM)
+ * @param {string} options.snapshotDir - Save the expanded activity page to this directory for offline replay
+ * @param {string} options.stopBeforeDate - Stop loading and parsing at transactions dated before this (YYYY-MM-DD), for incremental imports
+ * @param {Object} options.selectors - Selector profile from resolveSelectors
+ * @param {string} options.timeZone - Timezone for transaction dates (defaults to the system timezone)
+ * @returns {Promise<Array|Object>} - Array of parsed transactions, or {transactions, context} if keepContextOpen is true
+ */
+export async function scrapeTransactions({
+  verbose = false,
+  remoteBrowserUrl = null,
+  keepContextOpen = false,
+  timeframe = 'last-30-days',
+  browserExecutablePath = null,
+  browserUserDataDir = null,
+  browserLaunchOptions = {},
+  extractionMode = 'dom',
+  snapshotDir = null,
+  stopBeforeDate = null,
+  selectors = DEFAULT_SELECTORS,
+  timeZone = undefined
+}) {
+  const { context, isRemote } = await openBrowserContext({
+    verbose,
+    remoteBrowserUrl,
+    browserExecutablePath,
+    browserUserDataDir,
+    browserLaunchOptions
+  });
+  // Don't close a remote browser
+  const shouldCloseContext = !keepContextOpen && !isRemote;
+
   try {
     // Get existing page or create new one
     const pages = context.pages();
@@ -550,6 +677,14 @@ export async function scrapeTransactions({
       console.log('Navigating to WealthSimple activity page...');
     }
 
+    // Listen for API responses before navigating so the first page of activity is captured
+    const activityStore = createActivityStore();
+    // Snapshots record the DOM, so they always use the page parsing path
+    const capture =
+      extractionMode === 'network' && !snapshotDir
+        ? captureActivityResponses(page, activityStore, verbose)
+        : null;
+
     // Navigate with longer timeout to allow for login and 2FA
     const activityUrl = `https://my.wealthsimple.com/app/activity?timeframe=${timeframe}`;
     await page.goto(activityUrl, {
@@ -564,7 +699,7 @@ export async function scrapeTransactions({
     // Wait for user to log in and activity page to load
     let pageLoaded = false;
     try {
-      pageLoaded = await waitForActivityPage(page, 300000);
+      pageLoaded = await waitForActivityPage(page, 300000, selectors);
     } catch (error) {
       // Check if the page is still open
       if (page.isClosed()) {
@@ -584,20 +719,16 @@ export async function scrapeTransactions({
     }
 
     // Load all transactions
-    const clickCount = await loadAllTransactions(page, verbose);
+    const clickCount = await loadAllTransactions(
+      page,
+      verbose,
+      stopBeforeDate,
+      selectors,
+      timeZone
+    );
 
     // Count how many transactions are now visible
-    const totalTransactions = await page.evaluate(() => {
-      /* eslint-disable no-undef */
-      const buttons = document.querySelectorAll('button[role="button"]');
-      let count = 0;
-      buttons.forEach((button) => {
-        if (button.id && button.id.endsWith('-header')) {
-          count++;
-        }
-      });
-      return count;
-    });
+    const totalTransactions = await countTransactionHeaders(page, selectors);
 
     if (verbose) {
       console.log(
@@ -607,100 +738,90 @@ export async function scrapeTransactions({
       console.log(`Found ${totalTransactions} transactions`);
     }
 
-    // Expand all collapsed transactions
-    if (verbose) {
-      console.log('Expanding all transactions...');
-    }
-    const expansionResult = await expandTransactions(page, verbose);
+    if (capture) {
+      await capture.settle();
+      capture.detach();
 
-    if (verbose) {
-      console.log(
-        `Expansion complete. Clicked: ${expansionResult.expandedCount}, Regions visible: ${expansionResult.regionCount}`
-      );
-    }
-
-    // Give more time for all expansions to complete
-    await wait(2000);
+      const { transactions, unmapped } = mapCapturedActivities(activityStore, { timeZone });
+      // An activity without a known account would be silently dropped, the page has them all
+      if (transactions.length > 0 && unmapped === 0) {
+        if (verbose) {
+          console.log(`Mapped ${transactions.length} transactions from API responses`);
+        }
 
-    // Count transaction headers (not regions, since regions only exist when expanded)
-    const transactionHeaders = await page.evaluate(() => {
-      /* eslint-disable no-undef */
-      const buttons = document.querySelectorAll('button[role="button"]');
-      const headers = [];
-      buttons.forEach((button) => {
-        if (button.id && button.id.endsWith('-header') && button.getAttribute('aria-controls')) {
-          headers.push({
-            headerId: button.id,
-            regionId: button.getAttribute('aria-controls')
-          });
+        if (keepContextOpen) {
+          return { transactions, context };
         }
-      });
-      return headers;
-    });
+        return transactions;
+      }
 
-    if (verbose) {
-      console.log(`Found ${transactionHeaders.length} transactions. Parsing...`);
+      if (unmapped > 0) {
+        console.log(
+          `${unmapped} activities in API responses could not be mapped, falling back to page parsing`
+        );
+      } else {
+        console.log(
+          'No activity payload recognized in API responses, falling back to page parsing'
+        );
+      }
     }
 
-    // Extract transaction data using the region IDs
-    const rawTransactions = [];
-    for (let i = 0; i < transactionHeaders.length; i++) {
-      const { headerId, regionId } = transactionHeaders[i];
-
-      // Ensure this specific transaction is expanded by clicking its header
-      // This handles cases where aria-expanded="true" but region content hasn't loaded
-      await page.evaluate((id) => {
-        /* eslint-disable no-undef */
-        const header = document.querySelector(`[id="${id}"]`);
-        if (header && header.getAttribute('aria-expanded') === 'false') {
-          header.click();
-        }
-      }, headerId);
-
-      // Wait a bit for the expansion to complete
-      await wait(100);
-
-      // Use attribute selector since IDs might start with numbers
-      const selector = `[id="${regionId}"]`;
-      const rawData = await processTransactionDetails(page, selector);
-      if (rawData) {
-        rawTransactions.push(rawData);
-      } else if (verbose && i === 0) {
-        console.log(`WARNING: First transaction returned no data. Region ID: ${regionId}`);
+    // Batch extraction expands and waits for regions itself
+    if (extractionMode !== 'batch') {
+      // Expand all collapsed transactions
+      if (verbose) {
+        console.log('Expanding all transactions...');
       }
+      const expansionResult = await expandTransactions(page, verbose, selectors);
 
-      if (verbose && (i + 1) % 10 === 0) {
-        console.log(`Parsed ${i + 1}/${transactionHeaders.length} transactions...`);
+      if (verbose) {
+        console.log(
+          `Expansion complete. Clicked: ${expansionResult.expandedCount}, Regions visible: ${expansionResult.regionCount}`
+        );
       }
-    }
 
-    if (verbose) {
-      console.log(`Extracted ${rawTransactions.length} raw transactions from DOM`);
+      // Give more time for all expansions to complete
+      await wait(2000);
     }
 
-    // Parse transactions in Node.js context
-    if (verbose && rawTransactions.length > 0) {
-      console.log('Sample raw transaction data (first transaction):');
-      console.log(JSON.stringify(rawTransactions[0], null, 2));
-    } else if (rawTransactions.length === 0) {
-      console.log('WARNING: No raw transactions were extracted from the DOM!');
+    // Count transaction headers (not regions, since regions only exist when expanded)
+    const transactionHeaders = await getTransactionHeaders(page, selectors);
+
+    if (verbose) {
+      console.log(`Found ${transactionHeaders.length} transactions. Parsing...`);
     }
 
-    const transactions = rawTransactions.map(parseTransaction).filter(Boolean);
+    const extractionStart = Date.now();
+    const rawTransactions =
+      extractionMode === 'batch'
+        ? await extractRawTransactionsBatch(
+            page,
+            transactionHeaders,
+            verbose,
+            stopBeforeDate,
+            selectors,
+            timeZone
+          )
+        : await extractRawTransactions(
+            page,
+            transactionHeaders,
+            verbose,
+            stopBeforeDate,
+            selectors,
+            timeZone
+          );
 
-    if (verbose && transactions.length === 0 && rawTransactions.length > 0) {
-      console.log(
-        'WARNING: Parsing returned 0 transactions from',
-        rawTransactions.length,
-        'raw transactions'
-      );
-      console.log('First raw transaction:', JSON.stringify(rawTransactions[0], null, 2));
+    if (verbose) {
+      const seconds = ((Date.now() - extractionStart) / 1000).toFixed(1);
+      console.log(`Extraction (${extractionMode} mode) took ${seconds}s`);
     }
 
-    if (verbose) {
-      console.log(`Successfully parsed ${transactions.length} transactions`);
+    if (snapshotDir) {
+      await captureSnapshot(page, snapshotDir, transactionHeaders, { timeframe });
     }
 
+    const transactions = parseRawTransactions(rawTransactions, verbose, timeZone);
+
     if (keepContextOpen) {
       return { transactions, context };
     }
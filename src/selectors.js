@@ -0,0 +1,98 @@
+/**
+ * Selector profile for the WealthSimple scrapers
+ *
+ * The built-in profile tracks the current WealthSimple markup. Any selector can be
+ * overridden from config.toml so a broken one can be patched without a release:
+ *
+ *   [scraper.selectors]
+ *   version = 1
+ *   balanceAccountButton = 'button[class*="sc-new-hash"]'
+ */
+
+/**
+ * Version of the built-in selector profile, bumped whenever a default selector changes
+ */
+export const SELECTOR_PROFILE_VERSION = 1;
+
+/**
+ * Built-in selectors
+ */
+export const DEFAULT_SELECTORS = Object.freeze({
+  // Collapsible transaction header on the activity page; its aria-controls names the region
+  transactionHeader: 'button[role="button"][id$="-header"]',
+  // Expanded transaction details
+  transactionRegion: '[role="region"]',
+  // Header text that WealthSimple leaves unmasked (description, type, account, amount)
+  unmaskedText: 'span[data-fs-privacy-rule="unmask"], p[data-fs-privacy-rule="unmask"]',
+  // Individual account item on the home page (hashed styled-components classes)
+  balanceAccountButton: 'button[class*="sc-ecac9ab9-0"][class*="ga-drJI"]',
+  // Detail-page selectors are not yet confirmed against captured WealthSimple markup;
+  // --adjust-balances falls back to balanceAccountButton when they find nothing
+  // Links from the home page to each account's detail page
+  accountDetailLink: 'a[href*="/app/account-details/"]',
+  // Account name on a detail page, as shown in the activity "Account" row
+  accountDetailName: 'h1',
+  // Current balance on a detail page
+  accountDetailBalance: '[data-testid="account-balance"]',
+  // Statement balance on a credit card's detail page
+  accountDetailStatementBalance: '[data-testid="statement-balance"]',
+  // One position in a detail page's holdings list, and its cells (relative to the row);
+  // not yet confirmed against captured markup either
+  holdingRow: '[data-testid="position-row"]',
+  holdingSymbol: '[data-testid="position-symbol"]',
+  holdingQuantity: '[data-testid="position-quantity"]',
+  holdingBookValue: '[data-testid="position-book-value"]',
+  holdingMarketValue: '[data-testid="position-market-value"]'
+});
+
+/**
+ * Merge config overrides into the built-in selector profile
+ * Unknown keys and empty values are ignored with a warning.
+ * @param {Object} [overrides] The [scraper.selectors] table from config.toml
+ * @returns {Object} Selectors keyed like DEFAULT_SELECTORS
+ */
+export function resolveSelectors(overrides = {}) {
+  const selectors = { ...DEFAULT_SELECTORS };
+  if (!overrides || typeof overrides !== 'object') {
+    return selectors;
+  }
+
+  const { version, ...values } = overrides;
+  if (version !== undefined && version !== SELECTOR_PROFILE_VERSION) {
+    console.warn(
+      `Selector overrides were written for profile version ${version}, but the built-in profile is version ${SELECTOR_PROFILE_VERSION}. Check that they are still needed.`
+    );
+  }
+
+  for (const [key, value] of Object.entries(values)) {
+    if (!(key in DEFAULT_SELECTORS)) {
+      console.warn(
+        `Ignoring unknown selector '${key}' in [scraper.selectors]. Valid keys: ${Object.keys(DEFAULT_SELECTORS).join(', ')}`
+      );
+      continue;
+    }
+    if (typeof value !== 'string' || value.trim() === '') {
+      console.warn(`Ignoring empty selector '${key}' in [scraper.selectors]`);
+      continue;
+    }
+    selectors[key] = value.trim();
+  }
+
+  return selectors;
+}
+
+/**
+ * List the selectors that differ from the built-in profile
+ * @param {Object} selectors Resolved selectors
+ * @returns {Array<string>} Overridden selector keys
+ */
+export function getOverriddenSelectors(selectors) {
+  return Object.keys(DEFAULT_SELECTORS).filter((key) => selectors[key] !== DEFAULT_SELECTORS[key]);
+}
+
+export default {
+  SELECTOR_PROFILE_VERSION,
+  DEFAULT_SELECTORS,
+  resolveSelectors,
+  getOverriddenSelectors
+};
@@ -7,6 +7,7 @@ import { loadConfig, saveConfig, storePassword } from './config.js';
 import { getStoredPassword } from './util/keyring-helpers.js';
 import { scrapeTransactions } from './scraper.js';
 import { getUniqueAccounts, promptForAccountMapping } from './account-mapper.js';
+import { compileFilters } from './filters.js';
 import { createClient } from './actual-client.js';
 
 /**
@@ -115,7 +116,10 @@ async function performAccountMapping(options, rl) {
   }
 
   // Get unique accounts from transactions
-  const allUniqueAccounts = getUniqueAccounts(wsTransactions);
+  const allUniqueAccounts = getUniqueAccounts(
+    wsTransactions,
+    compileFilters(fullConfig.filters).counterpartyTypes
+  );
 
   // Filter accounts based on user choice
   let accountsToMap;
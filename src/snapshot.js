@@ -0,0 +1,112 @@
+import { readFile, writeFile, mkdir, readdir } from 'fs/promises';
+import { existsSync } from 'fs';
+import { join } from 'path';
+
+/**
+ * Offline snapshots of the WealthSimple activity page
+ *
+ * Layout of a snapshot directory:
+ *   manifest.json      - capture metadata and the header/region IDs of each transaction
+ *   activity.html      - the full activity page after expansion (scripts removed)
+ *   regions/NNNN.html  - one file per transaction holding its header button and expanded region
+ */
+
+export const SNAPSHOT_VERSION = 1;
+const MANIFEST_FILE = 'manifest.json';
+const PAGE_FILE = 'activity.html';
+const REGIONS_DIR = 'regions';
+
+/**
+ * Get the file name for a region by index
+ * @param {number} index Zero-based transaction index
+ * @returns {string} Region file name
+ */
+function getRegionFileName(index) {
+  return `${String(index + 1).padStart(4, '0')}.html`;
+}
+
+/**
+ * Write a snapshot to disk
+ * @param {string} dir Snapshot directory
+ * @param {Object} snapshot Snapshot contents
+ * @param {string} snapshot.html Activity page HTML
+ * @param {Array} snapshot.regions Regions [{headerId, regionId, html}]
+ * @param {Object} snapshot.meta Extra metadata stored in the manifest (timeframe, url)
+ * @returns {Promise<Object>} The manifest that was written
+ */
+export async function writeSnapshot(dir, { html, regions, meta = {} }) {
+  await mkdir(join(dir, REGIONS_DIR), { recursive: true });
+
+  const manifest = {
+    version: SNAPSHOT_VERSION,
+    capturedAt: new Date().toISOString(),
+    ...meta,
+    regions: regions.map(({ headerId, regionId }, index) => ({
+      headerId,
+      regionId,
+      file: join(REGIONS_DIR, getRegionFileName(index))
+    }))
+  };
+
+  await writeFile(join(dir, PAGE_FILE), html);
+  for (let i = 0; i < regions.length; i++) {
+    await writeFile(join(dir, manifest.regions[i].file), regions[i].html);
+  }
+  await writeFile(join(dir, MANIFEST_FILE), `${JSON.stringify(manifest, null, 2)}\n`);
+
+  return manifest;
+}
+
+/**
+ * Read a snapshot from disk
+ * Region files are preferred so single regions can be edited or trimmed into fixtures;
+ * the full page is used when no region files are present.
+ * @param {string} dir Snapshot directory
+ * @returns {Promise<Object>} {manifest, html, regions} where html is the document to replay
+ */
+export async function readSnapshot(dir) {
+  const manifestPath = join(dir, MANIFEST_FILE);
+  if (!existsSync(manifestPath)) {
+    throw new Error(`Not a snapshot directory (missing ${MANIFEST_FILE}): ${dir}`);
+  }
+
+  const manifest = JSON.parse(await readFile(manifestPath, 'utf-8'));
+  if (manifest.version !== SNAPSHOT_VERSION) {
+    throw new Error(`Unsupported snapshot version: ${manifest.version}`);
+  }
+
+  const regionsDir = join(dir, REGIONS_DIR);
+  const regionFiles = existsSync(regionsDir) ? await readdir(regionsDir) : [];
+  const regions = (manifest.regions || []).filter(({ file }) => {
+    return regionFiles.includes(file.substring(REGIONS_DIR.length + 1));
+  });
+
+  if (regions.length > 0) {
+    const parts = [];
+    for (const region of regions) {
+      parts.push(`<div>${await readFile(join(dir, region.file), 'utf-8')}</div>`);
+    }
+    return {
+      manifest,
+      html: `<!DOCTYPE html><html><body>${parts.join('\n')}</body></html>`,
+      regions
+    };
+  }
+
+  const pagePath = join(dir, PAGE_FILE);
+  if (!existsSync(pagePath)) {
+    throw new Error(`Snapshot has no region files and no ${PAGE_FILE}: ${dir}`);
+  }
+
+  return {
+    manifest,
+    html: await readFile(pagePath, 'utf-8'),
+    regions: manifest.regions || []
+  };
+}
+
+export default {
+  writeSnapshot,
+  readSnapshot,
+  SNAPSHOT_VERSION
+};
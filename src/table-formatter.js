@@ -8,13 +8,42 @@ function getTerminalWidth() {
   return 200;
 }
 
+/**
+ * Get the category shown for a transaction
+ * Learned categories show how consistently the payee used them.
+ * @param {Object} transaction Transformed transaction
+ * @returns {string} Category label
+ */
+function getCategoryLabel(transaction) {
+  if (transaction._learnedCategory) {
+    const { categoryName, confidence } = transaction._learnedCategory;
+    return `${categoryName} (${Math.round(confidence * 100)}%)`;
+  }
+  return transaction._category || '';
+}
+
+/**
+ * Calculate the Category column width
+ * @param {Array} transactions Transactions to analyze
+ * @returns {number} Column width
+ */
+function calculateCategoryWidth(transactions) {
+  const longest = Math.max(
+    'Category'.length,
+    ...transactions.map((t) => getCategoryLabel(t).length)
+  );
+  // Content plus 2 spaces padding, capped so Notes keeps most of the room
+  return Math.min(longest + 2, 32);
+}
+
 /**
  * Calculate optimal column widths based on content and terminal width
  * @param {Array} transactions Transactions to analyze
+ * @param {number} reservedWidth Width taken by extra columns (including their border)
  * @returns {Array<number>} Column widths array
  */
-function calculateColumnWidths(transactions) {
-  const terminalWidth = getTerminalWidth();
+function calculateColumnWidths(transactions, reservedWidth = 0) {
+  const terminalWidth = getTerminalWidth() - reservedWidth;
   const headers = ['Date', 'Account', 'Payee', 'Amount', 'Notes'];
   // Calculate the maximum content width for each column
   const maxWidths = [
@@ -84,12 +113,18 @@ export function formatTransactionsTable(transactions) {
     return 'No transactions to display';
   }
 
+  // Show a Category column when rules, rewards or learning assigned any
+  const showCategory = transactions.some((t) => t._category);
+  const categoryWidth = showCategory ? calculateCategoryWidth(transactions) : 0;
+
   // Calculate dynamic column widths
-  const colWidths = calculateColumnWidths(transactions);
+  const colWidths = calculateColumnWidths(transactions, showCategory ? categoryWidth + 1 : 0);
 
   const table = new Table({
-    head: ['Date', 'Account', 'Payee', 'Amount', 'Notes'],
-    colWidths: colWidths,
+    head: showCategory
+      ? ['Date', 'Account', 'Payee', 'Amount', 'Category', 'Notes']
+      : ['Date', 'Account', 'Payee', 'Amount', 'Notes'],
+    colWidths: showCategory ? [...colWidths.slice(0, 4), categoryWidth, colWidths[4]] : colWidths,
     style: {
       head: ['cyan', 'bold'],
       border: ['grey']
@@ -101,13 +136,18 @@ export function formatTransactionsTable(transactions) {
     const amount = (transaction.Amount / 100).toFixed(2);
     const amountFormatted = transaction.Amount >= 0 ? `$${amount}` : `-$${Math.abs(amount)}`;
 
-    table.push([
+    const row = [
       transaction.Date || 'N/A',
       truncateString(transaction.Account || 'N/A', colWidths[1] - 2),
       truncateString(transaction.Payee || '', colWidths[2] - 2),
-      amountFormatted,
-      truncateString(transaction.Notes || '', colWidths[4] - 2)
-    ]);
+      amountFormatted
+    ];
+    if (showCategory) {
+      row.push(truncateString(getCategoryLabel(transaction), categoryWidth - 2));
+    }
+    row.push(truncateString(transaction.Notes || '', colWidths[4] - 2));
+
+    table.push(row);
   });
 
   return table.toString();
@@ -223,9 +263,86 @@ export function formatStatistics(stats) {
   return table.toString();
 }
 
+/**
+ * Format how many transactions each [[rules]] entry matched
+ * @param {Array} rules Compiled rules
+ * @param {Map} hits Hit counts by rule name
+ * @returns {string} Formatted rule hits table
+ */
+export function formatRuleHits(rules, hits) {
+  const table = new Table({
+    head: ['Rule', 'Matches'],
+    colWidths: [45, 10],
+    style: {
+      head: ['cyan', 'bold'],
+      border: ['grey']
+    }
+  });
+
+  rules.forEach((rule) => {
+    table.push([truncateString(rule.name, 43), String(hits.get(rule.name) || 0)]);
+  });
+
+  return table.toString();
+}
+
+/**
+ * Format how many transactions each filter removed
+ * @param {Map} removed Removed counts by filter name
+ * @returns {string} Formatted filter table
+ */
+export function formatFilterCounts(removed) {
+  const table = new Table({
+    head: ['Filter', 'Removed'],
+    colWidths: [45, 10],
+    style: {
+      head: ['cyan', 'bold'],
+      border: ['grey']
+    }
+  });
+
+  removed.forEach((count, filterName) => {
+    table.push([truncateString(filterName, 43), String(count)]);
+  });
+
+  return table.toString();
+}
+
+/**
+ * Format the payee alias table
+ * @param {Object} aliases Aliases keyed by imported payee name
+ * @returns {string} Formatted aliases table
+ */
+export function formatPayeeAliases(aliases) {
+  const table = new Table({
+    head: ['Imported Name', 'Payee', 'Source', 'Score'],
+    colWidths: [40, 40, 8, 7],
+    style: {
+      head: ['cyan', 'bold'],
+      border: ['grey']
+    }
+  });
+
+  Object.entries(aliases)
+    .sort(([a], [b]) => a.localeCompare(b))
+    .forEach(([name, alias]) => {
+      table.push([
+        truncateString(name, 38),
+        alias.payee ? truncateString(alias.payee, 38) : '(keep name)',
+        alias.source || '',
+        alias.score === undefined ? '' : alias.score.toFixed(2)
+      ]);
+    });
+
+  return table.toString();
+}
+
 export default {
   formatTransactionsTable,
   formatAccountSummary,
   formatValidationErrors,
-  formatStatistics
+  formatStatistics,
+  formatRuleHits,
+  formatFilterCounts,
+  formatPayeeAliases
 };
@@ -0,0 +1,142 @@
+/**
+ * Calendar date helpers for a configurable timezone
+ *
+ * Transaction dates are calendar dates (YYYY-MM-DD) in the user's timezone. Values that name an
+ * instant (ISO timestamps with an offset, Date objects) are converted into that timezone; values
+ * that are already wall-clock dates are kept as written. Going through toISOString() instead
+ * would shift evening transactions to the next day for anyone west of UTC.
+ */
+
+/**
+ * Get the timezone of the system running the importer
+ * @returns {string} IANA timezone name (e.g. "America/Toronto")
+ */
+export function getSystemTimeZone() {
+  return Intl.DateTimeFormat().resolvedOptions().timeZone || 'UTC';
+}
+
+/**
+ * Check that a timezone name is known to the runtime
+ * @param {string} timeZone IANA timezone name
+ * @returns {boolean} True if valid
+ */
+export function isValidTimeZone(timeZone) {
+  if (typeof timeZone !== 'string' || !timeZone.trim()) {
+    return false;
+  }
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: timeZone.trim() });
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Resolve the configured timezone
+ * @param {string} [timeZone] Configured IANA timezone name
+ * @returns {string} The configured timezone, or the system timezone if none is configured
+ */
+export function resolveTimeZone(timeZone) {
+  if (timeZone === undefined || timeZone === null || timeZone === '') {
+    return getSystemTimeZone();
+  }
+  if (!isValidTimeZone(timeZone)) {
+    throw new Error(`Unknown timezone "${timeZone}" (expected an IANA name like America/Toronto)`);
+  }
+  return timeZone.trim();
+}
+
+/**
+ * Format an instant as a YYYY-MM-DD calendar date in a timezone
+ * @param {Date} date Instant to format
+ * @param {string} [timeZone] IANA timezone name (defaults to the system timezone)
+ * @returns {string} Calendar date
+ */
+export function formatDateInTimeZone(date, timeZone = getSystemTimeZone()) {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit'
+  }).formatToParts(date);
+  const get = (type) => parts.find((part) => part.type === type).value;
+  return `${get('year')}-${get('month')}-${get('day')}`;
+}
+
+/**
+ * Get today's calendar date in a timezone
+ * @param {string} [timeZone] IANA timezone name (defaults to the system timezone)
+ * @param {Date} [now] Reference instant
+ * @returns {string} Today's date (YYYY-MM-DD)
+ */
+export function getTodayInTimeZone(timeZone = getSystemTimeZone(), now = new Date()) {
+  return formatDateInTimeZone(now, timeZone);
+}
+
+/**
+ * Add days to a YYYY-MM-DD calendar date
+ * @param {string} date Calendar date
+ * @param {number} days Days to add (negative to subtract)
+ * @returns {string} Shifted calendar date
+ */
+export function addDaysToDate(date, days) {
+  const shifted = new Date(`${date}T00:00:00Z`);
+  shifted.setUTCDate(shifted.getUTCDate() + days);
+  return shifted.toISOString().slice(0, 10);
+}
+
+/**
+ * Convert a date value to a YYYY-MM-DD calendar date in a timezone
+ * @param {string|number|Date} value Date string, timestamp or Date
+ * @param {string} [timeZone] IANA timezone name (defaults to the system timezone)
+ * @returns {string|null} Calendar date or null if the value is not a date
+ */
+export function toCalendarDate(value, timeZone = getSystemTimeZone()) {
+  if (value === null || value === undefined || value === '') {
+    return null;
+  }
+
+  if (value instanceof Date || typeof value === 'number') {
+    const date = new Date(value);
+    return isNaN(date.getTime()) ? null : formatDateInTimeZone(date, timeZone);
+  }
+
+  const text = String(value).trim();
+
+  // An ISO timestamp with an offset or "Z" is an instant
+  if (/^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:?\d{2})$/i.test(text)) {
+    const date = new Date(text);
+    return isNaN(date.getTime()) ? null : formatDateInTimeZone(date, timeZone);
+  }
+
+  // A date, optionally followed by a wall-clock time, is already a calendar date
+  const isoDate = text.match(/^(\d{4}-\d{2}-\d{2})(?:$|[T\s])/);
+  if (isoDate) {
+    return isNaN(Date.parse(`${isoDate[1]}T00:00:00Z`)) ? null : isoDate[1];
+  }
+
+  // Other formats ("March 10, 2024", "Mon, 10 Mar 2024 14:30:00 GMT") are left to Date
+  const date = new Date(text);
+  if (isNaN(date.getTime())) {
+    return null;
+  }
+  if (/(GMT|UTC|Z)$|[+-]\d{2}:?\d{2}$/i.test(text)) {
+    return formatDateInTimeZone(date, timeZone);
+  }
+  // Without a zone, Date reads the text as system-local wall-clock time, so read it back the same way
+  const year = date.getFullYear();
+  const month = String(date.getMonth() + 1).padStart(2, '0');
+  const day = String(date.getDate()).padStart(2, '0');
+  return `${year}-${month}-${day}`;
+}
+
+export default {
+  getSystemTimeZone,
+  isValidTimeZone,
+  resolveTimeZone,
+  formatDateInTimeZone,
+  getTodayInTimeZone,
+  addDaysToDate,
+  toCalendarDate
+};
@@ -0,0 +1,272 @@
+/**
+ * Canonical transaction types
+ *
+ * WealthSimple types are free-form labels ("Interac e-Transfer", "Pre-authorized debit",
+ * "Market buy"...) that differ between the activity page, CSV exports and the API. This module
+ * maps them to one canonical type, so the transformer, filters and account discovery agree on what
+ * a transaction is. Types are matched by an ordered table of patterns; the first match wins.
+ */
+
+/**
+ * Canonical transaction types
+ */
+export const TRANSACTION_TYPES = Object.freeze({
+  CARD_PURCHASE: 'card_purchase',
+  CARD_REFUND: 'card_refund',
+  CARD_PAYMENT: 'card_payment',
+  INTERAC_IN: 'interac_in',
+  INTERAC_OUT: 'interac_out',
+  EFT_IN: 'eft_in',
+  EFT_OUT: 'eft_out',
+  BILL_PAYMENT: 'bill_payment',
+  PAYMENT: 'payment',
+  DEPOSIT: 'deposit',
+  WITHDRAWAL: 'withdrawal',
+  DIVIDEND: 'dividend',
+  INTEREST: 'interest',
+  INTEREST_CHARGE: 'interest_charge',
+  FEE: 'fee',
+  REWARD: 'reward',
+  TRADE: 'trade',
+  CURRENCY_CONVERSION: 'currency_conversion',
+  INTERNAL_TRANSFER: 'internal_transfer',
+  INSTITUTIONAL_TRANSFER: 'institutional_transfer',
+  OTHER: 'other'
+});
+
+/**
+ * Internal investment types, which move money between cash and holdings inside an account
+ */
+export const INTERNAL_INVESTMENT_TYPES = Object.freeze([
+  TRANSACTION_TYPES.TRADE,
+  TRANSACTION_TYPES.CURRENCY_CONVERSION
+]);
+
+/**
+ * Types whose from/to name the other party of the transaction, not a WealthSimple account
+ */
+export const COUNTERPARTY_TRANSACTION_TYPES = Object.freeze([
+  TRANSACTION_TYPES.INTERAC_IN,
+  TRANSACTION_TYPES.INTERAC_OUT,
+  TRANSACTION_TYPES.EFT_IN,
+  TRANSACTION_TYPES.EFT_OUT
+]);
+
+/**
+ * Types that always put money into a credit card account (they pay the balance down)
+ */
+const CARD_CREDIT_TYPES = [TRANSACTION_TYPES.CARD_PAYMENT, TRANSACTION_TYPES.CARD_REFUND];
+
+/**
+ * Types that are card payments when they show up on the credit card itself
+ */
+const CARD_PAYMENT_TYPES = [
+  TRANSACTION_TYPES.CARD_PAYMENT,
+  TRANSACTION_TYPES.BILL_PAYMENT,
+  TRANSACTION_TYPES.PAYMENT
+];
+
+/**
+ * Patterns for raw types, in order of precedence
+ * `type` is fixed; `in`/`out` pick a type by the sign of the amount. `debit` marks types that
+ * always take money out of the account and `credit` types that always put money in, whatever the
+ * sign shown.
+ */
+const TYPE_PATTERNS = [
+  { pattern: /\breinvested\b/, type: TRANSACTION_TYPES.TRADE, debit: true },
+  {
+    pattern: /^(market|limit|stop|stop limit|fractional|recurring)\s+buy$|^diy_buy/,
+    type: TRANSACTION_TYPES.TRADE,
+    debit: true
+  },
+  {
+    pattern: /^(market|limit|stop|stop limit|fractional|recurring)\s+sell$|^diy_sell/,
+    type: TRANSACTION_TYPES.TRADE,
+    credit: true
+  },
+  { pattern: /\b(funds|currency)[ _]conver/, type: TRANSACTION_TYPES.CURRENCY_CONVERSION },
+  { pattern: /interest[ _]charge/, type: TRANSACTION_TYPES.INTEREST_CHARGE, debit: true },
+  {
+    pattern: /interac|\be-?transfer/,
+    in: TRANSACTION_TYPES.INTERAC_IN,
+    out: TRANSACTION_TYPES.INTERAC_OUT
+  },
+  { pattern: /direct deposit|payroll/, type: TRANSACTION_TYPES.EFT_IN },
+  { pattern: /pre-?authorized debit/, type: TRANSACTION_TYPES.EFT_OUT },
+  { pattern: /\b(eft|aft)\b/, in: TRANSACTION_TYPES.EFT_IN, out: TRANSACTION_TYPES.EFT_OUT },
+  { pattern: /credit[ _]card[ _]payment/, type: TRANSACTION_TYPES.CARD_PAYMENT, debit: true },
+  { pattern: /bill[ _]?pay/, type: TRANSACTION_TYPES.BILL_PAYMENT, debit: true },
+  { pattern: /purchase|^spend$/, type: TRANSACTION_TYPES.CARD_PURCHASE, debit: true },
+  { pattern: /refund/, type: TRANSACTION_TYPES.CARD_REFUND },
+  {
+    pattern: /cash ?back|reward|referral|bonus|promotion|reimbursement/,
+    type: TRANSACTION_TYPES.REWARD
+  },
+  { pattern: /payment/, type: TRANSACTION_TYPES.PAYMENT, debit: true },
+  { pattern: /withdraw/, type: TRANSACTION_TYPES.WITHDRAWAL, debit: true },
+  { pattern: /\bfees?\b/, type: TRANSACTION_TYPES.FEE, debit: true },
+  {
+    pattern: /in-kind|full transfer|partial transfer|institutional/,
+    type: TRANSACTION_TYPES.INSTITUTIONAL_TRANSFER
+  },
+  { pattern: /transfer_out/, type: TRANSACTION_TYPES.INTERNAL_TRANSFER, debit: true },
+  { pattern: /transfer/, type: TRANSACTION_TYPES.INTERNAL_TRANSFER },
+  { pattern: /dividend/, type: TRANSACTION_TYPES.DIVIDEND },
+  { pattern: /interest/, type: TRANSACTION_TYPES.INTEREST },
+  { pattern: /deposit|contribution/, type: TRANSACTION_TYPES.DEPOSIT }
+];
+
+/**
+ * Payee names for transactions without a description
+ */
+const TYPE_PAYEES = {
+  [TRANSACTION_TYPES.CARD_PURCHASE]: 'Purchase',
+  [TRANSACTION_TYPES.CARD_REFUND]: 'Refund',
+  [TRANSACTION_TYPES.CARD_PAYMENT]: 'Payment',
+  [TRANSACTION_TYPES.BILL_PAYMENT]: 'Payment',
+  [TRANSACTION_TYPES.PAYMENT]: 'Payment',
+  [TRANSACTION_TYPES.DEPOSIT]: 'Deposit',
+  [TRANSACTION_TYPES.EFT_IN]: 'Deposit',
+  [TRANSACTION_TYPES.WITHDRAWAL]: 'Withdrawal',
+  [TRANSACTION_TYPES.DIVIDEND]: 'Dividend',
+  [TRANSACTION_TYPES.INTEREST]: 'Interest',
+  [TRANSACTION_TYPES.INTEREST_CHARGE]: 'Interest',
+  [TRANSACTION_TYPES.FEE]: 'Fee',
+  [TRANSACTION_TYPES.INTERAC_IN]: 'Transfer',
+  [TRANSACTION_TYPES.INTERAC_OUT]: 'Transfer',
+  [TRANSACTION_TYPES.INTERNAL_TRANSFER]: 'Transfer',
+  [TRANSACTION_TYPES.INSTITUTIONAL_TRANSFER]: 'Transfer'
+};
+
+/**
+ * Check whether a WealthSimple account is a credit card
+ * Credit cards are liabilities: purchases raise what is owed, payments and refunds lower it.
+ * @param {string} accountName WealthSimple account name
+ * @returns {boolean} True for credit card accounts
+ */
+export function isCreditCardAccount(accountName) {
+  return /\bcredit card\b/i.test(accountName || '');
+}
+
+/**
+ * Find the pattern entry for a raw type
+ * @param {string} rawType Raw WealthSimple type or subheading
+ * @returns {Object|null} Pattern entry or null
+ */
+function findTypePattern(rawType) {
+  const type = String(rawType || '')
+    .trim()
+    .toLowerCase();
+  if (!type) {
+    return null;
+  }
+  return TYPE_PATTERNS.find((entry) => entry.pattern.test(type)) || null;
+}
+
+/**
+ * Find the pattern entry for a transaction's type, falling back to its subheading
+ * @param {Object} transaction WealthSimple transaction
+ * @returns {Object|null} Pattern entry or null
+ */
+function findTransactionPattern(transaction) {
+  return findTypePattern(transaction.type) || findTypePattern(transaction.subheading);
+}
+
+/**
+ * Get the canonical type of a pattern entry
+ * @param {Object|null} entry Pattern entry
+ * @param {number|string} amount Signed amount
+ * @returns {string} Canonical type from TRANSACTION_TYPES
+ */
+function getEntryType(entry, amount) {
+  if (!entry) {
+    return TRANSACTION_TYPES.OTHER;
+  }
+  if (entry.type) {
+    return entry.type;
+  }
+  return Number(amount) < 0 ? entry.out : entry.in;
+}
+
+/**
+ * Classify a raw WealthSimple type
+ * @param {string} rawType Raw type (e.g. "Interac e-Transfer")
+ * @param {number|string} [amount] Signed amount, used for types that go both ways
+ * @returns {string} Canonical type from TRANSACTION_TYPES
+ */
+export function classifyType(rawType, amount = 0) {
+  return getEntryType(findTypePattern(rawType), amount);
+}
+
+/**
+ * Classify a WealthSimple transaction by its type, falling back to its subheading
+ * Payments received by a credit card account are card payments.
+ * @param {Object} transaction WealthSimple transaction
+ * @returns {string} Canonical type from TRANSACTION_TYPES
+ */
+export function classifyTransaction(transaction) {
+  const transactionType = getEntryType(findTransactionPattern(transaction), transaction.amount);
+  if (isCreditCardAccount(transaction.account) && CARD_PAYMENT_TYPES.includes(transactionType)) {
+    return TRANSACTION_TYPES.CARD_PAYMENT;
+  }
+  return transactionType;
+}
+
+/**
+ * Get the direction a transaction's type always moves money in, whatever the sign shown
+ * @param {Object} transaction WealthSimple transaction
+ * @returns {string|null} 'debit', 'credit', or null when the amount's sign decides
+ */
+export function getTypeDirection(transaction) {
+  if (
+    isCreditCardAccount(transaction.account) &&
+    CARD_CREDIT_TYPES.includes(classifyTransaction(transaction))
+  ) {
+    return 'credit';
+  }
+  const entry = findTransactionPattern(transaction);
+  if (entry?.debit) {
+    return 'debit';
+  }
+  return entry?.credit ? 'credit' : null;
+}
+
+/**
+ * Check whether a transaction's type always takes money out of the account
+ * @param {Object} transaction WealthSimple transaction
+ * @returns {boolean} True for purchases, payments, withdrawals, fees, interest charges and buys
+ */
+export function hasDebitType(transaction) {
+  return getTypeDirection(transaction) === 'debit';
+}
+
+/**
+ * Check whether a canonical type is an internal investment operation
+ * @param {string} transactionType Canonical type
+ * @returns {boolean} True for trades and currency conversions
+ */
+export function isInternalInvestmentType(transactionType) {
+  return INTERNAL_INVESTMENT_TYPES.includes(transactionType);
+}
+
+/**
+ * Get the payee name used for a canonical type when a transaction has no description
+ * @param {string} transactionType Canonical type
+ * @returns {string|null} Payee name, or null if the type has none
+ */
+export function getTypePayee(transactionType) {
+  return TYPE_PAYEES[transactionType] || null;
+}
+
+export default {
+  TRANSACTION_TYPES,
+  INTERNAL_INVESTMENT_TYPES,
+  COUNTERPARTY_TRANSACTION_TYPES,
+  isCreditCardAccount,
+  classifyType,
+  classifyTransaction,
+  getTypeDirection,
+  hasDebitType,
+  isInternalInvestmentType,
+  getTypePayee
+};
@@ -1,7 +1,35 @@
+import { getLifecycleState } from './pending.js';
+import { applyRules } from './rules.js';
+import { renderNotesTemplate, selectNotesTemplate } from './notes-template.js';
+import { toCalendarDate } from './timezone.js';
+import { findContact } from './contacts.js';
+import { findExternalAccount } from './external-accounts.js';
+import { daysBetween } from './date-range.js';
+import {
+  INTERNAL_INVESTMENT_TYPES,
+  TRANSACTION_TYPES,
+  classifyTransaction,
+  getTypeDirection,
+  isInternalInvestmentType,
+  getTypePayee
+} from './transaction-types.js';
+
 /**
  * Transform WealthSimple transactions to ActualBudget format
  */
 
+/**
+ * Canonical transaction types that don't change the overall account balance
+ * These are internal investment operations (buying/selling stocks, reinvesting dividends, currency
+ * conversions). `excludeTypes` in [filters] replaces this list.
+ */
+export const DEFAULT_EXCLUDED_TYPES = INTERNAL_INVESTMENT_TYPES;
+
+/**
+ * Canonical types of transformed transactions, kept out of the transactions' own fields
+ */
+const transactionTypes = new WeakMap();
+
 /**
  * Check if a transaction should be included in the import
  * Filters out internal investment transactions that don't change the account balance
@@ -9,20 +37,7 @@
  * @returns {boolean} True if transaction should be included
  */
 export function shouldIncludeTransaction(transaction) {
-  // List of transaction types that don't change the overall account balance
-  // These are internal investment operations (buying/selling stocks, reinvesting dividends, currency conversions)
-  const excludedTypes = [
-    'market sell',
-    'market buy',
-    'fractional buy',
-    'dividend reinvested',
-    'funds converted'
-  ];
-
-  const type = (transaction.type || '').toLowerCase();
-
-  // Exclude if type matches any of the excluded types
-  return !excludedTypes.includes(type);
+  return !isInternalInvestmentType(classifyTransaction(transaction));
 }
 
 /**
@@ -30,12 +45,19 @@ export function shouldIncludeTransaction(transaction) {
  * @param {Object} wsTransaction WealthSimple transaction
  * @param {Object} options Transform options
  * @param {Function} options.isAccountMapped Function to check if account is mapped
+ * @param {string} options.timeZone Timezone for timestamps with an offset (defaults to the system timezone)
+ * @param {Object} options.notes Notes templates {template, transfer, trade} from config.toml
+ * @param {Map} options.contacts e-Transfer contacts by email, from [contacts] in config.toml
+ * @param {Array} options.externalAccounts Accounts at other institutions, from [[externalAccounts]]
+ * @param {string} options.investmentMode 'detailed' to import trades with their details in the notes
+ * @param {Array} options.rules Compiled [[rules]] from config.toml
+ * @param {Map} options.ruleHits Hit counts by rule name, incremented for each matching rule
  * @returns {Object} ActualBudget transaction
  */
 export function transformTransaction(wsTransaction, options = {}) {
   // Use date if available, otherwise use filled, fallback to submitted
   const rawDate = wsTransaction.date || wsTransaction.filled || wsTransaction.submitted;
-  const transactionDate = formatDateToYMD(rawDate);
+  const transactionDate = formatDateToYMD(rawDate, options.timeZone);
 
   // Convert amount to cents (ActualBudget uses cents internally)
   // Handle missing or invalid amounts
@@ -58,25 +80,58 @@ export function transformTransaction(wsTransaction, options = {}) {
     }
   }
 
+  // Trades are only imported for accounts in detailed investment mode
+  const isTrade = options.investmentMode === 'detailed' && isInvestmentTrade(wsTransaction);
+
   // Determine if this is a debit or credit
   const isDebit = isDebitTransaction(wsTransaction);
   const finalAmount = isDebit ? -Math.abs(amountInCents) : Math.abs(amountInCents);
 
   // Check if this is a transfer transaction
-  const transferInfo = detectTransfer(wsTransaction, options.isAccountMapped);
+  const transferInfo = detectTransfer(
+    wsTransaction,
+    options.isAccountMapped,
+    options.externalAccounts
+  );
 
   // Check if transfer info was pre-stored (for moved transactions)
   const actualTransferInfo = wsTransaction._transferInfo || transferInfo;
 
   // Build notes field per CLAUDE.md specification
   let notes;
-  if (actualTransferInfo.isTransfer && wsTransaction.from && wsTransaction.to) {
+  const isTransferWithAccounts = Boolean(
+    actualTransferInfo.isTransfer && wsTransaction.from && wsTransaction.to
+  );
+  if (isTransferWithAccounts) {
     // For transfers, use simple arrow format: "from account -> to account"
     notes = `${wsTransaction.from} -> ${wsTransaction.to}`;
+  } else if (isTrade) {
+    notes = buildTradeNotes(wsTransaction);
   } else {
     notes = buildNotesFromSpec(wsTransaction);
   }
 
+  // Legacy imported_ids were built from the notes before the foreign amount was added to them,
+  // and before card payments and transfers with other institutions took the arrow notes
+  let legacyNotes = notes;
+  const isLinkedTransfer = actualTransferInfo.isExternal || Boolean(wsTransaction._cardPayment);
+  if (isTransferWithAccounts ? isLinkedTransfer : !isTrade) {
+    legacyNotes = buildNotesFromSpec(wsTransaction, false);
+  }
+
+  // A configured template replaces the built-in notes; the built-in ones still feed legacy IDs
+  const template = selectNotesTemplate(options.notes, wsTransaction, isTransferWithAccounts);
+  if (template) {
+    const templated = renderNotesTemplate(template, {
+      ...wsTransaction,
+      foreign: formatForeignAmount(wsTransaction),
+      default: notes
+    });
+    if (templated !== notes) {
+      notes = templated;
+    }
+  }
+
   // Build payee name from description
   const payee = buildPayeeName(wsTransaction);
 
@@ -88,29 +143,124 @@ export function transformTransaction(wsTransaction, options = {}) {
     Notes: notes,
     Amount: finalAmount
   };
+  transactionTypes.set(transformed, classifyTransaction(wsTransaction));
 
   if (wsTransaction.transactionId?.trim()) {
     transformed._sourceTransactionId = wsTransaction.transactionId.trim();
   }
 
+  if (legacyNotes !== notes) {
+    transformed._originalNotes = legacyNotes;
+  }
+
+  if (isTrade) {
+    transformed._trade = true;
+  }
+
+  // The card's own record of a linked card payment, whose IDs the transfer's card side takes
+  if (wsTransaction._cardPayment) {
+    transformed._mirrorOf = transformTransaction(wsTransaction._cardPayment, {
+      ...options,
+      ruleHits: null
+    });
+  }
+
+  // Pending transactions are imported uncleared and tracked until they post;
+  // declined and cancelled ones are only used to remove what was tracked
+  const lifecycleState = getLifecycleState(wsTransaction.status);
+  if (lifecycleState === 'pending') {
+    transformed._pending = true;
+  } else if (lifecycleState === 'void') {
+    transformed._void = true;
+  }
+
   // Add transfer metadata if this is a transfer
   if (actualTransferInfo.isTransfer) {
     transformed._isTransfer = true;
     transformed._transferToAccount = actualTransferInfo.toAccount;
   }
 
+  // e-Transfers to the same person land on one payee, whatever name WealthSimple shows
+  const contact = transformed._isTransfer ? null : findContact(options.contacts, wsTransaction);
+  if (contact) {
+    transformed._originalPayee = transformed.Payee;
+    transformed.Payee = contact.payee;
+    if (contact.category) {
+      transformed._category = contact.category;
+    }
+  }
+
+  if (options.rules?.length > 0) {
+    applyRules(wsTransaction, transformed, options.rules, options.ruleHits);
+  }
+
   return transformed;
 }
 
+/**
+ * Build the income transaction for the spend rewards earned on a purchase
+ * Its imported_id is derived from the purchase's (see _rewardFor), so re-imports stay deduplicated.
+ * @param {Object} wsTransaction WealthSimple purchase
+ * @param {Object} transformed The purchase transformed with transformTransaction
+ * @param {Object} rewards Rewards settings {payee, category}
+ * @returns {Object|null} ActualBudget transaction, or null if the purchase earned no rewards
+ */
+export function buildRewardTransaction(wsTransaction, transformed, rewards = {}) {
+  const rewardCents = Math.round(Math.abs(Number(wsTransaction.spendRewards)) * 100);
+  if (
+    !rewardCents ||
+    !Number.isFinite(transformed.Amount) ||
+    transformed._pending ||
+    transformed._void
+  ) {
+    return null;
+  }
+
+  // Rewards paid in another currency than the account's would mix currencies
+  const accountCurrency = (wsTransaction.amountCurrency || 'CAD').toUpperCase();
+  const rewardCurrency = (wsTransaction.spendRewardsCurrency || accountCurrency).toUpperCase();
+  if (rewardCurrency !== accountCurrency) {
+    return null;
+  }
+
+  const reward = {
+    Date: transformed.Date,
+    Account: transformed.Account,
+    Payee: rewards.payee || 'WealthSimple',
+    Notes: `Spend rewards: ${transformed.Payee}`,
+    Amount: rewardCents,
+    _rewardFor: transformed
+  };
+
+  if (rewards.category) {
+    reward._category = rewards.category;
+  }
+
+  return reward;
+}
+
 /**
  * Transform multiple WealthSimple transactions
  * @param {Array} wsTransactions WealthSimple transactions
  * @param {Object} options Transform options
+ * @param {Array} options.rules Compiled [[rules]]; transactions a rule skips are left out
+ * @param {Object} options.rewards Rewards settings; when enabled, purchases with spend rewards
+ *   are followed by an income transaction for the rewards
  * @returns {Array} ActualBudget transactions
  */
 export function transformTransactions(wsTransactions, options = {}) {
   return wsTransactions
-    .map((transaction) => transformTransaction(transaction, options))
+    .flatMap((transaction) => {
+      const transformed = transformTransaction(transaction, options);
+      // Skipped by a rule
+      if (transformed._skipped) {
+        return [];
+      }
+      const reward = options.rewards?.enabled
+        ? buildRewardTransaction(transaction, transformed, options.rewards)
+        : null;
+      return reward ? [transformed, reward] : [transformed];
+    })
     .filter((transaction) => {
       // Skip transactions with invalid amounts
       if (!Number.isFinite(transaction.Amount)) {
@@ -125,11 +275,14 @@ export function transformTransactions(wsTransactions, options = {}) {
 
 /**
  * Detect if a transaction is a transfer between accounts
+ * Transfers to or from another institution are transfers to its [[externalAccounts]] entry.
  * @param {Object} wsTransaction WealthSimple transaction
  * @param {Function} isAccountMapped Function to check if account name is mapped
- * @returns {Object} Transfer info {isTransfer: boolean, toAccount: string|null}
+ * @param {Array} [externalAccounts] Accounts at other institutions
+ * @returns {Object} Transfer info {isTransfer: boolean, toAccount: string|null}, with
+ *   isExternal set for transfers to an external account
  */
-function detectTransfer(wsTransaction, isAccountMapped) {
+function detectTransfer(wsTransaction, isAccountMapped, externalAccounts) {
   // Check from/to columns first
   if (wsTransaction.from && wsTransaction.to) {
     // If both from and to are present and both match existing accounts, it's a transfer
@@ -150,6 +303,15 @@ function detectTransfer(wsTransaction, isAccountMapped) {
     }
   }
 
+  const externalAccount = findExternalAccount(externalAccounts, wsTransaction);
+  if (externalAccount) {
+    return {
+      isTransfer: true,
+      toAccount: externalAccount.name,
+      isExternal: true
+    };
+  }
+
   return {
     isTransfer: false,
     toAccount: null
@@ -162,40 +324,24 @@ function detectTransfer(wsTransaction, isAccountMapped) {
  * @returns {boolean} True if debit
  */
 function isDebitTransaction(transaction) {
-  const debitTypes = [
-    'withdrawal',
-    'withdraw',
-    'payment',
-    'purchase',
-    'transfer_out',
-    'fee',
-    'interest_charge'
-  ];
-
-  const type = (transaction.type || '').toLowerCase();
-
-  // Check if type indicates a debit
-  if (debitTypes.some((debitType) => type.includes(debitType))) {
-    return true;
+  // Check if type decides (purchases, payments, withdrawals, fees... and payments or refunds
+  // received by a credit card)
+  const direction = getTypeDirection(transaction);
+  if (direction) {
+    return direction === 'debit';
   }
 
-  // Check if amount is already negative
-  if (transaction.amount < 0) {
-    return true;
-  }
-
-  // Default credit types
-  const creditTypes = ['deposit', 'transfer_in', 'interest', 'dividend', 'refund'];
-
-  if (creditTypes.some((creditType) => type.includes(creditType))) {
-    return false;
-  }
-
-  // Default to credit if unknown
-  return false;
+  // Otherwise the sign decides; unknown types default to credit
+  return transaction.amount < 0;
 }
 
-function buildNotesFromSpec(transaction) {
+/**
+ * Build the built-in notes of a transaction
+ * @param {Object} transaction WealthSimple transaction
+ * @param {boolean} [withForeignAmount] Include the original amount of foreign-currency transactions
+ * @returns {string} Notes
+ */
+function buildNotesFromSpec(transaction, withForeignAmount = true) {
   // Build the main part: subheading and/or type
   let mainPart = '';
   const subheading = transaction.subheading?.trim();
@@ -217,10 +363,11 @@ function buildNotesFromSpec(transaction) {
     mainPart += ` (${transaction.email.trim()})`;
   }
 
-  // Build suffix with message, quantity, and transaction ID
+  // Build suffix with message, quantity, foreign amount, and transaction ID
   const suffixParts = [];
   const hasMessage = !!transaction.message?.trim();
   const hasQuantity = !!transaction.filledQuantity?.trim();
+  const foreignAmount = withForeignAmount ? formatForeignAmount(transaction) : null;
 
   if (hasMessage) {
     suffixParts.push(transaction.message.trim());
@@ -228,6 +375,9 @@ function buildNotesFromSpec(transaction) {
   if (hasQuantity) {
     suffixParts.push(transaction.filledQuantity.trim());
   }
+  if (foreignAmount) {
+    suffixParts.push(foreignAmount);
+  }
   if (transaction.transactionId?.trim()) {
     suffixParts.push(`[${transaction.transactionId.trim()}]`);
   }
@@ -238,33 +388,108 @@ function buildNotesFromSpec(transaction) {
   if (!suffix) {
     return mainPart;
   }
-  if (hasMessage || hasQuantity) {
+  if (hasMessage || hasQuantity || foreignAmount) {
     return `${mainPart}: ${suffix}`;
   }
   return `${mainPart} ${suffix}`;
 }
 
+/**
+ * Describe the original amount of a foreign-currency transaction
+ * Always "<amount> <currency> @ <rate>" (e.g. "12.34 USD @ 1.3512"), with the rate in account
+ * currency per unit of the original currency. When WealthSimple shows no rate, it is derived
+ * from the two amounts.
+ * @param {Object} transaction WealthSimple transaction
+ * @returns {string|null} Foreign amount text, or null for same-currency transactions
+ */
+function formatForeignAmount(transaction) {
+  const originalAmount = Number(transaction.originalAmount);
+  const originalCurrency = transaction.originalCurrency?.trim().toUpperCase();
+  const accountCurrency = (transaction.amountCurrency || 'CAD').toUpperCase();
+  if (!originalCurrency || !originalAmount || originalCurrency === accountCurrency) {
+    return null;
+  }
+
+  let rate = Number(transaction.exchangeRate);
+  if (!Number.isFinite(rate) || rate <= 0) {
+    const amount = Math.abs(Number(transaction.amount));
+    rate = Number.isFinite(amount) && amount > 0 ? amount / Math.abs(originalAmount) : null;
+  }
+
+  const text = `${Math.abs(originalAmount).toFixed(2)} ${originalCurrency}`;
+  return rate ? `${text} @ ${Number(rate.toFixed(4))}` : text;
+}
+
 /**
  * Format date to YYYY-MM-DD format
  * @param {string} dateStr Date string in various formats
+ * @param {string} timeZone Timezone for timestamps with an offset
  * @returns {string} Date in YYYY-MM-DD format
  */
-function formatDateToYMD(dateStr) {
+function formatDateToYMD(dateStr, timeZone) {
   if (!dateStr) {
     return null;
   }
 
-  try {
-    const date = new Date(dateStr);
-    if (isNaN(date.getTime())) {
-      return dateStr; // Return original if invalid
-    }
+  // Return original if invalid
+  return toCalendarDate(dateStr, timeZone) || dateStr;
+}
+
+/**
+ * Check if a transaction is a trade or other internal investment operation
+ * @param {Object} transaction WealthSimple transaction
+ * @returns {boolean} True for buys, sells, reinvested dividends and currency conversions
+ */
+export function isInvestmentTrade(transaction) {
+  return isInternalInvestmentType(classifyTransaction(transaction));
+}
+
+/**
+ * Get the first non-empty extra field among several labels WealthSimple uses
+ * @param {Object} transaction WealthSimple transaction
+ * @param {Array<string>} keys Extra field keys, in order of preference
+ * @returns {string|undefined} Field value
+ */
+function getExtraField(transaction, keys) {
+  return keys.map((key) => transaction.extra?.[key]).find(Boolean);
+}
+
+/**
+ * Build notes for a trade: "Market buy VFV: 2 shares @ $120.50, fees $0.00 [id]"
+ * @param {Object} transaction WealthSimple transaction
+ * @returns {string} Notes
+ */
+function buildTradeNotes(transaction) {
+  const symbol =
+    getExtraField(transaction, ['symbol', 'ticker', 'security']) || transaction.description?.trim();
+  const quantity = (transaction.filledQuantity || transaction.enteredQuantity)?.trim();
+  const price = getExtraField(transaction, [
+    'price',
+    'pricePerShare',
+    'averagePrice',
+    'fillPrice',
+    'limitPrice'
+  ]);
+  const fees = getExtraField(transaction, ['fees', 'fee', 'commission']);
+
+  let mainPart = [transaction.type?.trim(), symbol].filter(Boolean).join(' ');
+  const details = [quantity && price ? `${quantity} @ ${price}` : quantity || price];
+  if (fees) {
+    details.push(`fees ${fees}`);
+  }
+  const foreignAmount = formatForeignAmount(transaction);
+  if (foreignAmount) {
+    details.push(foreignAmount);
+  }
 
-    // Format as YYYY-MM-DD
-    return date.toISOString().split('T')[0];
-  } catch (error) {
-    return dateStr; // Return original if parsing fails
+  const detailText = details.filter(Boolean).join(', ');
+  if (detailText) {
+    mainPart = mainPart ? `${mainPart}: ${detailText}` : detailText;
   }
+  if (transaction.transactionId?.trim()) {
+    mainPart += ` [${transaction.transactionId.trim()}]`;
+  }
+  return mainPart.trim();
 }
 
 /**
@@ -298,7 +523,7 @@ function buildPayeeName(transaction) {
     }
   } else {
     // Fallback to type-based name
-    payeeName = getPayeeByType(transaction.type);
+    payeeName = getPayeeByType(transaction);
   }
 
   // Replace specific WealthSimple-related payees
@@ -325,34 +550,79 @@ function cleanPayeeName(name) {
 
 /**
  * Get default payee name by transaction type
- * @param {string} type Transaction type
+ * @param {Object} transaction WealthSimple transaction
  * @returns {string} Default payee name
  */
-function getPayeeByType(type) {
-  const typeMap = {
-    deposit: 'Deposit',
-    withdrawal: 'Withdrawal',
-    transfer: 'Transfer',
-    transfer_in: 'Transfer In',
-    transfer_out: 'Transfer Out',
-    payment: 'Payment',
-    purchase: 'Purchase',
-    interest: 'Interest',
-    dividend: 'Dividend',
-    fee: 'Fee',
-    refund: 'Refund'
-  };
+function getPayeeByType(transaction) {
+  return getTypePayee(classifyTransaction(transaction)) || transaction.type || 'Unknown';
+}
 
-  const lowerType = (type || '').toLowerCase();
+/**
+ * Get the canonical type of a transformed transaction
+ * @param {Object} transaction Transaction returned by transformTransaction
+ * @returns {string|null} Canonical type, or null for transactions built elsewhere
+ */
+export function getTransactionType(transaction) {
+  return transactionTypes.get(transaction) || null;
+}
 
-  // Find matching type
-  for (const [key, value] of Object.entries(typeMap)) {
-    if (lowerType.includes(key)) {
-      return value;
-    }
+/**
+ * Days a card payment can take to show up on the card
+ */
+const CARD_PAYMENT_MAX_DAYS = 3;
+
+/**
+ * Turn card payments made from another account into transfers into the credit card account
+ * Payments are paired with the card's own record of them by amount within a few days. The paying
+ * side gets from/to so it imports as a transfer, and keeps the card's record in `_cardPayment` so
+ * the transfer's card side takes that record's imported_id; the record itself is dropped. Unpaired
+ * payments are left alone: their card side may be imported, or have been, on its own.
+ * @param {Array} transactions WealthSimple transactions
+ * @param {Array<string>} cardAccounts Mapped credit card account names
+ * @returns {Array} Transactions with card payments linked
+ */
+export function linkCardPayments(transactions, cardAccounts = []) {
+  if (cardAccounts.length === 0) {
+    return transactions;
   }
 
-  return type || 'Unknown';
+  const isCardPayment = (transaction) =>
+    !(transaction.from && transaction.to) &&
+    classifyTransaction(transaction) === TRANSACTION_TYPES.CARD_PAYMENT;
+  const cardSide = transactions.filter(
+    (transaction) => cardAccounts.includes(transaction.account) && isCardPayment(transaction)
+  );
+  const paired = new Set();
+
+  const linked = transactions.map((transaction) => {
+    if (cardAccounts.includes(transaction.account) || !isCardPayment(transaction)) {
+      return transaction;
+    }
+
+    const pair = cardSide.find(
+      (cardPayment) =>
+        !paired.has(cardPayment) &&
+        isSameAmount(cardPayment.amount, transaction.amount) &&
+        Math.abs(daysBetween(cardPayment.date, transaction.date)) <= CARD_PAYMENT_MAX_DAYS
+    );
+    if (!pair) {
+      return transaction;
+    }
+    paired.add(pair);
+    return { ...transaction, from: transaction.account, to: pair.account, _cardPayment: pair };
+  });
+
+  return linked.filter((transaction) => !paired.has(transaction));
+}
+
+/**
+ * Compare two amounts ignoring their sign
+ * @param {number|string} a Amount
+ * @param {number|string} b Amount
+ * @returns {boolean} True if both are the same number of cents
+ */
+function isSameAmount(a, b) {
+  return Math.round(Math.abs(parseFloat(a)) * 100) === Math.round(Math.abs(parseFloat(b)) * 100);
 }
 
 /**
@@ -396,8 +666,9 @@ export function calculateStatistics(transactions) {
   };
 
   transactions.forEach((transaction) => {
-    // Extract type from Notes field (first word)
-    const type = extractTypeFromNotes(transaction.Notes) || 'unknown';
+    // Canonical type, or the first word of Notes for transactions built elsewhere
+    const type =
+      transactionTypes.get(transaction) || extractTypeFromNotes(transaction.Notes) || 'unknown';
     stats.byType[type] = (stats.byType[type] || 0) + 1;
 
     // Count by account using Account field
@@ -478,8 +749,12 @@ export function validateTransaction(transaction) {
 
 export default {
   shouldIncludeTransaction,
+  isInvestmentTrade,
   transformTransaction,
   transformTransactions,
+  buildRewardTransaction,
+  getTransactionType,
+  linkCardPayments,
   groupByAccount,
   calculateStatistics,
   validateTransaction
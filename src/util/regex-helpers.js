@@ -0,0 +1,12 @@
+/**
+ * Escape a string for use in a regular expression
+ * @param {string} text Text to escape
+ * @returns {string} Escaped text
+ */
+export function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+export default {
+  escapeRegExp
+};
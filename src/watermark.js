@@ -0,0 +1,128 @@
+import { readFile, writeFile, mkdir } from 'fs/promises';
+import { existsSync } from 'fs';
+import { join, dirname } from 'path';
+import { xdgData } from 'xdg-basedir';
+
+/**
+ * Per-account import watermarks used for incremental scraping
+ *
+ * A watermark records the newest transaction successfully imported for a WealthSimple account:
+ *   { "Chequing": { "date": "2024-03-10", "transactionId": "...", "updatedAt": "..." } }
+ */
+
+/**
+ * Get the default watermark file path
+ * @returns {string} Path in the XDG data directory
+ */
+export function getWatermarkPath() {
+  return join(xdgData, 'ws-actual', 'watermarks.json');
+}
+
+/**
+ * Load watermarks from disk
+ * @param {string} [filePath] Watermark file path
+ * @returns {Promise<Object>} Watermarks keyed by WealthSimple account name
+ */
+export async function loadWatermarks(filePath = getWatermarkPath()) {
+  if (!existsSync(filePath)) {
+    return {};
+  }
+
+  try {
+    const watermarks = JSON.parse(await readFile(filePath, 'utf-8'));
+    return watermarks && typeof watermarks === 'object' ? watermarks : {};
+  } catch (error) {
+    console.warn(`Could not load watermarks from ${filePath}:`, error.message);
+    return {};
+  }
+}
+
+/**
+ * Save watermarks to disk
+ * @param {Object} watermarks Watermarks keyed by WealthSimple account name
+ * @param {string} [filePath] Watermark file path
+ * @returns {Promise<void>}
+ */
+export async function saveWatermarks(watermarks, filePath = getWatermarkPath()) {
+  await mkdir(dirname(filePath), { recursive: true });
+  await writeFile(filePath, `${JSON.stringify(watermarks, null, 2)}\n`);
+}
+
+/**
+ * Advance an account's watermark to the newest of the given transactions
+ * Watermarks never move backwards.
+ * @param {Object} watermarks Watermarks to update in place
+ * @param {string} accountName WealthSimple account name
+ * @param {Array} transactions Transformed transactions (Date, _sourceTransactionId)
+ * @returns {boolean} True if the watermark changed
+ */
+export function advanceWatermark(watermarks, accountName, transactions) {
+  const newest = transactions
+    .filter((transaction) => transaction.Date)
+    .reduce((latest, transaction) => {
+      return !latest || transaction.Date > latest.Date ? transaction : latest;
+    }, null);
+
+  if (!newest) {
+    return false;
+  }
+
+  const current = watermarks[accountName];
+  if (current && current.date >= newest.Date) {
+    return false;
+  }
+
+  watermarks[accountName] = {
+    date: newest.Date,
+    transactionId: newest._sourceTransactionId || null,
+    updatedAt: new Date().toISOString()
+  };
+  return true;
+}
+
+/**
+ * Get the date before which scraping can stop
+ * The cutoff is the oldest watermark among the relevant accounts, so every account is
+ * scanned back to its own watermark. Transactions on the cutoff date are still scraped and
+ * left to deduplication. Without a watermark for each requested account there is no cutoff.
+ * Without requested accounts, every mapped account needs one too, so a newly mapped account
+ * still gets its older history scraped.
+ * @param {Object} watermarks Watermarks keyed by WealthSimple account name
+ * @param {Array<string>} [accountNames] Only consider these accounts (case-insensitive)
+ * @param {Array<string>} [mappedAccounts] Mapped WealthSimple account names, used when no
+ *   accounts are requested
+ * @returns {string|null} Cutoff date (YYYY-MM-DD) or null to scrape everything
+ */
+export function getCutoffDate(watermarks, accountNames = [], mappedAccounts = []) {
+  const entries = Object.entries(watermarks || {});
+  const names = accountNames.length > 0 ? accountNames : mappedAccounts;
+  let relevant;
+
+  if (names.length > 0) {
+    relevant = [];
+    for (const name of names) {
+      const entry = entries.find(([account]) => account.toLowerCase() === name.toLowerCase());
+      if (!entry) {
+        return null;
+      }
+      relevant.push(entry[1]);
+    }
+  } else {
+    relevant = entries.map(([, watermark]) => watermark);
+  }
+
+  const dates = relevant.map((watermark) => watermark?.date).filter(Boolean);
+  if (dates.length === 0 || dates.length !== relevant.length) {
+    return null;
+  }
+
+  return dates.reduce((earliest, date) => (date < earliest ? date : earliest));
+}
+
+export default {
+  getWatermarkPath,
+  loadWatermarks,
+  saveWatermarks,
+  advanceWatermark,
+  getCutoffDate
+};
@@ -208,6 +208,27 @@ describe('Account Resolution Unit Tests', () => {
   });
 });
 
+describe('Account Resolution By Currency', () => {
+  const config = {
+    accounts: [
+      { wsAccountName: 'Chequing', actualAccountId: 'cad-id' },
+      { wsAccountName: 'Chequing', actualAccountId: 'usd-id', currency: 'usd' },
+      { wsAccountName: 'TFSA', actualAccountId: 'tfsa-id' }
+    ]
+  };
+
+  it('should pick the mapping for the currency', () => {
+    assert.strictEqual(resolveAccount('Chequing', config).accountId, 'cad-id');
+    assert.strictEqual(resolveAccount('Chequing', config, 'CAD').accountId, 'cad-id');
+    assert.strictEqual(resolveAccount('chequing', config, 'USD').accountId, 'usd-id');
+    assert.strictEqual(resolveAccount('Chequing', config, 'USD').currency, 'USD');
+  });
+
+  it('should not put other currencies into a CAD account', () => {
+    assert.strictEqual(resolveAccount('TFSA', config, 'USD'), null);
+  });
+});
+
 /**
  * Helper function to create test cases easily
  */
@@ -0,0 +1,108 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+import { buildCategoryModel, applyLearnedCategories } from '../src/categories.js';
+import { formatTransactionsTable } from '../src/table-formatter.js';
+
+/**
+ * Tests for categories learned from ActualBudget history
+ */
+
+describe('Learned Categories Tests', () => {
+  const payees = [
+    { id: 'p1', name: 'Grocery Store' },
+    { id: 'p2', name: 'grocery  store' },
+    { id: 'p3', name: 'Gas Station' },
+    { id: 'p4', name: 'Chequing', transfer_acct: 'a1' },
+    { id: 'p5', name: 'Pharmacy' }
+  ];
+  const categories = [
+    { id: 'c1', name: 'Groceries' },
+    { id: 'c2', name: 'Gas' },
+    { id: 'c3', name: 'Health' }
+  ];
+  const rows = [
+    { payee: 'p1', category: 'c1' },
+    { payee: 'p1', category: 'c1' },
+    { payee: 'p2', category: 'c1' },
+    { payee: 'p1', category: 'c3' },
+    { payee: 'p3', category: 'c2' },
+    { payee: 'p3', category: 'c2' },
+    { payee: 'p3', category: 'c2' },
+    { payee: 'p3', category: 'c1' },
+    { payee: 'p3', category: 'c1' },
+    { payee: 'p4', category: 'c1' },
+    { payee: 'p4', category: 'c1' },
+    { payee: 'p4', category: 'c1' },
+    { payee: 'p5', category: 'c3' },
+    { payee: 'p5', category: 'deleted' }
+  ];
+
+  describe('buildCategoryModel', () => {
+    it('should learn the most frequent category per payee name', () => {
+      const model = buildCategoryModel(rows, { payees, categories });
+
+      assert.deepStrictEqual(model.get('grocery store'), {
+        categoryId: 'c1',
+        categoryName: 'Groceries',
+        confidence: 0.75,
+        count: 3
+      });
+    });
+
+    it('should skip payees below the confidence or count thresholds', () => {
+      const model = buildCategoryModel(rows, { payees, categories });
+
+      // 3 of 5 is below the default 0.7, and 1 vote is below the default 3
+      assert.strictEqual(model.has('gas station'), false);
+      assert.strictEqual(model.has('pharmacy'), false);
+
+      const lenient = buildCategoryModel(rows, {
+        payees,
+        categories,
+        minConfidence: 0.6,
+        minCount: 1
+      });
+      assert.strictEqual(lenient.get('gas station').categoryId, 'c2');
+      assert.strictEqual(lenient.get('pharmacy').confidence, 1);
+    });
+
+    it('should not learn transfer payees', () => {
+      const model = buildCategoryModel(rows, { payees, categories, minCount: 1 });
+
+      assert.strictEqual(model.has('chequing'), false);
+    });
+  });
+
+  describe('applyLearnedCategories', () => {
+    it('should only categorize transactions without a category', () => {
+      const model = buildCategoryModel(rows, { payees, categories });
+      const transactions = [
+        { Payee: 'GROCERY STORE', Amount: -100 },
+        { Payee: 'Grocery Store', Amount: -100, _category: 'Gifts' },
+        { Payee: 'Grocery Store', Amount: -100, _isTransfer: true },
+        { Payee: 'Unknown', Amount: -100 }
+      ];
+
+      assert.strictEqual(applyLearnedCategories(transactions, model), 1);
+      assert.strictEqual(transactions[0]._category, 'c1');
+      assert.strictEqual(transactions[1]._category, 'Gifts');
+      assert.strictEqual('_category' in transactions[2], false);
+      assert.strictEqual('_category' in transactions[3], false);
+    });
+
+    it('should show the suggested category in the dry-run table', () => {
+      const model = buildCategoryModel(rows, { payees, categories });
+      const transactions = [
+        { Date: '2024-03-10', Account: 'Card', Payee: 'Grocery Store', Amount: -100, Notes: '' }
+      ];
+
+      assert.doesNotMatch(formatTransactionsTable(transactions), /Category/);
+
+      applyLearnedCategories(transactions, model);
+      const table = formatTransactionsTable(transactions);
+
+      assert.match(table, /Category/);
+      assert.match(table, /Groceries \(75%\)/);
+    });
+  });
+});
@@ -0,0 +1,105 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+import {
+  resolveContacts,
+  getContactEmail,
+  findUnknownContacts,
+  promptForContacts
+} from '../src/contacts.js';
+import { transformTransaction } from '../src/transformer.js';
+
+/**
+ * Tests for e-Transfer contacts
+ */
+
+describe('Contacts Tests', () => {
+  const eTransfer = {
+    account: 'Chequing',
+    date: '2024-03-10',
+    amount: -50,
+    type: 'Interac e-Transfer',
+    description: 'J. Doe',
+    email: 'Jane@Example.com',
+    transactionId: 'tx-1'
+  };
+
+  const contacts = resolveContacts({
+    'jane@example.com': 'Jane Doe',
+    'LANDLORD@example.com': { payee: 'Landlord', category: 'Rent' },
+    'nobody@example.com': { category: 'Misc' }
+  });
+
+  describe('resolveContacts', () => {
+    it('should key contacts by lowercase email and skip entries without a payee', () => {
+      assert.deepStrictEqual(
+        [...contacts],
+        [
+          ['jane@example.com', { payee: 'Jane Doe', category: null }],
+          ['landlord@example.com', { payee: 'Landlord', category: 'Rent' }]
+        ]
+      );
+      assert.strictEqual(resolveContacts(undefined).size, 0);
+    });
+  });
+
+  describe('getContactEmail', () => {
+    it('should only read emails of e-Transfers', () => {
+      assert.strictEqual(getContactEmail(eTransfer), 'jane@example.com');
+      assert.strictEqual(getContactEmail({ ...eTransfer, type: 'Purchase' }), null);
+      assert.strictEqual(getContactEmail({ ...eTransfer, email: undefined }), null);
+    });
+  });
+
+  describe('transformTransaction', () => {
+    it('should use the contact payee and category', () => {
+      const transformed = transformTransaction(
+        { ...eTransfer, email: 'landlord@example.com' },
+        { contacts }
+      );
+
+      assert.strictEqual(transformed.Payee, 'Landlord');
+      assert.strictEqual(transformed._category, 'Rent');
+      assert.strictEqual(transformed._originalPayee, 'J. Doe');
+    });
+
+    it('should keep the description for unknown contacts', () => {
+      const transformed = transformTransaction(
+        { ...eTransfer, email: 'new@example.com' },
+        { contacts }
+      );
+
+      assert.strictEqual(transformed.Payee, 'J. Doe');
+      assert.strictEqual(transformed._originalPayee, undefined);
+    });
+  });
+
+  describe('unknown contacts', () => {
+    const transactions = [
+      { ...eTransfer, email: 'bob@example.com', description: 'Bob' },
+      { ...eTransfer, email: 'BOB@example.com', description: 'Bob' },
+      { ...eTransfer, email: 'amy@example.com', description: 'Amy' },
+      { ...eTransfer, email: 'old@example.com', description: 'Old' },
+      eTransfer
+    ];
+
+    it('should list unknown contacts, most frequent first', () => {
+      assert.deepStrictEqual(findUnknownContacts(transactions, contacts), [
+        { email: 'bob@example.com', name: 'Bob', count: 2 },
+        { email: 'amy@example.com', name: 'Amy', count: 1 },
+        { email: 'old@example.com', name: 'Old', count: 1 }
+      ]);
+    });
+
+    it('should accept the suggested name, a typed payee or a skip', async () => {
+      const answers = ['', 'Amy Smith', '-'];
+      const rl = { question: (question, callback) => callback(answers.shift()) };
+
+      const named = await promptForContacts(findUnknownContacts(transactions, contacts), rl);
+
+      assert.deepStrictEqual(named, [
+        { email: 'bob@example.com', payee: 'Bob' },
+        { email: 'amy@example.com', payee: 'Amy Smith' }
+      ]);
+    });
+  });
+});
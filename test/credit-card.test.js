@@ -0,0 +1,101 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+import { TRANSACTION_TYPES, classifyTransaction } from '../src/transaction-types.js';
+import { transformTransaction, linkCardPayments } from '../src/transformer.js';
+import { ActualClient } from '../src/actual-client.js';
+
+/**
+ * Tests for the WealthSimple credit card
+ */
+
+describe('Credit Card Tests', () => {
+  const card = { account: 'Credit card', date: '2024-03-10', description: 'Store' };
+
+  describe('transformTransaction', () => {
+    it('should treat purchases as money owed and payments and refunds as paid back', () => {
+      const amounts = [
+        ['Purchase', 25, -2500],
+        ['Interest charge', 3.2, -320],
+        ['Refund', -9.99, 999],
+        ['Payment', -500, 50000],
+        ['Credit card payment', 500, 50000]
+      ].map(([type, amount]) => transformTransaction({ ...card, type, amount }).Amount);
+
+      assert.deepStrictEqual(amounts, [-2500, -320, 999, 50000, 50000]);
+    });
+
+    it('should keep payments out of other accounts negative', () => {
+      const transformed = transformTransaction({
+        ...card,
+        account: 'Chequing',
+        type: 'Credit card payment',
+        amount: 500
+      });
+
+      assert.strictEqual(transformed.Amount, -50000);
+    });
+
+    it('should classify payments received by the card as card payments', () => {
+      assert.strictEqual(
+        classifyTransaction({ ...card, type: 'Payment', amount: 500 }),
+        TRANSACTION_TYPES.CARD_PAYMENT
+      );
+      assert.strictEqual(
+        classifyTransaction({ ...card, account: 'Chequing', type: 'Payment', amount: -500 }),
+        TRANSACTION_TYPES.PAYMENT
+      );
+    });
+  });
+
+  describe('linkCardPayments', () => {
+    const chequingSide = {
+      account: 'Chequing',
+      date: '2024-03-10',
+      amount: -500,
+      type: 'Credit card payment'
+    };
+    const cardSide = { ...card, date: '2024-03-12', amount: 500, type: 'Payment' };
+
+    it('should turn the paying side into a transfer and drop the card side', () => {
+      const linked = linkCardPayments([chequingSide, cardSide], ['Credit card']);
+
+      assert.deepStrictEqual(linked, [
+        { ...chequingSide, from: 'Chequing', to: 'Credit card', _cardPayment: cardSide }
+      ]);
+    });
+
+    it('should keep both sides when they are too far apart', () => {
+      const late = { ...cardSide, date: '2024-03-20' };
+      const linked = linkCardPayments([chequingSide, late], ['Credit card', 'Other credit card']);
+
+      assert.deepStrictEqual(linked, [chequingSide, late]);
+    });
+
+    it('should leave unpaired payments alone', () => {
+      assert.deepStrictEqual(linkCardPayments([chequingSide], ['Credit card']), [chequingSide]);
+      assert.deepStrictEqual(linkCardPayments([cardSide], ['Credit card']), [cardSide]);
+      assert.deepStrictEqual(linkCardPayments([chequingSide], []), [chequingSide]);
+    });
+
+    it('should keep the IDs of both sides imported by an earlier run', () => {
+      const client = new ActualClient({});
+      const earlierIds = [chequingSide, cardSide].map((transaction) =>
+        client.generateImportedId(transformTransaction(transaction))
+      );
+
+      const [linked] = linkCardPayments([chequingSide, cardSide], ['Credit card']);
+      const transfer = transformTransaction(linked, { isAccountMapped: () => true });
+      const importTransaction = client.convertToImportFormat(transfer);
+      const mirror = client.getMirrorImportIds(
+        transfer,
+        importTransaction,
+        client.getDuplicateImportIds(transfer, importTransaction)
+      );
+
+      assert.strictEqual(transfer._isTransfer, true);
+      assert.strictEqual(client.generateImportedId(transfer), earlierIds[0]);
+      assert.strictEqual(mirror.importedId, earlierIds[1]);
+      assert.ok(mirror.duplicateImportIds.has(earlierIds[1]));
+    });
+  });
+});
@@ -0,0 +1,131 @@
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert';
+import { rm, mkdir, writeFile } from 'fs/promises';
+import { join } from 'path';
+import { tmpdir } from 'os';
+import { parseCSV, validateCSV, EXPECTED_COLUMNS } from '../src/csv-parser.js';
+import { shouldIncludeTransaction, transformTransactions } from '../src/transformer.js';
+
+/**
+ * Tests for reading WealthSimple CSV exports as an import source
+ */
+
+describe('CSV Parser Tests', () => {
+  let testDir;
+
+  const header = EXPECTED_COLUMNS.join(',');
+
+  function csvRow(values) {
+    return EXPECTED_COLUMNS.map((column) => values[column] ?? '').join(',');
+  }
+
+  beforeEach(async () => {
+    testDir = join(tmpdir(), `ws-actual-csv-test-${Date.now()}`);
+    await mkdir(testDir, { recursive: true });
+  });
+
+  afterEach(async () => {
+    try {
+      await rm(testDir, { recursive: true, force: true });
+    } catch (error) {
+      // Ignore cleanup errors
+    }
+  });
+
+  describe('validateCSV', () => {
+    it('should accept a file with all expected columns', async () => {
+      const filePath = join(testDir, 'valid.csv');
+      await writeFile(
+        filePath,
+        `${header}\n${csvRow({ account: 'Chequing', amount: '10.00', date: '2024-01-15' })}\n`
+      );
+
+      const result = await validateCSV(filePath);
+
+      assert.strictEqual(result.isValid, true);
+      assert.deepStrictEqual(result.missing, []);
+    });
+
+    it('should report missing columns', async () => {
+      const filePath = join(testDir, 'missing.csv');
+      await writeFile(filePath, 'account,amount,date\nChequing,10.00,2024-01-15\n');
+
+      const result = await validateCSV(filePath);
+
+      assert.strictEqual(result.isValid, false);
+      assert.ok(result.missing.includes('transactionId'));
+      assert.ok(result.message.includes('Missing required columns'));
+    });
+
+    it('should reject an empty file', async () => {
+      const filePath = join(testDir, 'empty.csv');
+      await writeFile(filePath, `${header}\n`);
+
+      await assert.rejects(() => validateCSV(filePath), /empty/);
+    });
+  });
+
+  describe('parseCSV', () => {
+    it('should parse records into transaction objects', async () => {
+      const filePath = join(testDir, 'export.csv');
+      await writeFile(
+        filePath,
+        [
+          header,
+          csvRow({
+            account: 'Chequing',
+            status: 'Completed',
+            date: '2024-01-15',
+            amount: '"-$1,234.56"',
+            type: 'Purchase',
+            description: 'Grocery Store',
+            transactionId: 'txn-1'
+          })
+        ].join('\n')
+      );
+
+      const transactions = await parseCSV(filePath);
+
+      assert.strictEqual(transactions.length, 1);
+      assert.strictEqual(transactions[0].account, 'Chequing');
+      assert.strictEqual(transactions[0].date, '2024-01-15');
+      assert.strictEqual(transactions[0].amount, -1234.56);
+      assert.strictEqual(transactions[0].amountCurrency, 'CAD');
+      assert.strictEqual(transactions[0].transactionId, 'txn-1');
+    });
+
+    it('should produce records the transformer can import', async () => {
+      const filePath = join(testDir, 'pipeline.csv');
+      await writeFile(
+        filePath,
+        [
+          header,
+          csvRow({
+            account: 'TFSA',
+            date: '2024-02-01',
+            amount: '500.00',
+            type: 'Market buy',
+            transactionId: 'txn-buy'
+          }),
+          csvRow({
+            account: 'Chequing',
+            date: '2024-02-02',
+            amount: '25.00',
+            type: 'Purchase',
+            description: 'Coffee Shop',
+            transactionId: 'txn-coffee'
+          })
+        ].join('\n')
+      );
+
+      const records = (await parseCSV(filePath)).filter(shouldIncludeTransaction);
+      const transformed = transformTransactions(records, { isAccountMapped: () => true });
+
+      assert.strictEqual(transformed.length, 1);
+      assert.strictEqual(transformed[0].Date, '2024-02-02');
+      assert.strictEqual(transformed[0].Payee, 'Coffee Shop');
+      assert.strictEqual(transformed[0].Amount, -2500);
+      assert.strictEqual(transformed[0]._sourceTransactionId, 'txn-coffee');
+    });
+  });
+});
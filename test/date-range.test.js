@@ -0,0 +1,99 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+import {
+  isValidYMD,
+  daysBetween,
+  filterByDateRange,
+  getCoveringTimeframe,
+  timeframeCovers
+} from '../src/date-range.js';
+import { filterByDateRange as csvFilterByDateRange } from '../src/csv-parser.js';
+
+/**
+ * Tests for date window filtering and timeframe selection
+ */
+
+describe('Date Range Tests', () => {
+  describe('isValidYMD', () => {
+    it('should accept valid calendar dates', () => {
+      assert.strictEqual(isValidYMD('2025-01-01'), true);
+      assert.strictEqual(isValidYMD('2024-02-29'), true);
+    });
+
+    it('should reject malformed or impossible dates', () => {
+      assert.strictEqual(isValidYMD('2025-1-1'), false);
+      assert.strictEqual(isValidYMD('2025-02-30'), false);
+      assert.strictEqual(isValidYMD('January 1, 2025'), false);
+      assert.strictEqual(isValidYMD(undefined), false);
+    });
+  });
+
+  describe('daysBetween', () => {
+    it('should count signed days between calendar dates', () => {
+      assert.strictEqual(daysBetween('2024-02-28', '2024-03-01'), 2);
+      assert.strictEqual(daysBetween('2024-03-01', '2024-02-28'), -2);
+      assert.ok(Number.isNaN(daysBetween('2024-03-01', 'soon')));
+    });
+  });
+
+  describe('filterByDateRange', () => {
+    const transactions = [
+      { transactionId: 'dec', date: '2024-12-31' },
+      { transactionId: 'jan', date: '2025-01-01' },
+      { transactionId: 'mar', date: '2025-03-31' },
+      { transactionId: 'apr', date: '2025-04-01' },
+      { transactionId: 'filled', date: null, filled: '2025-02-15' }
+    ];
+
+    it('should keep transactions inside the window inclusively', () => {
+      const result = filterByDateRange(transactions, '2025-01-01', '2025-03-31');
+
+      assert.deepStrictEqual(
+        result.map((t) => t.transactionId),
+        ['jan', 'mar', 'filled']
+      );
+    });
+
+    it('should support open-ended windows', () => {
+      assert.strictEqual(filterByDateRange(transactions, '2025-03-31', null).length, 2);
+      assert.strictEqual(filterByDateRange(transactions, null, '2024-12-31').length, 1);
+    });
+
+    it('should keep transactions without a usable date', () => {
+      const result = filterByDateRange([{ transactionId: 'none' }], '2025-01-01', '2025-01-31');
+
+      assert.strictEqual(result.length, 1);
+    });
+
+    it('should be re-exported from the CSV parser', () => {
+      assert.strictEqual(csvFilterByDateRange, filterByDateRange);
+    });
+  });
+
+  describe('getCoveringTimeframe', () => {
+    const today = new Date(2025, 3, 15);
+
+    it('should pick the shortest timeframe that reaches the start date', () => {
+      assert.strictEqual(getCoveringTimeframe('2025-04-10', today), 'last-week');
+      assert.strictEqual(getCoveringTimeframe('2025-03-20', today), 'last-30-days');
+      assert.strictEqual(getCoveringTimeframe('2025-02-20', today), 'last-60-days');
+      assert.strictEqual(getCoveringTimeframe('2025-01-20', today), 'last-90-days');
+    });
+
+    it('should fall back to all for older start dates', () => {
+      assert.strictEqual(getCoveringTimeframe('2024-01-01', today), 'all');
+      assert.strictEqual(getCoveringTimeframe(null, today), 'all');
+    });
+  });
+
+  describe('timeframeCovers', () => {
+    const today = new Date(2025, 3, 15);
+
+    it('should compare a timeframe against the needed range', () => {
+      assert.strictEqual(timeframeCovers('last-90-days', '2025-03-20', today), true);
+      assert.strictEqual(timeframeCovers('last-week', '2025-03-20', today), false);
+      assert.strictEqual(timeframeCovers('last-90-days', '2024-01-01', today), false);
+      assert.strictEqual(timeframeCovers('all', '2024-01-01', today), true);
+    });
+  });
+});
@@ -205,6 +205,61 @@ describe('Deterministic ID Generation Tests', () => {
     );
   });
 
+  it('should keep legacy IDs when payee or notes were changed after transforming', () => {
+    const transformed = transformTransaction({
+      account: 'Credit card',
+      date: '2024-03-10',
+      amount: '-4.50',
+      description: 'STARBUCKS 1234',
+      type: 'Purchase'
+    });
+    const renamed = {
+      ...transformed,
+      Payee: 'Coffee Shop',
+      Notes: 'Purchase #coffee',
+      _originalPayee: transformed.Payee,
+      _originalNotes: transformed.Notes
+    };
+    const client = new ActualClient(mockConfig);
+
+    assert.strictEqual(client.generateImportedId(renamed), client.generateImportedId(transformed));
+  });
+
+  it('should keep the legacy ID of foreign-currency transactions', () => {
+    const transformed = transformTransaction({
+      account: 'Credit card',
+      date: '2024-03-10',
+      amount: '-16.87',
+      description: 'AMAZON.COM',
+      type: 'Purchase',
+      originalAmount: '12.34',
+      originalCurrency: 'USD'
+    });
+    const client = new ActualClient(mockConfig);
+
+    assert.strictEqual(transformed.Notes, 'Purchase: 12.34 USD @ 1.3671');
+    // Hash of the notes as imported before the foreign amount was added to them ("Purchase")
+    assert.strictEqual(client.generateImportedId(transformed), 'ws_e32fb41c2f082d10');
+  });
+
+  it('should derive spend reward IDs from the purchase ID', () => {
+    const purchase = transformTransaction({
+      account: 'Credit card',
+      date: '2024-03-10',
+      amount: '-40.00',
+      description: 'Grocery Store',
+      type: 'Purchase',
+      transactionId: 'txn_67890'
+    });
+    const reward = { Date: purchase.Date, Amount: 80, _rewardFor: purchase };
+    const client = new ActualClient(mockConfig);
+
+    assert.strictEqual(
+      client.generateImportedId(reward),
+      `${client.generateImportedId(purchase)}_reward`
+    );
+  });
+
   it('should generate consistent IDs for same transformed content', () => {
     const wsTransaction1 = {
       account: 'WealthSimple Cash',
@@ -0,0 +1,128 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+import {
+  resolveExternalAccounts,
+  findExternalAccount,
+  resolveExternalAccount
+} from '../src/external-accounts.js';
+import { transformTransaction } from '../src/transformer.js';
+import { ActualClient } from '../src/actual-client.js';
+
+/**
+ * Tests for accounts at other institutions
+ */
+
+describe('External Accounts Tests', () => {
+  const externalAccounts = resolveExternalAccounts([
+    { name: 'TD Chequing', institution: ['TD', 'TD Canada Trust'], actualAccountId: 'td-id' },
+    { institution: 'Questrade', actualAccountId: 'questrade-id' },
+    { name: 'No account', institution: 'RBC' }
+  ]);
+
+  const eft = {
+    account: 'Chequing',
+    date: '2024-03-10',
+    amount: 500,
+    type: 'Direct deposit',
+    subheading: 'From TD Canada Trust',
+    description: 'EFT deposit',
+    from: 'TD Canada Trust ****1234',
+    to: 'Chequing'
+  };
+
+  describe('resolveExternalAccounts', () => {
+    it('should name entries and skip those without an account or institution', () => {
+      assert.deepStrictEqual(
+        externalAccounts.map(({ name, actualAccountId, institutions }) => ({
+          name,
+          actualAccountId,
+          institutions
+        })),
+        [
+          {
+            name: 'TD Chequing',
+            actualAccountId: 'td-id',
+            institutions: ['TD', 'TD Canada Trust']
+          },
+          { name: 'Questrade', actualAccountId: 'questrade-id', institutions: ['Questrade'] }
+        ]
+      );
+      assert.deepStrictEqual(resolveExternalAccounts(undefined), []);
+    });
+  });
+
+  describe('findExternalAccount', () => {
+    it('should match institutions as whole words in the subheading, from/to or description', () => {
+      assert.strictEqual(findExternalAccount(externalAccounts, eft)?.name, 'TD Chequing');
+      assert.strictEqual(
+        findExternalAccount(externalAccounts, {
+          account: 'TFSA',
+          amount: 15000,
+          type: 'Full transfer in-kind',
+          subheading: 'Questrade'
+        })?.name,
+        'Questrade'
+      );
+      assert.strictEqual(
+        findExternalAccount(externalAccounts, {
+          ...eft,
+          subheading: 'STD payroll',
+          from: undefined,
+          description: 'Employer'
+        }),
+        null
+      );
+    });
+
+    it('should leave purchases and e-Transfers alone', () => {
+      assert.strictEqual(
+        findExternalAccount(externalAccounts, { ...eft, type: 'Purchase', amount: -5 }),
+        null
+      );
+      assert.strictEqual(
+        findExternalAccount(externalAccounts, { ...eft, type: 'Interac e-Transfer' }),
+        null
+      );
+    });
+
+    it('should resolve external accounts by name', () => {
+      assert.deepStrictEqual(resolveExternalAccount('TD Chequing', externalAccounts), {
+        accountId: 'td-id',
+        accountName: 'TD Chequing'
+      });
+      assert.strictEqual(resolveExternalAccount('Chequing', externalAccounts), null);
+    });
+  });
+
+  describe('transformTransaction', () => {
+    it('should import transfers from another institution as transfers', () => {
+      const transformed = transformTransaction(eft, {
+        isAccountMapped: (name) => name === 'Chequing',
+        externalAccounts
+      });
+
+      assert.strictEqual(transformed._isTransfer, true);
+      assert.strictEqual(transformed._transferToAccount, 'TD Chequing');
+      assert.strictEqual(transformed.Notes, 'TD Canada Trust ****1234 -> Chequing');
+      assert.strictEqual(transformed.Amount, 50000);
+    });
+
+    it('should keep the legacy ID of transfers imported before the mapping', () => {
+      const isAccountMapped = (name) => name === 'Chequing';
+      const before = transformTransaction(eft, { isAccountMapped });
+      const after = transformTransaction(eft, { isAccountMapped, externalAccounts });
+      const client = new ActualClient({});
+
+      assert.strictEqual(after._originalNotes, before.Notes);
+      assert.strictEqual(client.generateImportedId(after), client.generateImportedId(before));
+    });
+
+    it('should keep the payee without a matching external account', () => {
+      const transformed = transformTransaction(eft, {
+        isAccountMapped: (name) => name === 'Chequing'
+      });
+
+      assert.strictEqual(transformed._isTransfer, undefined);
+    });
+  });
+});
@@ -0,0 +1,97 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+import {
+  compileFilters,
+  applyFilters,
+  EXCLUDED_TYPES_FILTER,
+  NOT_INCLUDED_FILTER
+} from '../src/filters.js';
+
+/**
+ * Tests for the [filters] configuration
+ */
+
+describe('Filters Tests', () => {
+  const transactions = [
+    { account: 'Chequing', type: 'Purchase', description: 'Coffee', amount: -4.5 },
+    { account: 'Chequing', type: 'Purchase', description: 'Round-up', amount: -0.5 },
+    { account: 'Chequing', type: 'Purchase', description: 'Rent', amount: -1500 },
+    { account: 'TFSA', type: 'Market buy', description: 'VFV', amount: -100 },
+    { account: 'TFSA', type: 'Dividend', description: 'VFV', amount: 2 },
+    { account: 'TFSA', type: 'Interest', description: 'Cash', amount: 0.1 },
+    {
+      account: 'Credit card',
+      type: 'Purchase',
+      description: 'Books',
+      amount: -20,
+      status: 'Declined'
+    }
+  ];
+
+  const descriptions = (result) => result.kept.map((transaction) => transaction.description);
+
+  it('should keep the built-in investment type exclusions by default', () => {
+    const result = applyFilters(transactions);
+
+    assert.strictEqual(result.kept.length, 6);
+    assert.deepStrictEqual([...result.removed], [[EXCLUDED_TYPES_FILTER, 1]]);
+  });
+
+  it('should let excludeTypes replace the built-in list', () => {
+    const result = applyFilters(transactions, compileFilters({ excludeTypes: ['Interest'] }));
+
+    assert.ok(descriptions(result).includes('VFV'));
+    assert.strictEqual(descriptions(result).includes('Cash'), false);
+  });
+
+  it('should exclude by canonical type', () => {
+    const filters = compileFilters({
+      excludeTypes: [],
+      exclude: [{ name: 'Trades', type: 'trade' }]
+    });
+
+    const result = applyFilters(transactions, filters);
+
+    assert.strictEqual(descriptions(result).length, 6);
+    assert.deepStrictEqual(Object.fromEntries(result.removed), { Trades: 1 });
+  });
+
+  it('should exclude by description, status and signed amount', () => {
+    const filters = compileFilters({
+      exclude: [
+        { name: 'Round-ups', description: '^round-up$' },
+        { name: 'Declined', status: 'declined' },
+        { name: 'Large', maxAmount: -1000, account: 'Chequing' }
+      ]
+    });
+
+    const result = applyFilters(transactions, filters);
+
+    assert.deepStrictEqual(descriptions(result), ['Coffee', 'VFV', 'Cash']);
+    assert.deepStrictEqual(Object.fromEntries(result.removed), {
+      [EXCLUDED_TYPES_FILTER]: 1,
+      'Round-ups': 1,
+      Large: 1,
+      Declined: 1
+    });
+  });
+
+  it('should only apply account-scoped include filters to that account', () => {
+    const filters = compileFilters({
+      include: [{ account: 'TFSA', type: ['Dividend'] }]
+    });
+
+    const result = applyFilters(transactions, filters);
+
+    assert.deepStrictEqual(descriptions(result), ['Coffee', 'Round-up', 'Rent', 'VFV', 'Books']);
+    assert.strictEqual(result.removed.get(NOT_INCLUDED_FILTER), 1);
+  });
+
+  it('should reject invalid filters', () => {
+    assert.throws(
+      () => compileFilters({ exclude: [{ name: 'Bad', description: '[' }] }),
+      /Filter "Bad": invalid 'description' regex/
+    );
+    assert.throws(() => compileFilters({ excludeTypes: 'Market buy' }), /must be an array/);
+  });
+});
@@ -0,0 +1,59 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+import { transformTransaction } from '../src/transformer.js';
+
+/**
+ * Tests for foreign-currency transactions
+ */
+
+describe('Foreign Currency Tests', () => {
+  const purchase = {
+    account: 'Credit card',
+    date: '2024-03-10',
+    amount: -16.67,
+    type: 'Purchase',
+    description: 'Amazon.com'
+  };
+
+  describe('notes', () => {
+    it('should record the original amount and rate', () => {
+      const transformed = transformTransaction({
+        ...purchase,
+        originalAmount: -12.34,
+        originalCurrency: 'USD',
+        exchangeRate: 1.35085
+      });
+
+      assert.strictEqual(transformed.Notes, 'Purchase: 12.34 USD @ 1.3509');
+    });
+
+    it('should derive the rate when none is shown', () => {
+      const transformed = transformTransaction({
+        ...purchase,
+        amount: -27,
+        originalAmount: -20,
+        originalCurrency: 'usd',
+        transactionId: 'tx-1'
+      });
+
+      assert.strictEqual(transformed.Notes, 'Purchase: 20.00 USD @ 1.35 [tx-1]');
+    });
+
+    it('should leave same-currency transactions alone', () => {
+      const cad = transformTransaction({
+        ...purchase,
+        originalAmount: -16.67,
+        originalCurrency: 'CAD'
+      });
+      const usdAccount = transformTransaction({
+        ...purchase,
+        amountCurrency: 'USD',
+        originalAmount: -12.34,
+        originalCurrency: 'USD'
+      });
+
+      assert.strictEqual(cad.Notes, 'Purchase');
+      assert.strictEqual(usdAccount.Notes, 'Purchase');
+    });
+  });
+});
@@ -0,0 +1,114 @@
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert';
+import {
+  parseQuantity,
+  parseHolding,
+  summarizeHoldings,
+  formatHoldingsCsv
+} from '../src/holdings.js';
+
+/**
+ * Tests for investment holdings parsing and output
+ */
+
+describe('Holdings Tests', () => {
+  describe('parseQuantity', () => {
+    it('should parse plain and labelled quantities', () => {
+      assert.strictEqual(parseQuantity('1,250.5'), 1250.5);
+      assert.strictEqual(parseQuantity('12 shares'), 12);
+      assert.strictEqual(parseQuantity('0.0025'), 0.0025);
+    });
+
+    it('should return null without a number', () => {
+      assert.strictEqual(parseQuantity('—'), null);
+      assert.strictEqual(parseQuantity(null), null);
+    });
+  });
+
+  describe('parseHolding', () => {
+    it('should read values and currency from the row cells', () => {
+      const holding = parseHolding('TFSA', {
+        symbol: ' VFV ',
+        quantity: '10 shares',
+        bookValue: '$1,000.00',
+        marketValue: '$1,234.50'
+      });
+
+      assert.deepStrictEqual(holding, {
+        account: 'TFSA',
+        symbol: 'VFV',
+        quantity: 10,
+        bookValue: 1000,
+        marketValue: 1234.5,
+        currency: 'CAD'
+      });
+    });
+
+    it('should detect USD positions', () => {
+      const holding = parseHolding('RRSP', { symbol: 'AAPL', marketValue: 'US$500.00' });
+
+      assert.strictEqual(holding.currency, 'USD');
+      assert.strictEqual(holding.bookValue, null);
+    });
+
+    it('should skip rows without a symbol', () => {
+      assert.strictEqual(parseHolding('TFSA', { symbol: '  ', marketValue: '$1.00' }), null);
+    });
+  });
+
+  describe('summarizeHoldings', () => {
+    let originalWarn;
+
+    beforeEach(() => {
+      originalWarn = console.warn;
+      console.warn = () => {};
+    });
+
+    afterEach(() => {
+      console.warn = originalWarn;
+    });
+
+    it('should total market value per account', () => {
+      const totals = summarizeHoldings([
+        { account: 'TFSA', marketValue: 100.1, currency: 'CAD' },
+        { account: 'TFSA', marketValue: 200.2, currency: 'CAD' },
+        { account: 'RRSP', marketValue: 50, currency: 'USD' },
+        { account: 'RRSP', marketValue: null, currency: null }
+      ]);
+
+      assert.deepStrictEqual(totals, [
+        { name: 'TFSA', balance: 300.3, currency: 'CAD' },
+        { name: 'RRSP', balance: 50, currency: 'USD' }
+      ]);
+    });
+
+    it('should leave out accounts with mixed currencies', () => {
+      const totals = summarizeHoldings([
+        { account: 'RRSP', marketValue: 100, currency: 'CAD' },
+        { account: 'RRSP', marketValue: 50, currency: 'USD' }
+      ]);
+
+      assert.deepStrictEqual(totals, []);
+    });
+  });
+
+  describe('formatHoldingsCsv', () => {
+    it('should write a header row and quote fields when needed', () => {
+      const csv = formatHoldingsCsv([
+        {
+          account: 'Non-registered, joint',
+          symbol: 'XEQT',
+          quantity: 3,
+          bookValue: null,
+          marketValue: 90,
+          currency: 'CAD'
+        }
+      ]);
+
+      assert.strictEqual(
+        csv,
+        'account,symbol,quantity,bookValue,marketValue,currency\n"Non-registered, joint",XEQT,3,,90,CAD\n'
+      );
+    });
+  });
+});
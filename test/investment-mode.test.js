@@ -0,0 +1,87 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+import { transformTransaction, isInvestmentTrade } from '../src/transformer.js';
+import { compileFilters, applyFilters } from '../src/filters.js';
+
+/**
+ * Tests for accounts in detailed investment mode
+ */
+
+describe('Investment Mode Tests', () => {
+  const buy = {
+    account: 'TFSA',
+    date: '2024-03-10',
+    amount: 241,
+    type: 'Market buy',
+    description: 'Vanguard S&P 500 Index ETF',
+    filledQuantity: '2 shares',
+    transactionId: 'order-1',
+    extra: { symbol: 'VFV', price: '$120.50', fees: '$0.00' }
+  };
+
+  describe('isInvestmentTrade', () => {
+    it('should recognize trades and conversions', () => {
+      assert.strictEqual(isInvestmentTrade(buy), true);
+      assert.strictEqual(isInvestmentTrade({ type: 'Funds converted' }), true);
+      assert.strictEqual(isInvestmentTrade({ type: 'Dividend reinvested' }), true);
+      assert.strictEqual(isInvestmentTrade({ type: 'Dividend' }), false);
+    });
+  });
+
+  describe('transformTransaction', () => {
+    it('should record trade details in the notes', () => {
+      const transformed = transformTransaction(buy, { investmentMode: 'detailed' });
+
+      assert.strictEqual(
+        transformed.Notes,
+        'Market buy VFV: 2 shares @ $120.50, fees $0.00 [order-1]'
+      );
+      assert.strictEqual(transformed.Amount, -24100);
+      assert.strictEqual(transformed._trade, true);
+    });
+
+    it('should put the proceeds of a sell back into the account', () => {
+      const transformed = transformTransaction(
+        { ...buy, type: 'Market sell', amount: -241 },
+        { investmentMode: 'detailed' }
+      );
+
+      assert.strictEqual(transformed.Amount, 24100);
+      assert.ok(transformed.Notes.startsWith('Market sell VFV: 2 shares @ $120.50'));
+    });
+
+    it('should leave trades alone in summary mode', () => {
+      const transformed = transformTransaction(buy);
+
+      assert.strictEqual(transformed._trade, undefined);
+      assert.ok(!transformed.Notes.includes('@ $120.50'));
+    });
+
+    it('should prefer a trade notes template', () => {
+      const transformed = transformTransaction(buy, {
+        investmentMode: 'detailed',
+        notes: { trade: '{type}: {filledQuantity} {symbol}' }
+      });
+
+      assert.strictEqual(transformed.Notes, 'Market buy: 2 shares VFV');
+    });
+  });
+
+  describe('applyFilters', () => {
+    it('should keep trades for detailed accounts only', () => {
+      const transactions = [buy, { ...buy, account: 'RRSP' }];
+      const { kept, removed } = applyFilters(transactions, compileFilters(), {
+        isDetailedAccount: (transaction) => transaction.account === 'TFSA'
+      });
+
+      assert.deepStrictEqual(
+        kept.map((transaction) => transaction.account),
+        ['TFSA']
+      );
+      assert.strictEqual(
+        [...removed.values()].reduce((sum, count) => sum + count, 0),
+        1
+      );
+    });
+  });
+});
@@ -0,0 +1,191 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+import {
+  createActivityStore,
+  collectActivityPayload,
+  mapActivityToTransaction,
+  mapCapturedActivities
+} from '../src/network-parser.js';
+
+/**
+ * Tests for mapping captured WealthSimple API responses to parsed transactions
+ */
+
+describe('Network Parser Tests', () => {
+  const accountsPayload = {
+    data: {
+      identity: {
+        accounts: {
+          edges: [
+            { node: { __typename: 'Account', id: 'ca-cash-1', unifiedAccountType: 'CASH' } },
+            {
+              node: {
+                __typename: 'Account',
+                id: 'tfsa-1',
+                nickname: 'My TFSA',
+                unifiedAccountType: 'SELF_DIRECTED_TFSA'
+              }
+            }
+          ]
+        }
+      }
+    }
+  };
+
+  function activity(overrides = {}) {
+    return {
+      canonicalId: 'activity-1',
+      accountId: 'ca-cash-1',
+      occurredAt: '2024-03-10T12:00:00.000Z',
+      amount: '42.50',
+      amountSign: 'negative',
+      currency: 'CAD',
+      type: 'SPEND',
+      subType: 'PREPAID',
+      status: 'SETTLED',
+      spendMerchant: 'Coffee Shop',
+      ...overrides
+    };
+  }
+
+  describe('collectActivityPayload', () => {
+    it('should find activity and account nodes anywhere in a payload', () => {
+      const store = createActivityStore();
+      collectActivityPayload(accountsPayload, store);
+      const found = collectActivityPayload(
+        { data: { activityFeedItems: { edges: [{ node: activity() }] } } },
+        store
+      );
+
+      assert.strictEqual(found, 1);
+      assert.strictEqual(store.activities.size, 1);
+      assert.strictEqual(store.accountNames.get('ca-cash-1'), 'Chequing');
+      assert.strictEqual(store.accountNames.get('tfsa-1'), 'My TFSA');
+    });
+
+    it('should deduplicate activities seen in several responses', () => {
+      const store = createActivityStore();
+      const payload = { data: { activityFeedItems: { edges: [{ node: activity() }] } } };
+
+      collectActivityPayload(payload, store);
+      collectActivityPayload(payload, store);
+
+      assert.strictEqual(store.activities.size, 1);
+    });
+
+    it('should ignore unrelated payloads', () => {
+      const store = createActivityStore();
+      const found = collectActivityPayload({ data: { featureFlags: [{ key: 'x' }] } }, store);
+
+      assert.strictEqual(found, 0);
+      assert.strictEqual(store.activities.size, 0);
+    });
+  });
+
+  describe('mapActivityToTransaction', () => {
+    const accountNames = new Map([
+      ['ca-cash-1', 'Chequing'],
+      ['tfsa-1', 'TFSA']
+    ]);
+
+    it('should map a card purchase', () => {
+      const transaction = mapActivityToTransaction(activity(), accountNames);
+
+      assert.strictEqual(transaction.account, 'Chequing');
+      assert.strictEqual(transaction.amount, -42.5);
+      assert.strictEqual(transaction.amountCurrency, 'CAD');
+      assert.strictEqual(transaction.type, 'Purchase');
+      assert.strictEqual(transaction.description, 'Coffee Shop');
+      assert.strictEqual(transaction.status, 'Settled');
+      assert.strictEqual(transaction.transactionId, 'activity-1');
+      assert.match(transaction.date, /^\d{4}-\d{2}-\d{2}$/);
+    });
+
+    it('should map an Interac e-Transfer with email and message', () => {
+      const transaction = mapActivityToTransaction(
+        activity({
+          type: 'DEPOSIT',
+          subType: 'E_TRANSFER',
+          amountSign: 'positive',
+          spendMerchant: undefined,
+          eTransferName: 'Jane Doe',
+          eTransferEmail: 'jane@example.com',
+          p2pMessage: 'Dinner'
+        }),
+        accountNames
+      );
+
+      assert.strictEqual(transaction.type, 'Interac e-Transfer');
+      assert.strictEqual(transaction.amount, 42.5);
+      assert.strictEqual(transaction.description, 'Jane Doe');
+      assert.strictEqual(transaction.email, 'jane@example.com');
+      assert.strictEqual(transaction.message, 'Dinner');
+    });
+
+    it('should map internal transfers to from/to account names', () => {
+      const transaction = mapActivityToTransaction(
+        activity({
+          type: 'INTERNAL_TRANSFER',
+          subType: 'SOURCE',
+          spendMerchant: undefined,
+          opposingAccountId: 'tfsa-1'
+        }),
+        accountNames
+      );
+
+      assert.strictEqual(transaction.type, 'Transfer');
+      assert.strictEqual(transaction.from, 'Chequing');
+      assert.strictEqual(transaction.to, 'TFSA');
+    });
+
+    it('should label investment activity so it can be filtered', () => {
+      const transaction = mapActivityToTransaction(
+        activity({
+          type: 'DIY_BUY',
+          subType: 'FRACTIONAL_ORDER',
+          spendMerchant: undefined,
+          assetSymbol: 'VEQT',
+          assetQuantity: '1.5'
+        }),
+        accountNames
+      );
+
+      assert.strictEqual(transaction.type, 'Fractional buy');
+      assert.strictEqual(transaction.description, 'VEQT');
+      assert.strictEqual(transaction.filledQuantity, '1.5 VEQT');
+    });
+
+    it('should fall back to a sentence case label for unknown types', () => {
+      const transaction = mapActivityToTransaction(
+        activity({ type: 'NEW_THING', subType: null, spendMerchant: undefined }),
+        accountNames
+      );
+
+      assert.strictEqual(transaction.type, 'New thing');
+      assert.strictEqual(transaction.description, 'New thing');
+    });
+
+    it('should return null when the account is unknown', () => {
+      assert.strictEqual(
+        mapActivityToTransaction(activity({ accountId: 'unknown' }), accountNames),
+        null
+      );
+    });
+  });
+
+  describe('mapCapturedActivities', () => {
+    it('should count activities that could not be mapped', () => {
+      const store = createActivityStore();
+      collectActivityPayload(accountsPayload, store);
+      collectActivityPayload(
+        [activity(), activity({ canonicalId: 'activity-2', accountId: 'other' })],
+        store
+      );
+
+      const { transactions, unmapped } = mapCapturedActivities(store);
+
+      assert.strictEqual(transactions.length, 1);
+      assert.strictEqual(unmapped, 1);
+    });
+  });
+});
@@ -0,0 +1,116 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+import {
+  renderNotesTemplate,
+  resolveNotesTemplates,
+  isTradeTransaction
+} from '../src/notes-template.js';
+import { transformTransaction } from '../src/transformer.js';
+import { ActualClient } from '../src/actual-client.js';
+
+/**
+ * Tests for [notes] templates
+ */
+
+describe('Notes Template Tests', () => {
+  const eTransfer = {
+    account: 'Chequing',
+    date: '2024-03-10',
+    amount: 50,
+    type: 'Interac e-Transfer',
+    description: 'Jane Doe',
+    email: 'jane@example.com',
+    message: 'Dinner',
+    transactionId: 'tx-1'
+  };
+
+  describe('renderNotesTemplate', () => {
+    it('should fill fields and conditional sections', () => {
+      const template = '{type}{email? (email)} #ws {transactionId}';
+
+      assert.strictEqual(
+        renderNotesTemplate(template, eTransfer),
+        'Interac e-Transfer (jane@example.com) #ws tx-1'
+      );
+      assert.strictEqual(
+        renderNotesTemplate(template, { ...eTransfer, email: '  ', transactionId: undefined }),
+        'Interac e-Transfer #ws'
+      );
+    });
+
+    it('should read extra fields with or without the extra prefix', () => {
+      const fields = { type: 'Market buy', extra: { symbol: 'VFV', pricePerShare: '$120.50' } };
+
+      assert.strictEqual(
+        renderNotesTemplate('{type} {symbol} @ {extra.pricePerShare}{missing? missing}', fields),
+        'Market buy VFV @ $120.50'
+      );
+    });
+  });
+
+  describe('resolveNotesTemplates', () => {
+    it('should keep only known, non-empty templates', () => {
+      assert.deepStrictEqual(
+        resolveNotesTemplates({ template: '{type}', trade: '', colour: 'red' }),
+        { template: '{type}' }
+      );
+      assert.strictEqual(resolveNotesTemplates(undefined), null);
+    });
+  });
+
+  describe('transformTransaction', () => {
+    const notes = {
+      template: '{type}: {message} #ws',
+      transfer: 'Transfer {from} to {to}',
+      trade: '{type} {filledQuantity}'
+    };
+
+    it('should use the template and keep the built-in notes aside', () => {
+      const transformed = transformTransaction(eTransfer, { notes });
+
+      assert.strictEqual(transformed.Notes, 'Interac e-Transfer: Dinner #ws');
+      assert.strictEqual(
+        transformed._originalNotes,
+        'Interac e-Transfer (jane@example.com): Dinner [tx-1]'
+      );
+    });
+
+    it('should use the transfer and trade templates', () => {
+      const transfer = transformTransaction(
+        { ...eTransfer, type: 'Transfer', from: 'Chequing', to: 'TFSA' },
+        { notes, isAccountMapped: () => true }
+      );
+      const trade = transformTransaction(
+        { ...eTransfer, type: 'Market buy', filledQuantity: '2 shares' },
+        { notes }
+      );
+
+      assert.strictEqual(transfer.Notes, 'Transfer Chequing to TFSA');
+      assert.strictEqual(trade.Notes, 'Market buy 2 shares');
+      assert.strictEqual(isTradeTransaction({ type: 'Limit sell' }), true);
+      assert.strictEqual(isTradeTransaction({ type: 'Dividend' }), false);
+    });
+
+    it('should leave transfers alone without a transfer template', () => {
+      const transfer = transformTransaction(
+        { ...eTransfer, type: 'Transfer', from: 'Chequing', to: 'TFSA' },
+        { notes: { template: '{type}' }, isAccountMapped: () => true }
+      );
+
+      assert.strictEqual(transfer.Notes, 'Chequing -> TFSA');
+      assert.strictEqual('_originalNotes' in transfer, false);
+    });
+
+    it('should not change imported IDs', () => {
+      const client = new ActualClient({});
+      const withoutId = { ...eTransfer, transactionId: '' };
+
+      for (const transaction of [eTransfer, withoutId]) {
+        assert.strictEqual(
+          client.generateImportedId(transformTransaction(transaction, { notes })),
+          client.generateImportedId(transformTransaction(transaction))
+        );
+      }
+    });
+  });
+});
@@ -0,0 +1,54 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+import { parseTransaction, summarizeExtraFields } from '../src/parser.js';
+
+/**
+ * Tests for keeping unrecognized activity page fields
+ */
+
+describe('Parser Extra Fields Tests', () => {
+  it('should keep unknown label/value pairs in an extra map', () => {
+    const result = parseTransaction({
+      fields: [
+        { name: 'Account', value: 'TFSA' },
+        { name: 'Symbol', value: 'VFV' },
+        { name: 'Price per share', value: '$120.50' },
+        { name: 'Card last four', value: ' 1234 ' },
+        { name: 'Reference #', value: 'ABC123' }
+      ]
+    });
+
+    assert.strictEqual(result.account, 'TFSA');
+    assert.deepStrictEqual(result.extra, {
+      symbol: 'VFV',
+      pricePerShare: '$120.50',
+      cardLastFour: '1234',
+      reference: 'ABC123'
+    });
+  });
+
+  it('should not add an extra map when every field is known', () => {
+    const result = parseTransaction({
+      fields: [
+        { name: 'Account', value: 'Chequing' },
+        { name: 'Merchant category', value: '' }
+      ]
+    });
+
+    assert.strictEqual('extra' in result, false);
+  });
+
+  it('should count extra fields across transactions', () => {
+    const summary = summarizeExtraFields([
+      { extra: { symbol: 'VFV', price: '$1.00' } },
+      { extra: { symbol: 'XEQT' } },
+      { account: 'Chequing' },
+      null
+    ]);
+
+    assert.deepStrictEqual(summary, [
+      { field: 'symbol', count: 2, example: 'VFV' },
+      { field: 'price', count: 1, example: '$1.00' }
+    ]);
+  });
+});
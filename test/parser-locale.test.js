@@ -0,0 +1,120 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+import { parseTransaction } from '../src/parser.js';
+import { detectLocale, normalizeLocale, translateLabel } from '../src/locale.js';
+
+/**
+ * Tests for parsing transactions from the French WealthSimple UI
+ */
+
+describe('Parser Locale Tests', () => {
+  describe('detectLocale', () => {
+    it('should prefer the page language', () => {
+      assert.strictEqual(detectLocale({ locale: 'fr-CA', fields: [] }), 'fr');
+      assert.strictEqual(detectLocale({ locale: 'en-US', fields: [{ name: 'Compte' }] }), 'en');
+    });
+
+    it('should fall back to French-only labels', () => {
+      assert.strictEqual(detectLocale({ fields: [{ name: 'Compte', value: 'X' }] }), 'fr');
+      assert.strictEqual(detectLocale({ fields: [{ name: 'Date', value: 'X' }] }), 'en');
+      assert.strictEqual(detectLocale({ locale: 'de', fields: [{ name: 'Account' }] }), 'en');
+    });
+
+    it('should normalize language tags', () => {
+      assert.strictEqual(normalizeLocale('FR_ca'), 'fr');
+      assert.strictEqual(normalizeLocale('es'), null);
+      assert.strictEqual(normalizeLocale(null), null);
+    });
+  });
+
+  describe('translateLabel', () => {
+    it('should map French labels to English labels', () => {
+      assert.strictEqual(translateLabel('Numéro de compte', 'fr'), 'account number');
+      assert.strictEqual(translateLabel('Montant d’origine :', 'fr'), 'original amount');
+      assert.strictEqual(translateLabel('Récompenses sur les dépenses', 'fr'), 'spend rewards');
+      assert.strictEqual(translateLabel('Compte', 'en'), 'compte');
+    });
+  });
+
+  describe('parseTransaction', () => {
+    it('should parse a French transaction into the same fields as an English one', () => {
+      const french = parseTransaction({
+        locale: 'fr-CA',
+        fields: [
+          { name: 'Compte', value: 'Chèques' },
+          { name: 'Statut', value: 'Terminée' },
+          { name: 'Date', value: '10 mars 2024 à 14 h 30' },
+          { name: 'Montant', value: '−1 234,56 $' },
+          { name: 'ID de transaction', value: 'tx-1' }
+        ],
+        description: 'Café'
+      });
+      const english = parseTransaction({
+        fields: [
+          { name: 'Account', value: 'Chèques' },
+          { name: 'Status', value: 'Completed' },
+          { name: 'Date', value: 'March 10, 2024 2:30 pm' },
+          { name: 'Amount', value: '− $1,234.56' },
+          { name: 'Transaction ID', value: 'tx-1' }
+        ],
+        description: 'Café'
+      });
+
+      assert.deepStrictEqual(french, english);
+    });
+
+    it('should parse French month names and ordinals', () => {
+      const result = parseTransaction({
+        fields: [
+          { name: 'Compte', value: 'CELI' },
+          { name: 'Soumis', value: '1er févr. 2024' },
+          { name: 'Exécuté', value: '2 décembre 2024, 09:15' }
+        ]
+      });
+
+      assert.strictEqual(result.submitted, '2024-02-01');
+      assert.strictEqual(result.filled, '2024-12-02');
+    });
+
+    it('should parse "aujourd\'hui" and "hier"', () => {
+      const today = new Date();
+      const yesterday = new Date(today);
+      yesterday.setDate(yesterday.getDate() - 1);
+      const format = (date) =>
+        `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
+
+      const parse = (value) =>
+        parseTransaction({ locale: 'fr', fields: [{ name: 'Date', value }] }).date;
+
+      assert.strictEqual(parse("Aujourd'hui"), format(today));
+      assert.strictEqual(parse('Aujourd’hui'), format(today));
+      assert.strictEqual(parse('Hier'), format(yesterday));
+    });
+
+    it('should parse French amounts with currency codes', () => {
+      const result = parseTransaction({
+        locale: 'fr',
+        fields: [
+          { name: 'Coût total', value: '2 500,00 $ USD' },
+          { name: 'Montant initial', value: '+ 50,00 $ US' },
+          { name: 'Taux de change', value: '1,35' }
+        ]
+      });
+
+      assert.strictEqual(result.amount, -2500);
+      assert.strictEqual(result.amountCurrency, 'USD');
+      assert.strictEqual(result.originalAmount, 50);
+      assert.strictEqual(result.originalCurrency, 'USD');
+      assert.strictEqual(result.exchangeRate, 1.35);
+    });
+
+    it('should translate French statuses so pending tracking sees them', () => {
+      const result = parseTransaction({
+        locale: 'fr',
+        fields: [{ name: 'Statut', value: 'En attente' }]
+      });
+
+      assert.strictEqual(result.status, 'Pending');
+    });
+  });
+});
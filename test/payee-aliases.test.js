@@ -0,0 +1,138 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert';
+import { rm, mkdir } from 'fs/promises';
+import { join } from 'path';
+import { tmpdir } from 'os';
+import {
+  loadPayeeAliases,
+  savePayeeAliases,
+  normalizeForMatch,
+  payeeSimilarity,
+  findPayeeMatch,
+  setPayeeAlias,
+  removePayeeAlias,
+  resolvePayeeAliases
+} from '../src/payee-aliases.js';
+
+/**
+ * Tests for matching imported payees to existing ActualBudget payees
+ */
+
+describe('Payee Aliases Tests', () => {
+  let testDir;
+
+  const payees = [
+    { id: 'p1', name: 'Starbucks' },
+    { id: 'p2', name: 'Tim Hortons' },
+    { id: 'p3', name: 'Chequing', transfer_acct: 'a1' },
+    { id: 'p4', name: 'Café Olimpico' }
+  ];
+
+  before(async () => {
+    testDir = join(tmpdir(), `ws-actual-payee-aliases-test-${Date.now()}`);
+    await mkdir(testDir, { recursive: true });
+  });
+
+  after(async () => {
+    try {
+      await rm(testDir, { recursive: true, force: true });
+    } catch (error) {
+      // Ignore cleanup errors
+    }
+  });
+
+  describe('matching', () => {
+    it('should normalize store numbers, punctuation and accents', () => {
+      assert.strictEqual(normalizeForMatch('STARBUCKS #1234'), 'starbucks');
+      assert.strictEqual(normalizeForMatch('Cafe Olimpico Inc.'), 'cafe olimpico');
+      assert.strictEqual(normalizeForMatch('Café  Olimpico'), 'cafe olimpico');
+    });
+
+    it('should score near-duplicates above unrelated names', () => {
+      assert.strictEqual(payeeSimilarity('STARBUCKS 1234', 'Starbucks'), 1);
+      assert.ok(payeeSimilarity('Tim Horton', 'Tim Hortons') >= 0.85);
+      assert.ok(payeeSimilarity('Tim Hortons', 'Starbucks') < 0.3);
+    });
+
+    it('should match existing payees but not transfer payees', () => {
+      assert.strictEqual(findPayeeMatch('TIM HORTONS 0042', payees).payee.id, 'p2');
+      assert.strictEqual(findPayeeMatch('CHEQUING', payees), null);
+      assert.strictEqual(findPayeeMatch('Grocery Store', payees), null);
+    });
+  });
+
+  describe('resolvePayeeAliases', () => {
+    it('should rename to existing payees and remember the match', () => {
+      const aliases = {};
+      const transactions = [
+        { Payee: 'STARBUCKS 1234' },
+        { Payee: 'Starbucks' },
+        { Payee: 'Grocery Store' },
+        { Payee: 'STARBUCKS 1234', _isTransfer: true }
+      ];
+
+      const counts = resolvePayeeAliases(transactions, aliases, payees);
+
+      assert.deepStrictEqual(counts, { renamed: 1, added: 1 });
+      assert.deepStrictEqual(
+        transactions.map((transaction) => transaction.Payee),
+        ['Starbucks', 'Starbucks', 'Grocery Store', 'STARBUCKS 1234']
+      );
+      assert.strictEqual(transactions[0]._originalPayee, 'STARBUCKS 1234');
+      assert.strictEqual(aliases['STARBUCKS 1234'].payee, 'Starbucks');
+      assert.strictEqual(aliases['STARBUCKS 1234'].source, 'auto');
+    });
+
+    it('should prefer user aliases, including keeping the imported name', () => {
+      const aliases = {};
+      setPayeeAlias(aliases, 'STARBUCKS 1234', 'Coffee');
+      setPayeeAlias(aliases, 'tim hortons 0042', '');
+      const transactions = [{ Payee: 'Starbucks 1234' }, { Payee: 'TIM HORTONS 0042' }];
+
+      const counts = resolvePayeeAliases(transactions, aliases, payees);
+
+      assert.deepStrictEqual(counts, { renamed: 1, added: 0 });
+      assert.strictEqual(transactions[0].Payee, 'Coffee');
+      assert.strictEqual(transactions[1].Payee, 'TIM HORTONS 0042');
+    });
+
+    it('should keep payees set by contacts and rules', () => {
+      const aliases = {};
+      const transactions = [{ Payee: 'Starbuck', _originalPayee: 'SQ *COFFEE 1234' }];
+
+      const counts = resolvePayeeAliases(transactions, aliases, payees);
+
+      assert.deepStrictEqual(counts, { renamed: 0, added: 0 });
+      assert.strictEqual(transactions[0].Payee, 'Starbuck');
+      assert.strictEqual(transactions[0]._originalPayee, 'SQ *COFFEE 1234');
+      assert.deepStrictEqual(aliases, {});
+    });
+
+    it('should only apply saved aliases without payees', () => {
+      const aliases = { 'STARBUCKS 1234': { payee: 'Starbucks', source: 'auto' } };
+      const transactions = [{ Payee: 'STARBUCKS 1234' }, { Payee: 'TIM HORTONS 0042' }];
+
+      resolvePayeeAliases(transactions, aliases, null);
+
+      assert.strictEqual(transactions[0].Payee, 'Starbucks');
+      assert.strictEqual(transactions[1].Payee, 'TIM HORTONS 0042');
+      assert.strictEqual(Object.keys(aliases).length, 1);
+    });
+  });
+
+  describe('alias file', () => {
+    it('should round-trip aliases and remove them case-insensitively', async () => {
+      const filePath = join(testDir, 'payee-aliases.json');
+      const aliases = {};
+      setPayeeAlias(aliases, 'AMZN Mktp', 'Amazon');
+
+      await savePayeeAliases(aliases, filePath);
+      const loaded = await loadPayeeAliases(filePath);
+
+      assert.strictEqual(loaded['AMZN Mktp'].payee, 'Amazon');
+      assert.strictEqual(removePayeeAlias(loaded, 'amzn mktp'), true);
+      assert.strictEqual(removePayeeAlias(loaded, 'amzn mktp'), false);
+      assert.deepStrictEqual(await loadPayeeAliases(join(testDir, 'missing.json')), {});
+    });
+  });
+});
@@ -0,0 +1,304 @@
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert';
+import { rm, mkdir } from 'fs/promises';
+import { join } from 'path';
+import { tmpdir } from 'os';
+import {
+  getLifecycleState,
+  loadPendingTransactions,
+  savePendingTransactions,
+  trackPending,
+  trackImportedPending,
+  reconcilePending,
+  applyPendingLifecycle,
+  getOldestPendingDate
+} from '../src/pending.js';
+import { transformTransaction } from '../src/transformer.js';
+import { compileFilters, applyFilters } from '../src/filters.js';
+
+/**
+ * Tests for pending-to-posted transaction lifecycle tracking
+ */
+
+describe('Pending Lifecycle Tests', () => {
+  const record = {
+    account: 'Chequing',
+    date: '2024-03-10',
+    amount: -1250,
+    payee: 'Coffee Shop',
+    sourceTransactionId: null
+  };
+
+  describe('getLifecycleState', () => {
+    it('should classify WealthSimple statuses', () => {
+      assert.strictEqual(getLifecycleState('Pending'), 'pending');
+      assert.strictEqual(getLifecycleState(' In progress '), 'pending');
+      assert.strictEqual(getLifecycleState('Declined'), 'void');
+      assert.strictEqual(getLifecycleState('Cancelled'), 'void');
+      assert.strictEqual(getLifecycleState('Completed'), 'posted');
+      assert.strictEqual(getLifecycleState(''), null);
+      assert.strictEqual(getLifecycleState(undefined), null);
+    });
+  });
+
+  describe('transformTransaction', () => {
+    const base = {
+      account: 'Chequing',
+      date: '2024-03-10',
+      amount: -12.5,
+      description: 'Coffee Shop',
+      type: 'Purchase'
+    };
+
+    it('should flag pending and declined transactions', () => {
+      assert.strictEqual(transformTransaction({ ...base, status: 'Pending' })._pending, true);
+      assert.strictEqual(transformTransaction({ ...base, status: 'Declined' })._void, true);
+    });
+
+    it('should not add lifecycle fields to completed transactions', () => {
+      const transformed = transformTransaction({ ...base, status: 'Completed' });
+
+      assert.strictEqual('_pending' in transformed, false);
+      assert.strictEqual('_void' in transformed, false);
+    });
+  });
+
+  describe('reconcilePending', () => {
+    const posted = (overrides = {}) => ({
+      Account: 'Chequing',
+      Date: '2024-03-12',
+      Amount: -1400,
+      Payee: 'Coffee Shop',
+      ...overrides
+    });
+
+    it('should settle a pending transaction once it posts with a new amount', () => {
+      const transaction = posted();
+      const result = reconcilePending({ a1: record }, [transaction]);
+
+      assert.strictEqual(result.settled.length, 1);
+      assert.strictEqual(result.settled[0].actualId, 'a1');
+      assert.strictEqual(result.settled[0].transaction, transaction);
+      assert.ok(result.handled.has(transaction));
+    });
+
+    it('should report changes to a transaction that is still pending', () => {
+      const stillPending = posted({ _pending: true, Date: '2024-03-10' });
+      const result = reconcilePending({ a1: record }, [stillPending]);
+
+      assert.strictEqual(result.settled.length, 0);
+      assert.strictEqual(result.changed.length, 1);
+      assert.ok(result.handled.has(stillPending));
+    });
+
+    it('should leave an unchanged pending transaction alone without importing it again', () => {
+      const stillPending = posted({ _pending: true, Date: '2024-03-10', Amount: -1250 });
+      const result = reconcilePending({ a1: record }, [stillPending]);
+
+      assert.strictEqual(result.changed.length, 0);
+      assert.ok(result.handled.has(stillPending));
+    });
+
+    it('should cancel a pending transaction that was declined', () => {
+      const declined = posted({ _void: true, Date: '2024-03-10' });
+      const unrelated = posted({ _void: true, Payee: 'Other' });
+      const result = reconcilePending({ a1: record }, [declined, unrelated]);
+
+      assert.deepStrictEqual(
+        result.cancelled.map((entry) => entry.reason),
+        ['declined or cancelled']
+      );
+      assert.ok(result.handled.has(unrelated), 'declined transactions are never imported');
+    });
+
+    it('should match on source transaction IDs when both sides have one', () => {
+      const tracked = { ...record, sourceTransactionId: 'tx-1' };
+      const other = posted({ _sourceTransactionId: 'tx-2' });
+      const same = posted({ _sourceTransactionId: 'tx-1', Payee: 'COFFEE SHOP #12' });
+
+      const result = reconcilePending({ a1: tracked }, [other, same]);
+
+      assert.strictEqual(result.settled[0].transaction, same);
+      assert.ok(!result.handled.has(other));
+    });
+
+    it('should not match other accounts, directions or dates outside the window', () => {
+      const result = reconcilePending({ a1: record }, [
+        posted({ Account: 'TFSA' }),
+        posted({ Amount: 1250 }),
+        posted({ Date: '2024-04-30' })
+      ]);
+
+      assert.strictEqual(result.settled.length, 0);
+      assert.strictEqual(result.handled.size, 0);
+    });
+
+    it('should cancel a tracked transaction that dropped off the scraped range', () => {
+      const result = reconcilePending({ a1: record }, [], {
+        coverage: { Chequing: '2024-03-01' }
+      });
+
+      assert.strictEqual(result.cancelled[0].reason, 'no longer listed');
+    });
+
+    it('should keep tracking a transaction that a filter hides from the import', () => {
+      const scraped = [
+        {
+          account: 'Chequing',
+          date: '2024-03-11',
+          amount: -12.5,
+          type: 'Purchase',
+          description: 'Coffee Shop',
+          status: 'Completed'
+        }
+      ];
+      const { kept } = applyFilters(
+        scraped,
+        compileFilters({ exclude: [{ name: 'Coffee', description: 'Coffee' }] })
+      );
+      const transformed = kept.map((transaction) => transformTransaction(transaction));
+      const result = reconcilePending({ a1: record }, transformed, {
+        coverage: { Chequing: '2024-03-01' },
+        scraped: scraped.map((transaction) => transformTransaction(transaction))
+      });
+
+      assert.strictEqual(kept.length, 0);
+      assert.strictEqual(result.cancelled.length, 0);
+    });
+
+    it('should keep tracking when the scrape did not reach back far enough', () => {
+      const result = reconcilePending({ a1: record }, [], {
+        coverage: { Chequing: '2024-03-10' }
+      });
+
+      assert.strictEqual(result.cancelled.length, 0);
+      assert.strictEqual(reconcilePending({ a1: record }, []).cancelled.length, 0);
+    });
+  });
+
+  describe('pending transfers', () => {
+    const transfer = transformTransaction(
+      {
+        account: 'Chequing',
+        date: '2024-03-10',
+        amount: -500,
+        type: 'Transfer',
+        from: 'Chequing',
+        to: 'TFSA',
+        status: 'Pending',
+        transactionId: 'tr-1'
+      },
+      { isAccountMapped: () => true }
+    );
+
+    const client = {
+      calls: [],
+      generateImportedId: () => 'ws_source',
+      getMirrorImportIds: () => ({ importedId: 'ws_mirror', duplicateImportIds: new Set() }),
+      async updateTransaction(id, fields) {
+        this.calls.push(['update', id, fields]);
+      },
+      async deleteTransaction(id) {
+        this.calls.push(['delete', id]);
+      }
+    };
+
+    beforeEach(() => {
+      client.calls = [];
+    });
+
+    it('should track one record per transfer, with its mirror', () => {
+      const pending = {};
+      trackImportedPending(pending, [
+        { transaction: transfer, actualId: 'src' },
+        { transaction: transfer, actualId: 'mir', isMirrorTransfer: true }
+      ]);
+
+      assert.deepStrictEqual(Object.keys(pending), ['src']);
+      assert.strictEqual(pending.src.mirrorId, 'mir');
+      assert.strictEqual(pending.src.amount, -50000);
+    });
+
+    it('should settle and remove both sides together', async () => {
+      const pending = {};
+      trackImportedPending(pending, [
+        { transaction: transfer, actualId: 'src' },
+        { transaction: transfer, actualId: 'mir', isMirrorTransfer: true }
+      ]);
+      const settled = { ...transfer, _pending: undefined };
+
+      const result = reconcilePending(pending, [settled]);
+      await applyPendingLifecycle(client, pending, result, false);
+
+      assert.deepStrictEqual(client.calls, [
+        [
+          'update',
+          'src',
+          { date: '2024-03-10', amount: -50000, cleared: true, imported_id: 'ws_source' }
+        ],
+        [
+          'update',
+          'mir',
+          { date: '2024-03-10', amount: 50000, cleared: true, imported_id: 'ws_mirror' }
+        ]
+      ]);
+      assert.deepStrictEqual(pending, {});
+
+      trackImportedPending(pending, [
+        { transaction: transfer, actualId: 'src' },
+        { transaction: transfer, actualId: 'mir', isMirrorTransfer: true }
+      ]);
+      client.calls = [];
+      const voided = reconcilePending(pending, [{ ...transfer, _pending: undefined, _void: true }]);
+      await applyPendingLifecycle(client, pending, voided, false);
+
+      assert.deepStrictEqual(client.calls, [
+        ['delete', 'src'],
+        ['delete', 'mir']
+      ]);
+    });
+  });
+
+  describe('trackPending and getOldestPendingDate', () => {
+    it('should record imported pending transactions', () => {
+      const pending = {};
+      trackPending(pending, 'a1', {
+        Account: 'Chequing',
+        Date: '2024-03-10',
+        Amount: -1250,
+        Payee: 'Coffee Shop'
+      });
+      trackPending(pending, 'a2', { Account: 'Chequing', Date: '2024-03-08', Amount: -100 });
+
+      assert.strictEqual(pending.a1.amount, -1250);
+      assert.strictEqual(pending.a2.payee, '');
+      assert.strictEqual(getOldestPendingDate(pending), '2024-03-08');
+      assert.strictEqual(getOldestPendingDate({}), null);
+    });
+  });
+
+  describe('loadPendingTransactions and savePendingTransactions', () => {
+    let testDir;
+
+    beforeEach(async () => {
+      testDir = join(tmpdir(), `ws-actual-pending-test-${Date.now()}`);
+      await mkdir(testDir, { recursive: true });
+    });
+
+    afterEach(async () => {
+      try {
+        await rm(testDir, { recursive: true, force: true });
+      } catch (error) {
+        // Ignore cleanup errors
+      }
+    });
+
+    it('should round-trip pending transactions through a file', async () => {
+      const filePath = join(testDir, 'nested', 'pending.json');
+      await savePendingTransactions({ a1: record }, filePath);
+
+      assert.deepStrictEqual(await loadPendingTransactions(filePath), { a1: record });
+      assert.deepStrictEqual(await loadPendingTransactions(join(testDir, 'missing.json')), {});
+    });
+  });
+});
@@ -0,0 +1,142 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+import { compileRules, applyRules } from '../src/rules.js';
+import { transformTransaction, transformTransactions } from '../src/transformer.js';
+
+/**
+ * Tests for the [[rules]] payee and category rules engine
+ */
+
+describe('Rules Tests', () => {
+  const coffee = {
+    account: 'Credit card',
+    date: '2024-03-10',
+    amount: -4.5,
+    type: 'Purchase',
+    description: 'STARBUCKS 1234'
+  };
+
+  describe('compileRules', () => {
+    it('should name unnamed rules by position', () => {
+      const rules = compileRules([{ when: { type: 'Purchase' }, then: { payee: 'X' } }]);
+
+      assert.strictEqual(rules[0].name, 'Rule 1');
+      assert.deepStrictEqual(rules[0].conditions.type, ['purchase']);
+    });
+
+    it('should reject invalid regexes and amounts', () => {
+      assert.throws(
+        () => compileRules([{ name: 'Bad', when: { description: '(' } }]),
+        /Rule "Bad": invalid 'description' regex/
+      );
+      assert.throws(
+        () => compileRules([{ name: 'Bad', when: { minAmount: '5' } }]),
+        /'minAmount' must be a number/
+      );
+    });
+
+    it('should accept a missing rules list', () => {
+      assert.deepStrictEqual(compileRules(undefined), []);
+    });
+  });
+
+  describe('transformTransaction', () => {
+    it('should set payee, category and append a note', () => {
+      const rules = compileRules([
+        {
+          name: 'Coffee',
+          when: { description: 'starbucks', type: 'purchase', maxAmount: 0 },
+          then: { payee: 'Coffee Shop', category: 'Dining Out', note: '#coffee' }
+        }
+      ]);
+
+      const transformed = transformTransaction(coffee, { rules });
+
+      assert.strictEqual(transformed.Payee, 'Coffee Shop');
+      assert.strictEqual(transformed._category, 'Dining Out');
+      assert.strictEqual(transformed.Notes, 'Purchase #coffee');
+      assert.strictEqual(transformed._originalPayee, 'STARBUCKS');
+      assert.strictEqual(transformed._originalNotes, 'Purchase');
+    });
+
+    it('should require every condition to match', () => {
+      const rules = compileRules([
+        { when: { description: 'starbucks', account: ['Chequing', 'TFSA'] }, then: { payee: 'X' } },
+        { when: { description: 'starbucks', minAmount: -4 }, then: { payee: 'Y' } }
+      ]);
+
+      const transformed = transformTransaction(coffee, { rules });
+
+      assert.strictEqual(transformed.Payee, 'STARBUCKS');
+      assert.strictEqual('_category' in transformed, false);
+    });
+
+    it('should let later rules see and override earlier ones', () => {
+      const rules = compileRules([
+        { name: 'Rename', when: { description: 'starbucks' }, then: { payee: 'Coffee Shop' } },
+        { name: 'Categorize', when: { payee: '^coffee shop$' }, then: { category: 'Dining Out' } }
+      ]);
+
+      assert.strictEqual(transformTransaction(coffee, { rules })._category, 'Dining Out');
+    });
+
+    it('should match canonical types as well as WealthSimple types', () => {
+      const rules = compileRules([
+        { when: { type: 'card_purchase' }, then: { category: 'Shopping' } },
+        { when: { type: 'trade' }, then: { payee: 'Broker' } }
+      ]);
+
+      const transformed = transformTransaction(coffee, { rules });
+
+      assert.strictEqual(transformed._category, 'Shopping');
+      assert.strictEqual(transformed.Payee, 'STARBUCKS');
+    });
+
+    it('should match e-Transfer emails', () => {
+      const rules = compileRules([
+        { when: { email: 'landlord@example\\.com' }, then: { payee: 'Landlord' } }
+      ]);
+
+      const transformed = transformTransaction(
+        { ...coffee, type: 'Interac e-Transfer', email: 'Landlord@Example.com' },
+        { rules }
+      );
+
+      assert.strictEqual(transformed.Payee, 'Landlord');
+    });
+  });
+
+  describe('transformTransactions', () => {
+    it('should drop skipped transactions and count rule hits', () => {
+      const rules = compileRules([
+        { name: 'Skip coffee', when: { description: 'starbucks' }, then: { skip: true } },
+        { name: 'Never', when: { type: 'Dividend' }, then: { payee: 'X' } }
+      ]);
+      const ruleHits = new Map();
+
+      const result = transformTransactions(
+        [coffee, { ...coffee, description: 'Grocery Store' }, coffee],
+        { rules, ruleHits }
+      );
+
+      assert.deepStrictEqual(
+        result.map((transaction) => transaction.Payee),
+        ['Grocery Store']
+      );
+      assert.deepStrictEqual([...ruleHits], [['Skip coffee', 2]]);
+    });
+
+    it('should stop evaluating rules once a transaction is skipped', () => {
+      const rules = compileRules([
+        { name: 'Skip', when: {}, then: { skip: true } },
+        { name: 'Rename', when: {}, then: { payee: 'X' } }
+      ]);
+      const hits = new Map();
+
+      const transformed = applyRules(coffee, transformTransaction(coffee), rules, hits);
+
+      assert.strictEqual(transformed._skipped, true);
+      assert.strictEqual(hits.has('Rename'), false);
+    });
+  });
+});
@@ -0,0 +1,111 @@
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert';
+import { parseBalanceText, collectDetailBalances } from '../src/scraper-balance-detail.js';
+
+/**
+ * Tests for reading balances from account detail pages
+ */
+
+describe('Detail Page Balance Tests', () => {
+  describe('parseBalanceText', () => {
+    it('should parse CAD balances', () => {
+      assert.deepStrictEqual(parseBalanceText('$1,234.56'), { balance: 1234.56, currency: 'CAD' });
+      assert.deepStrictEqual(parseBalanceText('Balance\n $0.00'), { balance: 0, currency: 'CAD' });
+    });
+
+    it('should parse negative balances', () => {
+      assert.deepStrictEqual(parseBalanceText('−$45.10'), { balance: -45.1, currency: 'CAD' });
+      assert.deepStrictEqual(parseBalanceText('$-45.10'), { balance: -45.1, currency: 'CAD' });
+    });
+
+    it('should detect USD balances', () => {
+      assert.deepStrictEqual(parseBalanceText('US$2,500.00'), { balance: 2500, currency: 'USD' });
+      assert.deepStrictEqual(parseBalanceText('$2,500.00 USD'), {
+        balance: 2500,
+        currency: 'USD'
+      });
+    });
+
+    it('should return null without an amount', () => {
+      assert.strictEqual(parseBalanceText('Loading...'), null);
+      assert.strictEqual(parseBalanceText(null), null);
+    });
+  });
+
+  describe('collectDetailBalances', () => {
+    let originalWarn;
+    let warnings;
+
+    beforeEach(() => {
+      originalWarn = console.warn;
+      warnings = [];
+      console.warn = (message) => warnings.push(message);
+    });
+
+    afterEach(() => {
+      console.warn = originalWarn;
+    });
+
+    it('should return one balance per account with its currency', () => {
+      const balances = collectDetailBalances([
+        { name: ' Chequing ', balanceText: '$1,000.00', url: 'a' },
+        { name: 'TFSA', balanceText: 'US$50.00', url: 'b' }
+      ]);
+
+      assert.deepStrictEqual(balances, [
+        { name: 'Chequing', balance: 1000, currency: 'CAD', url: 'a' },
+        { name: 'TFSA', balance: 50, currency: 'USD', url: 'b' }
+      ]);
+    });
+
+    it('should read credit card balances as amounts owed', () => {
+      const balances = collectDetailBalances([
+        {
+          name: 'Credit card',
+          balanceText: '$250.00',
+          statementBalanceText: '$180.50',
+          url: 'a'
+        },
+        { name: 'Chequing', balanceText: '$1.00', statementBalanceText: '$2.00', url: 'b' }
+      ]);
+
+      assert.deepStrictEqual(balances, [
+        { name: 'Credit card', balance: -250, currency: 'CAD', statementBalance: -180.5, url: 'a' },
+        { name: 'Chequing', balance: 1, currency: 'CAD', url: 'b' }
+      ]);
+    });
+
+    it('should skip pages without a name or balance', () => {
+      const balances = collectDetailBalances([
+        { name: null, balanceText: '$1.00', url: 'a' },
+        { name: 'TFSA', balanceText: null, url: 'b' }
+      ]);
+
+      assert.deepStrictEqual(balances, []);
+    });
+
+    it('should keep repeated identical readings once', () => {
+      const balances = collectDetailBalances([
+        { name: 'TFSA', balanceText: '$5.00', url: 'a' },
+        { name: 'tfsa', balanceText: '$5.00', url: 'b' }
+      ]);
+
+      assert.strictEqual(balances.length, 1);
+      assert.strictEqual(warnings.length, 0);
+    });
+
+    it('should drop account names with conflicting balances', () => {
+      const balances = collectDetailBalances([
+        { name: 'Chequing', balanceText: '$5.00', url: 'a' },
+        { name: 'Chequing', balanceText: '$9.00', url: 'b' },
+        { name: 'TFSA', balanceText: '$1.00', url: 'c' }
+      ]);
+
+      assert.deepStrictEqual(
+        balances.map((balance) => balance.name),
+        ['TFSA']
+      );
+      assert.strictEqual(warnings.length, 1);
+    });
+  });
+});
@@ -0,0 +1,71 @@
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert';
+import {
+  DEFAULT_SELECTORS,
+  SELECTOR_PROFILE_VERSION,
+  resolveSelectors,
+  getOverriddenSelectors
+} from '../src/selectors.js';
+
+/**
+ * Tests for the scraper selector profile and config overrides
+ */
+
+describe('Selector Profile Tests', () => {
+  let originalWarn;
+  let warnings;
+
+  beforeEach(() => {
+    originalWarn = console.warn;
+    warnings = [];
+    console.warn = (message) => warnings.push(message);
+  });
+
+  afterEach(() => {
+    console.warn = originalWarn;
+  });
+
+  it('should return the built-in selectors without overrides', () => {
+    assert.deepStrictEqual(resolveSelectors(), { ...DEFAULT_SELECTORS });
+    assert.deepStrictEqual(resolveSelectors(undefined), { ...DEFAULT_SELECTORS });
+    assert.strictEqual(warnings.length, 0);
+  });
+
+  it('should apply overrides on top of the built-in selectors', () => {
+    const selectors = resolveSelectors({
+      version: SELECTOR_PROFILE_VERSION,
+      balanceAccountButton: ' button.account '
+    });
+
+    assert.strictEqual(selectors.balanceAccountButton, 'button.account');
+    assert.strictEqual(selectors.transactionHeader, DEFAULT_SELECTORS.transactionHeader);
+    assert.deepStrictEqual(getOverriddenSelectors(selectors), ['balanceAccountButton']);
+    assert.strictEqual(warnings.length, 0);
+  });
+
+  it('should not modify the built-in profile', () => {
+    resolveSelectors({ transactionRegion: 'section' });
+
+    assert.strictEqual(DEFAULT_SELECTORS.transactionRegion, '[role="region"]');
+  });
+
+  it('should ignore unknown keys and empty values with a warning', () => {
+    const selectors = resolveSelectors({ loadMore: 'button.more', transactionRegion: '' });
+
+    assert.deepStrictEqual(selectors, { ...DEFAULT_SELECTORS });
+    assert.strictEqual(warnings.length, 2);
+    assert.match(warnings[0], /unknown selector 'loadMore'/);
+    assert.match(warnings[1], /empty selector 'transactionRegion'/);
+  });
+
+  it('should warn when overrides target a different profile version', () => {
+    const selectors = resolveSelectors({
+      version: SELECTOR_PROFILE_VERSION - 1,
+      transactionRegion: 'section'
+    });
+
+    assert.strictEqual(selectors.transactionRegion, 'section');
+    assert.strictEqual(warnings.length, 1);
+    assert.match(warnings[0], /profile version/);
+  });
+});
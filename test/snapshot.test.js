@@ -0,0 +1,91 @@
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert';
+import { rm, mkdir, readFile } from 'fs/promises';
+import { existsSync } from 'fs';
+import { join } from 'path';
+import { tmpdir } from 'os';
+import { writeSnapshot, readSnapshot, SNAPSHOT_VERSION } from '../src/snapshot.js';
+
+/**
+ * Tests for saving and loading offline activity page snapshots
+ */
+
+describe('Snapshot Tests', () => {
+  let testDir;
+
+  const regions = [
+    {
+      headerId: 'tx-1-header',
+      regionId: 'tx-1-region',
+      html: '<button id="tx-1-header"></button><div id="tx-1-region"></div>'
+    },
+    {
+      headerId: 'tx-2-header',
+      regionId: 'tx-2-region',
+      html: '<button id="tx-2-header"></button><div id="tx-2-region"></div>'
+    }
+  ];
+
+  beforeEach(async () => {
+    testDir = join(tmpdir(), `ws-actual-snapshot-test-${Date.now()}`);
+    await mkdir(testDir, { recursive: true });
+  });
+
+  afterEach(async () => {
+    try {
+      await rm(testDir, { recursive: true, force: true });
+    } catch (error) {
+      // Ignore cleanup errors
+    }
+  });
+
+  it('should write a manifest, the page and one file per region', async () => {
+    const manifest = await writeSnapshot(testDir, {
+      html: '<html><body>page</body></html>',
+      regions,
+      meta: { timeframe: 'last-week' }
+    });
+
+    assert.strictEqual(manifest.version, SNAPSHOT_VERSION);
+    assert.strictEqual(manifest.timeframe, 'last-week');
+    assert.strictEqual(manifest.regions.length, 2);
+    assert.ok(existsSync(join(testDir, 'activity.html')));
+    assert.strictEqual(
+      await readFile(join(testDir, manifest.regions[1].file), 'utf-8'),
+      regions[1].html
+    );
+  });
+
+  it('should combine region files into one document on read', async () => {
+    await writeSnapshot(testDir, { html: '<html></html>', regions });
+
+    const snapshot = await readSnapshot(testDir);
+
+    assert.strictEqual(snapshot.regions.length, 2);
+    assert.ok(snapshot.html.includes('id="tx-1-region"'));
+    assert.ok(snapshot.html.includes('id="tx-2-region"'));
+  });
+
+  it('should only replay regions whose files are still present', async () => {
+    const manifest = await writeSnapshot(testDir, { html: '<html></html>', regions });
+    await rm(join(testDir, manifest.regions[0].file));
+
+    const snapshot = await readSnapshot(testDir);
+
+    assert.strictEqual(snapshot.regions.length, 1);
+    assert.ok(!snapshot.html.includes('id="tx-1-region"'));
+  });
+
+  it('should fall back to the full page when there are no region files', async () => {
+    await writeSnapshot(testDir, { html: '<html><body>full page</body></html>', regions });
+    await rm(join(testDir, 'regions'), { recursive: true });
+
+    const snapshot = await readSnapshot(testDir);
+
+    assert.strictEqual(snapshot.html, '<html><body>full page</body></html>');
+  });
+
+  it('should reject a directory without a manifest', async () => {
+    await assert.rejects(() => readSnapshot(testDir), /Not a snapshot directory/);
+  });
+});
@@ -0,0 +1,75 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+import { transformTransactions } from '../src/transformer.js';
+
+/**
+ * Tests for importing spend rewards as their own transactions
+ */
+
+describe('Spend Rewards Tests', () => {
+  const purchase = {
+    account: 'Credit card',
+    date: '2024-03-10',
+    amount: -40,
+    type: 'Purchase',
+    description: 'Grocery Store',
+    transactionId: 'tx-1',
+    spendRewards: 0.8,
+    spendRewardsCurrency: 'CAD'
+  };
+  const rewards = { enabled: true, payee: 'WealthSimple', category: 'Cash Back' };
+
+  it('should not add rewards unless enabled', () => {
+    assert.strictEqual(transformTransactions([purchase]).length, 1);
+    assert.strictEqual(
+      transformTransactions([purchase], { rewards: { ...rewards, enabled: false } }).length,
+      1
+    );
+  });
+
+  it('should follow the purchase with an income transaction', () => {
+    const [transformed, reward] = transformTransactions([purchase], { rewards });
+
+    assert.strictEqual(transformed.Amount, -4000);
+    assert.deepStrictEqual(reward, {
+      Date: '2024-03-10',
+      Account: 'Credit card',
+      Payee: 'WealthSimple',
+      Notes: 'Spend rewards: Grocery Store',
+      Amount: 80,
+      _rewardFor: transformed,
+      _category: 'Cash Back'
+    });
+  });
+
+  it('should skip pending purchases and purchases without rewards', () => {
+    const result = transformTransactions(
+      [
+        { ...purchase, status: 'Pending' },
+        { ...purchase, spendRewards: undefined },
+        { ...purchase, spendRewards: 0 }
+      ],
+      { rewards }
+    );
+
+    assert.strictEqual(result.length, 3);
+    assert.ok(result.every((transaction) => !transaction._rewardFor));
+  });
+
+  it('should skip rewards in another currency than the account', () => {
+    const result = transformTransactions([{ ...purchase, spendRewardsCurrency: 'USD' }], {
+      rewards
+    });
+
+    assert.strictEqual(result.length, 1);
+  });
+
+  it('should omit the category when none is configured', () => {
+    const [, reward] = transformTransactions([purchase], {
+      rewards: { enabled: true, payee: 'WS' }
+    });
+
+    assert.strictEqual(reward.Payee, 'WS');
+    assert.strictEqual('_category' in reward, false);
+  });
+});
@@ -0,0 +1,150 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert';
+import { writeFile, rm, mkdir } from 'fs/promises';
+import { join } from 'path';
+import { tmpdir } from 'os';
+import {
+  getSystemTimeZone,
+  resolveTimeZone,
+  getTodayInTimeZone,
+  addDaysToDate,
+  toCalendarDate
+} from '../src/timezone.js';
+import { transformTransaction } from '../src/transformer.js';
+import { parseCSV } from '../src/csv-parser.js';
+import { parseTransaction } from '../src/parser.js';
+import { mapActivityToTransaction } from '../src/network-parser.js';
+
+/**
+ * Tests for timezone-correct calendar dates
+ * Each case runs with the process in several timezones, since the bugs this guards against
+ * only show up west (or far east) of UTC.
+ */
+
+const SYSTEM_ZONES = [
+  'UTC',
+  'America/Toronto',
+  'America/Vancouver',
+  'Asia/Tokyo',
+  'Pacific/Kiritimati'
+];
+
+describe('Timezone Tests', () => {
+  const originalTZ = process.env.TZ;
+  let testDir;
+  const getTestPath = (name) => join(testDir, name);
+
+  before(async () => {
+    testDir = join(tmpdir(), `ws-actual-timezone-test-${Date.now()}`);
+    await mkdir(testDir, { recursive: true });
+  });
+
+  after(async () => {
+    if (originalTZ === undefined) {
+      delete process.env.TZ;
+    } else {
+      process.env.TZ = originalTZ;
+    }
+    try {
+      await rm(testDir, { recursive: true, force: true });
+    } catch (error) {
+      // Ignore cleanup errors
+    }
+  });
+
+  describe('resolveTimeZone', () => {
+    it('should default to the system timezone', () => {
+      assert.strictEqual(resolveTimeZone(undefined), getSystemTimeZone());
+      assert.strictEqual(resolveTimeZone(' America/Toronto '), 'America/Toronto');
+    });
+
+    it('should reject unknown timezones', () => {
+      assert.throws(() => resolveTimeZone('Mars/Olympus_Mons'), /Unknown timezone/);
+    });
+  });
+
+  describe('addDaysToDate', () => {
+    it('should cross month and year boundaries', () => {
+      assert.strictEqual(addDaysToDate('2024-03-01', -1), '2024-02-29');
+      assert.strictEqual(addDaysToDate('2024-12-31', 1), '2025-01-01');
+    });
+  });
+
+  for (const systemZone of SYSTEM_ZONES) {
+    describe(`with TZ=${systemZone}`, () => {
+      before(() => {
+        process.env.TZ = systemZone;
+      });
+
+      it('should keep wall-clock dates as written', () => {
+        assert.strictEqual(toCalendarDate('2024-03-10'), '2024-03-10');
+        assert.strictEqual(toCalendarDate('2024-03-10 23:30:00'), '2024-03-10');
+        assert.strictEqual(toCalendarDate('2024-03-10T00:15:00'), '2024-03-10');
+        assert.strictEqual(toCalendarDate('March 10, 2024'), '2024-03-10');
+        assert.strictEqual(toCalendarDate('not a date'), null);
+      });
+
+      it('should convert instants into the configured timezone', () => {
+        assert.strictEqual(toCalendarDate('2024-03-11T03:30:00Z', 'America/Toronto'), '2024-03-10');
+        assert.strictEqual(toCalendarDate('2024-03-11T03:30:00Z', 'UTC'), '2024-03-11');
+        assert.strictEqual(
+          toCalendarDate('2024-01-10T23:30:00-08:00', 'America/Vancouver'),
+          '2024-01-10'
+        );
+        assert.strictEqual(
+          getTodayInTimeZone('America/Toronto', new Date('2024-03-11T03:00:00Z')),
+          '2024-03-10'
+        );
+      });
+
+      it('should not shift transformed dates', () => {
+        const base = { account: 'Chequing', amount: -5, description: 'Coffee', type: 'Purchase' };
+
+        assert.strictEqual(
+          transformTransaction({ ...base, date: '2024-03-10' }).Date,
+          '2024-03-10'
+        );
+        assert.strictEqual(
+          transformTransaction(
+            { ...base, date: '2024-03-11T01:00:00Z' },
+            { timeZone: 'America/Toronto' }
+          ).Date,
+          '2024-03-10'
+        );
+      });
+
+      it('should not shift CSV dates', async () => {
+        const filePath = getTestPath(`${systemZone.replace('/', '-')}.csv`);
+        await writeFile(
+          filePath,
+          'account,date,amount,type,description\nChequing,2024-03-10 22:45:00,-5.00,Purchase,Coffee\n'
+        );
+
+        const [transaction] = await parseCSV(filePath, { timeZone: 'America/Toronto' });
+        assert.strictEqual(transaction.date, '2024-03-10');
+      });
+
+      it('should resolve relative dates in the configured timezone', () => {
+        const parsed = parseTransaction(
+          { fields: [{ name: 'Date', value: 'Yesterday' }] },
+          { timeZone: 'Pacific/Kiritimati' }
+        );
+
+        assert.strictEqual(
+          parsed.date,
+          addDaysToDate(getTodayInTimeZone('Pacific/Kiritimati'), -1)
+        );
+      });
+
+      it('should convert API timestamps into the configured timezone', () => {
+        const transaction = mapActivityToTransaction(
+          { accountId: 'a1', amount: '5', occurredAt: '2024-03-11T02:00:00.000Z' },
+          new Map([['a1', 'Chequing']]),
+          { timeZone: 'America/Toronto' }
+        );
+
+        assert.strictEqual(transaction.date, '2024-03-10');
+      });
+    });
+  }
+});
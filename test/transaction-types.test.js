@@ -0,0 +1,127 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+import {
+  TRANSACTION_TYPES,
+  classifyType,
+  classifyTransaction,
+  hasDebitType,
+  getTypeDirection,
+  getTypePayee
+} from '../src/transaction-types.js';
+import {
+  shouldIncludeTransaction,
+  transformTransactions,
+  getTransactionType,
+  calculateStatistics
+} from '../src/transformer.js';
+
+/**
+ * Tests for the canonical transaction type classifier
+ */
+
+const T = TRANSACTION_TYPES;
+
+/**
+ * Raw types as they appear on the activity page, in CSV exports and in API labels:
+ * [raw type, amount, canonical type]
+ */
+const CASES = [
+  ['Purchase', -12.5, T.CARD_PURCHASE],
+  ['purchase', 12.5, T.CARD_PURCHASE],
+  ['SPEND', -3, T.CARD_PURCHASE],
+  ['Refund', 9.99, T.CARD_REFUND],
+  ['Interac e-Transfer', 50, T.INTERAC_IN],
+  ['Interac e-Transfer', -50, T.INTERAC_OUT],
+  ['e-Transfer', -20, T.INTERAC_OUT],
+  ['Direct deposit', 2100, T.EFT_IN],
+  ['Payroll deposit', 2100, T.EFT_IN],
+  ['Pre-authorized debit', -80, T.EFT_OUT],
+  ['EFT', 100, T.EFT_IN],
+  ['Bill payment', -60, T.BILL_PAYMENT],
+  ['Credit card payment', 500, T.CARD_PAYMENT],
+  ['payment', -25, T.PAYMENT],
+  ['Deposit', 100, T.DEPOSIT],
+  ['Contribution', 7000, T.DEPOSIT],
+  ['Withdrawal', -200, T.WITHDRAWAL],
+  ['withdraw', -200, T.WITHDRAWAL],
+  ['Dividend', 4.12, T.DIVIDEND],
+  ['Interest', 0.87, T.INTEREST],
+  ['Interest charge', -3.2, T.INTEREST_CHARGE],
+  ['Fee', -10, T.FEE],
+  ['Management fee', -1.5, T.FEE],
+  ['Cash back', 3.25, T.REWARD],
+  ['Referral', 25, T.REWARD],
+  ['Bonus', 15, T.REWARD],
+  ['Reimbursement', 15, T.REWARD],
+  ['Market buy', -241, T.TRADE],
+  ['Market sell', 241, T.TRADE],
+  ['Limit sell', 120, T.TRADE],
+  ['Fractional buy', -10, T.TRADE],
+  ['Dividend reinvested', -4.12, T.TRADE],
+  ['Funds converted', -100, T.CURRENCY_CONVERSION],
+  ['Transfer', 1000, T.INTERNAL_TRANSFER],
+  ['transfer_out', 1000, T.INTERNAL_TRANSFER],
+  ['Full transfer in-kind', 15000, T.INSTITUTIONAL_TRANSFER],
+  ['Market', 100, T.OTHER],
+  ['Buy', 100, T.OTHER],
+  ['', 100, T.OTHER]
+];
+
+describe('Transaction Types Tests', () => {
+  describe('classifyType', () => {
+    for (const [rawType, amount, expected] of CASES) {
+      it(`should classify "${rawType}" (${amount}) as ${expected}`, () => {
+        assert.strictEqual(classifyType(rawType, amount), expected);
+      });
+    }
+  });
+
+  describe('classifyTransaction', () => {
+    it('should fall back to the subheading for unknown types', () => {
+      const transaction = { type: 'Questrade', subheading: 'Full transfer in-kind', amount: 500 };
+
+      assert.strictEqual(classifyTransaction(transaction), T.INSTITUTIONAL_TRANSFER);
+      assert.strictEqual(classifyTransaction({ amount: '-5.00' }), T.OTHER);
+    });
+
+    it('should mark types that always take money out', () => {
+      assert.strictEqual(hasDebitType({ type: 'Purchase', amount: 10 }), true);
+      assert.strictEqual(hasDebitType({ type: 'transfer_out', amount: 10 }), true);
+      assert.strictEqual(hasDebitType({ type: 'Transfer', amount: -10 }), false);
+      assert.strictEqual(hasDebitType({ type: 'Interac e-Transfer', amount: -10 }), false);
+    });
+
+    it('should give trades the direction of the order', () => {
+      assert.strictEqual(getTypeDirection({ type: 'Market buy', amount: 241 }), 'debit');
+      assert.strictEqual(getTypeDirection({ type: 'Dividend reinvested', amount: 4 }), 'debit');
+      assert.strictEqual(getTypeDirection({ type: 'Limit sell', amount: -120 }), 'credit');
+      assert.strictEqual(getTypeDirection({ type: 'Funds converted', amount: -100 }), null);
+    });
+
+    it('should name payees for transactions without a description', () => {
+      assert.strictEqual(getTypePayee(T.EFT_IN), 'Deposit');
+      assert.strictEqual(getTypePayee(T.INTERAC_OUT), 'Transfer');
+      assert.strictEqual(getTypePayee(T.EFT_OUT), null);
+    });
+  });
+
+  describe('consumers', () => {
+    it('should exclude every internal investment type', () => {
+      assert.strictEqual(shouldIncludeTransaction({ type: 'Limit buy' }), false);
+      assert.strictEqual(shouldIncludeTransaction({ type: 'Dividend' }), true);
+    });
+
+    it('should count statistics by canonical type', () => {
+      const transformed = transformTransactions([
+        { account: 'Chequing', date: '2024-01-01', amount: -100, type: 'Pre-authorized debit' },
+        { account: 'Chequing', date: '2024-01-02', amount: 100, type: 'Interac e-Transfer' }
+      ]);
+      const built = { Date: '2024-01-03', Amount: 100, Notes: 'Spend rewards: Store' };
+      const stats = calculateStatistics([...transformed, built]);
+
+      assert.strictEqual(getTransactionType(transformed[0]), T.EFT_OUT);
+      assert.strictEqual(getTransactionType(built), null);
+      assert.deepStrictEqual(stats.byType, { [T.EFT_OUT]: 1, [T.INTERAC_IN]: 1, Spend: 1 });
+    });
+  });
+});
@@ -0,0 +1,112 @@
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert';
+import { rm, mkdir, writeFile } from 'fs/promises';
+import { join } from 'path';
+import { tmpdir } from 'os';
+import {
+  loadWatermarks,
+  saveWatermarks,
+  advanceWatermark,
+  getCutoffDate
+} from '../src/watermark.js';
+
+/**
+ * Tests for per-account import watermarks used by incremental scraping
+ */
+
+describe('Watermark Tests', () => {
+  describe('advanceWatermark', () => {
+    it('should record the newest transaction for an account', () => {
+      const watermarks = {};
+      const changed = advanceWatermark(watermarks, 'Chequing', [
+        { Date: '2024-03-01', _sourceTransactionId: 'a' },
+        { Date: '2024-03-05', _sourceTransactionId: 'b' },
+        { Date: '2024-03-03', _sourceTransactionId: 'c' }
+      ]);
+
+      assert.strictEqual(changed, true);
+      assert.strictEqual(watermarks.Chequing.date, '2024-03-05');
+      assert.strictEqual(watermarks.Chequing.transactionId, 'b');
+    });
+
+    it('should never move a watermark backwards', () => {
+      const watermarks = { Chequing: { date: '2024-03-10', transactionId: 'x' } };
+      const changed = advanceWatermark(watermarks, 'Chequing', [
+        { Date: '2024-03-05', _sourceTransactionId: 'b' }
+      ]);
+
+      assert.strictEqual(changed, false);
+      assert.strictEqual(watermarks.Chequing.date, '2024-03-10');
+    });
+
+    it('should ignore transactions without a date', () => {
+      const watermarks = {};
+
+      assert.strictEqual(advanceWatermark(watermarks, 'Chequing', [{ Date: null }]), false);
+      assert.deepStrictEqual(watermarks, {});
+    });
+  });
+
+  describe('getCutoffDate', () => {
+    const watermarks = {
+      Chequing: { date: '2024-03-10' },
+      TFSA: { date: '2024-02-20' }
+    };
+
+    it('should use the oldest watermark across all accounts', () => {
+      assert.strictEqual(getCutoffDate(watermarks), '2024-02-20');
+    });
+
+    it('should only consider requested accounts (case-insensitive)', () => {
+      assert.strictEqual(getCutoffDate(watermarks, ['chequing']), '2024-03-10');
+    });
+
+    it('should return null when a requested account has no watermark', () => {
+      assert.strictEqual(getCutoffDate(watermarks, ['Chequing', 'RRSP']), null);
+    });
+
+    it('should return null when a mapped account has no watermark yet', () => {
+      assert.strictEqual(getCutoffDate(watermarks, [], ['Chequing', 'TFSA']), '2024-02-20');
+      assert.strictEqual(getCutoffDate(watermarks, [], ['Chequing', 'TFSA', 'Credit card']), null);
+      assert.strictEqual(getCutoffDate(watermarks, ['Chequing'], ['Credit card']), '2024-03-10');
+    });
+
+    it('should return null without any watermarks', () => {
+      assert.strictEqual(getCutoffDate({}), null);
+    });
+  });
+
+  describe('loadWatermarks and saveWatermarks', () => {
+    let testDir;
+
+    beforeEach(async () => {
+      testDir = join(tmpdir(), `ws-actual-watermark-test-${Date.now()}`);
+      await mkdir(testDir, { recursive: true });
+    });
+
+    afterEach(async () => {
+      try {
+        await rm(testDir, { recursive: true, force: true });
+      } catch (error) {
+        // Ignore cleanup errors
+      }
+    });
+
+    it('should round-trip watermarks through a file', async () => {
+      const filePath = join(testDir, 'nested', 'watermarks.json');
+      await saveWatermarks({ Chequing: { date: '2024-03-10' } }, filePath);
+
+      const loaded = await loadWatermarks(filePath);
+
+      assert.deepStrictEqual(loaded, { Chequing: { date: '2024-03-10' } });
+    });
+
+    it('should return empty watermarks for a missing or corrupt file', async () => {
+      const filePath = join(testDir, 'watermarks.json');
+      assert.deepStrictEqual(await loadWatermarks(filePath), {});
+
+      await writeFile(filePath, 'not json');
+      assert.deepStrictEqual(await loadWatermarks(filePath), {});
+    });
+  });
+});